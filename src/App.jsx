@@ -11,6 +11,7 @@
  */
 
 import React from 'react';
+import { Routes, Route, Navigate, Link, useLocation } from 'react-router-dom';
 import { useApp } from './context/AppContext';
 
 // Components
@@ -19,10 +20,96 @@ import D365ConnectionPanel from './components/D365ConnectionPanel';
 import GitHubConnectionPanel from './components/GitHubConnectionPanel';
 import EntityListPanel from './components/EntityListPanel';
 import EntityPresets from './components/EntityPresets';
+import EntitySettingsPanel from './components/EntitySettingsPanel';
 import ExportPanel from './components/ExportPanel';
+import HistoryPanel from './components/HistoryPanel';
+
+/**
+ * Connect, select and export
+ */
+function ExportView() {
+  const { d365Connected, githubConnected } = useApp();
+  const location = useLocation();
+  // Set by the History view when a past run is restored
+  const notice = location.state?.notice;
+
+  return (
+    <>
+      {notice && (
+        <div className="mb-6 bg-white border-l-4 border-nb-teal p-4 flex items-start gap-3 animate-fade-in">
+          <span className="text-xl">🔁</span>
+          <p className="flex-1 text-sm text-nb-black">{notice}</p>
+        </div>
+      )}
+
+      {/* Connection Section */}
+      <section className="mb-8">
+        <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
+          Step 1: Connect Services
+        </h2>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <D365ConnectionPanel />
+          <GitHubConnectionPanel />
+        </div>
+      </section>
+
+      {/* Entity Selection Section */}
+      {d365Connected && (
+        <section className="mb-8 animate-slide-in">
+          <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
+            Step 2: Select Entities
+          </h2>
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            <div className="lg:col-span-3 space-y-6">
+              <EntityListPanel />
+              <EntitySettingsPanel />
+            </div>
+            <div className="lg:col-span-1">
+              <EntityPresets />
+            </div>
+          </div>
+        </section>
+      )}
+
+      {/* Export Section */}
+      {d365Connected && githubConnected && (
+        <section className="mb-8 animate-slide-in">
+          <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
+            Step 3: Export Data
+          </h2>
+          <div className="max-w-2xl">
+            <ExportPanel />
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+/**
+ * Past exports in the connected repository
+ */
+function HistoryView() {
+  const { githubConnected } = useApp();
+
+  if (!githubConnected) {
+    return (
+      <div className="card">
+        <div className="text-center py-12 text-nb-gray">
+          <span className="text-4xl mb-4 block">🔌</span>
+          <p>
+            <Link to="/" className="text-nb-teal hover:underline">Connect to GitHub</Link> to view the export history
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return <HistoryPanel />;
+}
 
 function App() {
-  const { error, clearError, d365Connected, githubConnected } = useApp();
+  const { error, clearError } = useApp();
 
   return (
     <div className="min-h-screen bg-nb-cream">
@@ -47,45 +134,11 @@ function App() {
           </div>
         )}
 
-        {/* Connection Section */}
-        <section className="mb-8">
-          <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
-            Step 1: Connect Services
-          </h2>
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <D365ConnectionPanel />
-            <GitHubConnectionPanel />
-          </div>
-        </section>
-
-        {/* Entity Selection Section */}
-        {d365Connected && (
-          <section className="mb-8 animate-slide-in">
-            <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
-              Step 2: Select Entities
-            </h2>
-            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-              <div className="lg:col-span-3">
-                <EntityListPanel />
-              </div>
-              <div className="lg:col-span-1">
-                <EntityPresets />
-              </div>
-            </div>
-          </section>
-        )}
-
-        {/* Export Section */}
-        {d365Connected && githubConnected && (
-          <section className="mb-8 animate-slide-in">
-            <h2 className="text-xs font-bold text-nb-gray uppercase tracking-widest mb-4">
-              Step 3: Export Data
-            </h2>
-            <div className="max-w-2xl">
-              <ExportPanel />
-            </div>
-          </section>
-        )}
+        <Routes>
+          <Route path="/" element={<ExportView />} />
+          <Route path="/history" element={<HistoryView />} />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
 
         {/* Help Section */}
         <section className="mt-12 pt-8 border-t border-nb-opal">
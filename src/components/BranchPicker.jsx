@@ -0,0 +1,151 @@
+/**
+ * Branch Picker
+ *
+ * Branch dropdown for the selected repository, with a form to create a
+ * new branch from a base branch
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { listBranches, getBranchHead, createBranch } from '../utils/githubApi';
+
+const NEW_BRANCH = '__new__';
+
+export default function BranchPicker({ owner, repo, token, branch, onChange, disabled }) {
+  const [branches, setBranches] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [baseBranch, setBaseBranch] = useState(branch);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!owner || !repo || !token) {
+      setBranches([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setMessage(null);
+    listBranches(owner, repo, token)
+      .then(list => {
+        if (!cancelled) setBranches(list.map(b => b.name));
+      })
+      .catch(error => {
+        if (!cancelled) setMessage({ type: 'error', text: `Could not load branches: ${error.message}` });
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [owner, repo, token]);
+
+  const handleSelect = (value) => {
+    if (value === NEW_BRANCH) {
+      setBaseBranch(branch);
+      setShowCreate(true);
+      return;
+    }
+    setShowCreate(false);
+    onChange(value);
+  };
+
+  const handleCreate = useCallback(async () => {
+    const name = newName.trim();
+    if (!/^[a-zA-Z0-9_.\-\/]+$/.test(name) || name.includes('..') || name.startsWith('/') || name.endsWith('/')) {
+      setMessage({ type: 'error', text: 'Branch names may only contain letters, numbers, . - _ and /' });
+      return;
+    }
+    if (branches.includes(name)) {
+      setMessage({ type: 'error', text: `Branch ${name} already exists` });
+      return;
+    }
+
+    setIsCreating(true);
+    setMessage(null);
+    try {
+      const head = await getBranchHead(owner, repo, baseBranch, token);
+      await createBranch(owner, repo, name, head.commitSha, token);
+      setBranches(prev => [...prev, name].sort());
+      setShowCreate(false);
+      setNewName('');
+      setMessage({ type: 'success', text: `Created ${name} from ${baseBranch}` });
+      onChange(name);
+    } catch (error) {
+      // 422: the ref exists (created since the list was loaded)
+      setMessage({
+        type: 'error',
+        text: error.status === 422 ? `Branch ${name} already exists` : `Could not create branch: ${error.message}`,
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  }, [owner, repo, token, newName, baseBranch, branches, onChange]);
+
+  // Keep a configured branch visible even before the list has loaded
+  const options = branches.includes(branch) || !branch ? branches : [branch, ...branches];
+
+  return (
+    <div>
+      <label className="label">Branch</label>
+      <select
+        value={showCreate ? NEW_BRANCH : branch}
+        onChange={(e) => handleSelect(e.target.value)}
+        className="input-field"
+        disabled={disabled || isLoading}
+      >
+        {options.map(name => (
+          <option key={name} value={name}>
+            {name}{branches.length > 0 && !branches.includes(name) ? ' (not found)' : ''}
+          </option>
+        ))}
+        <option value={NEW_BRANCH}>+ New branch...</option>
+      </select>
+
+      {showCreate && (
+        <div className="flex flex-wrap items-end gap-2 mt-2 p-3 bg-nb-cream">
+          <div>
+            <label className="label">New Branch</label>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g. d365-exports"
+              maxLength={100}
+              className="input-field w-56"
+              disabled={disabled || isCreating}
+            />
+          </div>
+          <div>
+            <label className="label">From</label>
+            <select
+              value={baseBranch}
+              onChange={(e) => setBaseBranch(e.target.value)}
+              className="input-field w-auto"
+              disabled={disabled || isCreating}
+            >
+              {branches.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleCreate}
+            className="btn-teal text-sm"
+            disabled={disabled || isCreating || !newName.trim() || !branches.includes(baseBranch)}
+          >
+            {isCreating ? 'Creating...' : 'Create'}
+          </button>
+          <button onClick={() => setShowCreate(false)} className="btn-outline text-sm" disabled={isCreating}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs mt-1 ${message.type === 'error' ? 'text-nb-red' : 'text-nb-gray'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
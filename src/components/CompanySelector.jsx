@@ -0,0 +1,120 @@
+/**
+ * Company Selector
+ *
+ * Cross-company scope for exports. D365 F&O only returns the user's
+ * default company unless cross-company=true is sent.
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { fetchCompanies } from '../utils/d365Api';
+
+export default function CompanySelector({ disabled }) {
+  const {
+    d365Config,
+    d365TokenProvider,
+    legalEntities,
+    setLegalEntities,
+    companySettings,
+    setCompanySettings,
+    setError,
+  } = useApp();
+
+  const [loading, setLoading] = useState(false);
+
+  const handleLoadCompanies = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const companies = await fetchCompanies(d365Config.url, d365TokenProvider);
+      setLegalEntities(companies);
+    } catch (error) {
+      console.error('Company list error:', error);
+      setError(error.message || 'Failed to load legal entities');
+    } finally {
+      setLoading(false);
+    }
+  }, [d365Config.url, d365TokenProvider, setLegalEntities, setError]);
+
+  const toggleCompany = useCallback((companyId) => {
+    setCompanySettings(prev => ({
+      ...prev,
+      companies: prev.companies.includes(companyId)
+        ? prev.companies.filter(id => id !== companyId)
+        : [...prev.companies, companyId],
+    }));
+  }, [setCompanySettings]);
+
+  return (
+    <div>
+      <label className="label">Legal Entities</label>
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={companySettings.crossCompany}
+          onChange={(e) => setCompanySettings(prev => ({ ...prev, crossCompany: e.target.checked }))}
+          disabled={disabled}
+        />
+        <span className="text-sm">Export across companies (cross-company)</span>
+      </label>
+
+      {companySettings.crossCompany && (
+        <div className="mt-3 pl-7 space-y-3 animate-fade-in">
+          {legalEntities.length === 0 ? (
+            <button
+              onClick={handleLoadCompanies}
+              disabled={loading || disabled}
+              className="btn-outline text-xs py-1 px-3"
+            >
+              {loading ? 'Loading...' : 'Load Companies'}
+            </button>
+          ) : (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs text-nb-gray">
+                  {companySettings.companies.length === 0
+                    ? 'All companies'
+                    : `${companySettings.companies.length} selected`}
+                </span>
+                <button
+                  onClick={() => setCompanySettings(prev => ({ ...prev, companies: [] }))}
+                  className="text-xs text-nb-teal hover:underline"
+                >
+                  All
+                </button>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-1 max-h-40 overflow-y-auto">
+                {legalEntities.map(company => (
+                  <label
+                    key={company.id}
+                    className="flex items-center gap-2 text-sm cursor-pointer"
+                    title={company.name}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={companySettings.companies.includes(company.id)}
+                      onChange={() => toggleCompany(company.id)}
+                      disabled={disabled}
+                    />
+                    <span className="font-mono uppercase">{company.id}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={companySettings.splitByCompany}
+              onChange={(e) => setCompanySettings(prev => ({ ...prev, splitByCompany: e.target.checked }))}
+              disabled={disabled}
+            />
+            <span className="text-sm">One file per company (path/&lt;company&gt;/file)</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+/**
+ * CSV Dialect Options
+ *
+ * Delimiter, quoting, BOM, line endings, null text and locale formatting
+ * for CSV exports, with named dialects saved to the target repository
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import {
+  BUILT_IN_DIALECTS,
+  CSV_DELIMITERS,
+  CSV_QUOTING,
+  CSV_LINE_TERMINATORS,
+  validateDialect,
+  loadCsvDialects,
+  saveCsvDialects,
+} from '../utils/csvDialect';
+
+const CUSTOM_NAME = 'Custom';
+
+export default function CsvDialectOptions({ dialect, onChange, disabled }) {
+  const { githubConfig, githubConnected } = useApp();
+  const [savedDialects, setSavedDialects] = useState([]);
+  const [saveName, setSaveName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Saved dialects live next to the exports, so reload when the target changes
+  useEffect(() => {
+    if (!githubConnected) {
+      setSavedDialects([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadCsvDialects(githubConfig.owner, githubConfig.repo, githubConfig.path, githubConfig.token, githubConfig.branch)
+      .then(dialects => {
+        if (!cancelled) setSavedDialects(dialects);
+      })
+      .catch(error => {
+        if (!cancelled) setMessage({ type: 'error', text: `Could not load saved dialects: ${error.message}` });
+      });
+    return () => { cancelled = true; };
+  }, [githubConnected, githubConfig.owner, githubConfig.repo, githubConfig.path, githubConfig.token, githubConfig.branch]);
+
+  // Any edit turns the selection into an unsaved custom dialect
+  const update = (patch) => onChange({ ...dialect, ...patch, name: CUSTOM_NAME });
+
+  const selectDialect = (name) => {
+    const chosen = [...BUILT_IN_DIALECTS, ...savedDialects].find(d => d.name === name);
+    if (chosen) {
+      onChange(chosen);
+      setSaveName('');
+      setMessage(null);
+    }
+  };
+
+  const persist = useCallback(async (dialects, text) => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await saveCsvDialects(githubConfig.owner, githubConfig.repo, githubConfig.path, dialects, githubConfig.token, githubConfig.branch);
+      setSavedDialects(dialects);
+      setMessage({ type: 'success', text });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not save dialects: ${error.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  }, [githubConfig]);
+
+  const handleSave = () => {
+    const named = { ...dialect, name: saveName.trim() };
+    const problem = validateDialect(named);
+    if (problem) {
+      setMessage({ type: 'error', text: problem });
+      return;
+    }
+    if (named.name === CUSTOM_NAME || BUILT_IN_DIALECTS.some(d => d.name === named.name)) {
+      setMessage({ type: 'error', text: `"${named.name}" is reserved; choose another name` });
+      return;
+    }
+
+    onChange(named);
+    setSaveName('');
+    persist(
+      [...savedDialects.filter(d => d.name !== named.name), named],
+      `Saved dialect "${named.name}"`
+    );
+  };
+
+  const handleDelete = () => {
+    persist(savedDialects.filter(d => d.name !== dialect.name), `Deleted dialect "${dialect.name}"`);
+  };
+
+  const isSaved = savedDialects.some(d => d.name === dialect.name);
+  const usesLocale = dialect.dateFormat === 'locale' || dialect.decimalFormat === 'locale';
+
+  return (
+    <div className="space-y-4 mt-2 p-4 bg-nb-cream">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="label">CSV Dialect</label>
+          <select
+            value={dialect.name}
+            onChange={(e) => selectDialect(e.target.value)}
+            className="input-field w-auto"
+            disabled={disabled}
+          >
+            {[...BUILT_IN_DIALECTS, ...savedDialects].some(d => d.name === dialect.name) ? null : (
+              <option value={dialect.name}>{dialect.name} (unsaved)</option>
+            )}
+            <optgroup label="Built-in">
+              {BUILT_IN_DIALECTS.map(d => (
+                <option key={d.name} value={d.name}>{d.name}</option>
+              ))}
+            </optgroup>
+            {savedDialects.length > 0 && (
+              <optgroup label="Saved">
+                {savedDialects.map(d => (
+                  <option key={d.name} value={d.name}>{d.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </div>
+        {isSaved && (
+          <button onClick={handleDelete} className="btn-secondary text-sm" disabled={disabled || isSaving}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <div>
+          <label className="label">Delimiter</label>
+          <select
+            value={dialect.delimiter}
+            onChange={(e) => update({ delimiter: e.target.value })}
+            className="input-field w-auto"
+            disabled={disabled}
+          >
+            {CSV_DELIMITERS.map(d => (
+              <option key={d.label} value={d.value}>{d.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Quote</label>
+          <select
+            value={dialect.quoting}
+            onChange={(e) => update({ quoting: e.target.value })}
+            className="input-field w-auto"
+            disabled={disabled}
+          >
+            {CSV_QUOTING.map(q => (
+              <option key={q.value} value={q.value}>{q.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Line Endings</label>
+          <select
+            value={dialect.lineTerminator}
+            onChange={(e) => update({ lineTerminator: e.target.value })}
+            className="input-field w-auto"
+            disabled={disabled}
+          >
+            {CSV_LINE_TERMINATORS.map(t => (
+              <option key={t.label} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Null As</label>
+          <input
+            type="text"
+            value={dialect.nullValue}
+            onChange={(e) => update({ nullValue: e.target.value })}
+            placeholder="(empty)"
+            maxLength={10}
+            className="input-field w-24"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={dialect.bom}
+            onChange={(e) => update({ bom: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">UTF-8 BOM</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={dialect.dateFormat === 'locale'}
+            onChange={(e) => update({ dateFormat: e.target.checked ? 'locale' : 'iso' })}
+            disabled={disabled}
+          />
+          <span className="text-sm">Locale dates</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={dialect.decimalFormat === 'locale'}
+            onChange={(e) => update({ decimalFormat: e.target.checked ? 'locale' : 'invariant' })}
+            disabled={disabled}
+          />
+          <span className="text-sm">Locale decimals</span>
+        </label>
+        {usesLocale && (
+          <div>
+            <label className="label">Locale</label>
+            <input
+              type="text"
+              value={dialect.locale}
+              onChange={(e) => update({ locale: e.target.value.replace(/[^a-zA-Z0-9-]/g, '').slice(0, 20) })}
+              placeholder="e.g. de-DE"
+              className="input-field w-28"
+              disabled={disabled}
+            />
+          </div>
+        )}
+      </div>
+
+      {githubConnected && (
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="label">Save As</label>
+            <input
+              type="text"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              placeholder="e.g. SFTP Europe"
+              maxLength={50}
+              className="input-field w-48"
+              disabled={disabled || isSaving}
+            />
+          </div>
+          <button
+            onClick={handleSave}
+            className="btn-secondary text-sm"
+            disabled={disabled || isSaving || !saveName.trim()}
+          >
+            {isSaving ? 'Saving...' : 'Save Dialect'}
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs ${message.type === 'error' ? 'text-nb-red' : 'text-nb-gray'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import React, { useState, useCallback } from 'react';
 import { PublicClientApplication } from '@azure/msal-browser';
 import { useApp } from '../context/AppContext';
 import { validateD365Url, getMsalConfig, getLoginRequest } from '../utils/msalConfig';
+import { createTokenProvider } from '../utils/tokenProvider';
 
 export default function D365ConnectionPanel() {
   const {
@@ -60,9 +61,10 @@ export default function D365ConnectionPanel() {
 
       if (!tokenResponse?.accessToken) throw new Error('Failed to acquire token');
 
+      // The MSAL instance stays alive inside the provider for silent renewal
       connectD365(
         { ...d365Config, url: d365Url },
-        tokenResponse.accessToken,
+        createTokenProvider(msalInstance, loginRequest, tokenResponse),
         tokenResponse.account?.username || 'Connected'
       );
       setShowForm(false);
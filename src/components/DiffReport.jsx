@@ -0,0 +1,119 @@
+/**
+ * Diff Report
+ *
+ * Added, removed and modified records of one export compared with the
+ * previous export of the entity
+ */
+
+import React, { useState } from 'react';
+import { summarizeDiff } from '../utils/recordDiff';
+import { formatCell } from '../utils/filePreview';
+
+// Records shown per section; the saved report has more
+const VISIBLE_RECORDS = 50;
+
+/**
+ * Short label of a record: its key values, or the first few fields
+ */
+function recordLabel(row, keys) {
+  const fields = keys.length > 0 ? keys : Object.keys(row).filter(field => !field.includes('@')).slice(0, 4);
+  return fields.map(field => formatCell(row[field])).join(' / ');
+}
+
+function RecordList({ title, badge, rows, keys }) {
+  if (rows.length === 0) return null;
+  return (
+    <div>
+      <p className="text-xs font-bold uppercase tracking-wider mb-1">
+        <span className={`badge ${badge} mr-2`}>{rows.length}</span>
+        {title}
+      </p>
+      <ul className="text-xs font-mono space-y-0.5 pl-2">
+        {rows.slice(0, VISIBLE_RECORDS).map((row, i) => (
+          <li key={i} className="truncate">{recordLabel(row, keys)}</li>
+        ))}
+      </ul>
+      {rows.length > VISIBLE_RECORDS && (
+        <p className="text-xs text-nb-gray pl-2">…and {rows.length - VISIBLE_RECORDS} more</p>
+      )}
+    </div>
+  );
+}
+
+export default function DiffReport({ comparison }) {
+  const [expanded, setExpanded] = useState(false);
+  const { diff } = comparison;
+  const hasChanges = diff && diff.added.length + diff.removed.length + diff.modified.length > 0;
+
+  return (
+    <div className="border border-nb-opal p-3 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <div className="min-w-0">
+          <span className="font-medium">{comparison.entityName}</span>
+          {comparison.folder && <span className="text-nb-gray font-mono text-xs ml-2">{comparison.folder}</span>}
+          <p className={`text-xs ${diff ? 'text-nb-black' : 'text-nb-gray'}`}>
+            {diff
+              ? `${summarizeDiff(diff)} since ${new Date(comparison.previous.timestamp).toLocaleString()}`
+              : comparison.note}
+          </p>
+          {diff && comparison.note && <p className="text-xs text-nb-red">{comparison.note}</p>}
+        </div>
+        {hasChanges && (
+          <button onClick={() => setExpanded(!expanded)} className="text-nb-teal hover:underline text-xs whitespace-nowrap">
+            {expanded ? 'Hide changes' : 'Show changes'}
+          </button>
+        )}
+      </div>
+
+      {expanded && hasChanges && (
+        <div className="mt-3 space-y-3 animate-fade-in">
+          <p className="text-xs text-nb-gray">
+            Matched by {diff.keys.length > 0 ? diff.keys.join(', ') : 'whole rows (no entity key)'}
+            {comparison.reportPath && <> · report saved to <span className="font-mono">{comparison.reportPath}</span></>}
+          </p>
+          {(diff.columnsAdded.length > 0 || diff.columnsRemoved.length > 0) && (
+            <p className="text-xs">
+              {diff.columnsAdded.length > 0 && <>Columns added: {diff.columnsAdded.join(', ')}. </>}
+              {diff.columnsRemoved.length > 0 && <>Columns removed: {diff.columnsRemoved.join(', ')}.</>}
+            </p>
+          )}
+
+          <RecordList title="Added" badge="badge-teal" rows={diff.added} keys={diff.keys} />
+          <RecordList title="Removed" badge="badge-red" rows={diff.removed} keys={diff.keys} />
+
+          {diff.modified.length > 0 && (
+            <div>
+              <p className="text-xs font-bold uppercase tracking-wider mb-1">
+                <span className="badge badge-yellow mr-2">{diff.modified.length}</span>
+                Modified
+              </p>
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Field</th>
+                    <th>Before</th>
+                    <th>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.modified.slice(0, VISIBLE_RECORDS).flatMap((record, i) => record.changes.map((change, j) => (
+                    <tr key={`${i}-${j}`}>
+                      <td className="font-mono text-xs">{j === 0 ? Object.values(record.key).map(formatCell).join(' / ') : ''}</td>
+                      <td className="text-xs">{change.field}</td>
+                      <td className="font-mono text-xs text-nb-red">{formatCell(change.before)}</td>
+                      <td className="font-mono text-xs text-nb-teal">{formatCell(change.after)}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+              {diff.modified.length > VISIBLE_RECORDS && (
+                <p className="text-xs text-nb-gray pl-2">…and {diff.modified.length - VISIBLE_RECORDS} more</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
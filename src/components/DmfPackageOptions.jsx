@@ -0,0 +1,102 @@
+/**
+ * DMF Package Options
+ *
+ * Settings for exporting through a Data management export project instead
+ * of OData paging
+ */
+
+import React from 'react';
+import { useApp } from '../context/AppContext';
+
+export default function DmfPackageOptions({ options, onChange, disabled }) {
+  const { legalEntities, selectedEntities } = useApp();
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="label">Export Data Project</label>
+        <input
+          type="text"
+          value={options.dmfProject}
+          onChange={(e) => onChange({ dmfProject: e.target.value.replace(/[^a-zA-Z0-9_\- ]/g, '') })}
+          placeholder="e.g. GitHubExport"
+          maxLength={100}
+          className="input-field"
+          disabled={disabled}
+        />
+        <p className="text-xs text-nb-gray mt-1">
+          An existing export project in Data management. D365 runs every entity in the
+          project with the project's own filters and formats.
+        </p>
+        {selectedEntities.size > 0 && (
+          <p className="text-xs text-nb-red mt-1">
+            The {selectedEntities.size} selected entit{selectedEntities.size === 1 ? 'y is' : 'ies are'} not
+            used in this mode, and neither are their field, filter and company settings. Add them
+            to the project in Data management, or switch to OData to export the selection.
+          </p>
+        )}
+      </div>
+
+      <div>
+        <label className="label">Legal Entity</label>
+        <input
+          type="text"
+          list="dmf-legal-entities"
+          value={options.dmfLegalEntity}
+          onChange={(e) => onChange({ dmfLegalEntity: e.target.value.replace(/[^a-zA-Z0-9_]/g, '').slice(0, 10) })}
+          placeholder="e.g. usmf"
+          className="input-field w-40"
+          disabled={disabled}
+        />
+        <datalist id="dmf-legal-entities">
+          {legalEntities.map(company => (
+            <option key={company.id} value={company.id}>{company.name}</option>
+          ))}
+        </datalist>
+      </div>
+
+      <div>
+        <label className="label">Commit As</label>
+        <div className="flex gap-4">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="dmfOutput"
+              checked={options.dmfOutput === 'files'}
+              onChange={() => onChange({ dmfOutput: 'files' })}
+              className="accent-nb-red"
+              disabled={disabled}
+            />
+            <span className="font-medium">Extracted files</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="dmfOutput"
+              checked={options.dmfOutput === 'zip'}
+              onChange={() => onChange({ dmfOutput: 'zip' })}
+              className="accent-nb-red"
+              disabled={disabled}
+            />
+            <span className="font-medium">Package zip</span>
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={options.singleCommit}
+            onChange={(e) => onChange({ singleCommit: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">One commit per export run</span>
+        </label>
+        <p className="text-xs text-nb-gray mt-1 pl-7">
+          Package files are uploaded as blobs and committed together once the package is saved.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -6,12 +6,13 @@
 
 import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
-import { fetchEntityCount } from '../utils/d365Api';
+import { fetchEntityCount, discoverEntities } from '../utils/d365Api';
+import { mergeCatalog } from '../utils/odataMetadata';
 
 export default function EntityListPanel() {
   const {
     d365Config,
-    d365Token,
+    d365TokenProvider,
     d365Connected,
     entities,
     setEntities,
@@ -21,6 +22,7 @@ export default function EntityListPanel() {
     clearSelection,
     entityCounts,
     setEntityCounts,
+    companySettings,
     setError,
     setIsLoading,
   } = useApp();
@@ -32,6 +34,8 @@ export default function EntityListPanel() {
   const [loadingCounts, setLoadingCounts] = useState(false);
   const [manualEntityInput, setManualEntityInput] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
+  const [loadingCatalog, setLoadingCatalog] = useState(false);
+  const [catalogStatus, setCatalogStatus] = useState(null);
 
   // Filtered and sorted entities
   const filteredEntities = useMemo(() => {
@@ -113,9 +117,32 @@ export default function EntityListPanel() {
     setShowAddForm(false);
   }, [manualEntityInput, entities, setEntities, setError]);
 
+  // Load entity catalog from $metadata
+  const handleLoadCatalog = useCallback(async () => {
+    if (!d365Connected || !d365TokenProvider) return;
+
+    setLoadingCatalog(true);
+    setError(null);
+
+    try {
+      const catalog = await discoverEntities(
+        d365Config.url,
+        d365TokenProvider,
+        (progress) => setCatalogStatus(progress.message)
+      );
+      setEntities(prev => mergeCatalog(prev, catalog));
+    } catch (error) {
+      console.error('Entity discovery error:', error);
+      setError(error.message || 'Failed to load entity catalog');
+      setCatalogStatus(null);
+    } finally {
+      setLoadingCatalog(false);
+    }
+  }, [d365Connected, d365TokenProvider, d365Config.url, setEntities, setError]);
+
   // Fetch record count for selected entities
   const handleFetchCounts = useCallback(async () => {
-    if (!d365Connected || !d365Token) return;
+    if (!d365Connected || !d365TokenProvider) return;
 
     const entitiesToCount = filteredEntities.filter(e => 
       entityCounts[e.name] === undefined
@@ -127,7 +154,10 @@ export default function EntityListPanel() {
 
     for (const entity of entitiesToCount) {
       try {
-        const count = await fetchEntityCount(d365Config.url, entity.name, d365Token);
+        const count = await fetchEntityCount(d365Config.url, entity.name, d365TokenProvider, {
+          crossCompany: companySettings.crossCompany,
+          companies: companySettings.companies,
+        });
         setEntityCounts(prev => ({ ...prev, [entity.name]: count }));
       } catch {
         setEntityCounts(prev => ({ ...prev, [entity.name]: null }));
@@ -135,7 +165,7 @@ export default function EntityListPanel() {
     }
 
     setLoadingCounts(false);
-  }, [d365Connected, d365Token, d365Config.url, filteredEntities, entityCounts, setEntityCounts]);
+  }, [d365Connected, d365TokenProvider, d365Config.url, filteredEntities, entityCounts, setEntityCounts, companySettings]);
 
   // Get unique types for filter dropdown
   const entityTypes = useMemo(() => {
@@ -171,6 +201,13 @@ export default function EntityListPanel() {
         </h2>
         
         <div className="flex items-center gap-2">
+          <button
+            onClick={handleLoadCatalog}
+            disabled={loadingCatalog}
+            className="btn-secondary text-sm py-2"
+          >
+            {loadingCatalog ? 'Loading...' : 'Load Catalog'}
+          </button>
           <button
             onClick={() => setShowAddForm(!showAddForm)}
             className="btn-outline text-sm py-2"
@@ -180,6 +217,10 @@ export default function EntityListPanel() {
         </div>
       </div>
 
+      {catalogStatus && (
+        <p className="text-xs text-nb-gray mb-4">{catalogStatus}</p>
+      )}
+
       {/* Add Entity Form */}
       {showAddForm && (
         <div className="bg-nb-cream p-4 mb-4 animate-fade-in">
@@ -267,7 +308,7 @@ export default function EntityListPanel() {
             <>
               <span className="text-4xl mb-4 block">📝</span>
               <p>No entities added yet.</p>
-              <p className="text-sm mt-2">Add entities manually or load from a preset list.</p>
+              <p className="text-sm mt-2">Load the catalog, add entities manually or load from a preset list.</p>
             </>
           ) : (
             <>
@@ -343,12 +384,20 @@ export default function EntityListPanel() {
                       onChange={() => toggleEntitySelection(entity.name)}
                     />
                   </td>
-                  <td className="font-medium">{entity.name}</td>
+                  <td className="font-medium">
+                    {entity.name}
+                    {entity.keys?.length > 0 && (
+                      <span className="block text-xs font-normal text-nb-gray">
+                        🔑 {entity.keys.join(', ')} · {entity.properties.length} fields
+                      </span>
+                    )}
+                  </td>
                   <td>
                     {entity.type && (
                       <span className={`badge ${
                         entity.type === 'manual' ? 'badge-gray' :
                         entity.type === 'custom' ? 'badge-teal' :
+                        entity.type === 'odata' ? 'badge-teal' :
                         'badge-gray'
                       }`}>
                         {entity.type}
@@ -0,0 +1,85 @@
+/**
+ * Entity Settings Panel
+ *
+ * Per-entity export settings for the current selection
+ */
+
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import FieldPicker from './FieldPicker';
+import FilterBuilder from './FilterBuilder';
+import IncrementalSettings from './IncrementalSettings';
+import ExpandSettings from './ExpandSettings';
+
+const TABS = [
+  { id: 'fields', label: 'Fields' },
+  { id: 'filter', label: 'Filter' },
+  { id: 'expand', label: 'Expand' },
+  { id: 'incremental', label: 'Delta' },
+];
+
+export default function EntitySettingsPanel() {
+  const { selectedEntities, entityConfigs } = useApp();
+  const [expanded, setExpanded] = useState(null); // { entity, tab }
+
+  if (selectedEntities.size === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold text-nb-black uppercase tracking-wider text-sm mb-4">
+        Entity Settings
+      </h3>
+
+      <div className="divide-y divide-nb-opal">
+        {Array.from(selectedEntities).map(entityName => {
+          const config = entityConfigs[entityName] || {};
+          const isExpanded = expanded?.entity === entityName;
+          const conditionCount = config.filterGroup?.conditions?.length || 0;
+
+          return (
+            <div key={entityName} className="py-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium">{entityName}</span>
+                  <span className="text-xs text-nb-gray ml-2">
+                    {config.select ? `${config.select.length} fields` : 'All fields'}
+                    {conditionCount > 0 && ` · ${conditionCount} filter${conditionCount > 1 ? 's' : ''}`}
+                    {config.orderBy?.length > 0 && ' · sorted'}
+                    {config.expand?.length > 0 && ` · expands ${config.expand.map(e => e.navigation).join(', ')}`}
+                    {config.incrementalField && ` · delta on ${config.incrementalField}`}
+                  </span>
+                </div>
+                <div className="flex items-center gap-3">
+                  {TABS.map(tab => (
+                    <button
+                      key={tab.id}
+                      onClick={() => setExpanded(
+                        isExpanded && expanded.tab === tab.id ? null : { entity: entityName, tab: tab.id }
+                      )}
+                      className={`text-xs hover:underline ${
+                        isExpanded && expanded.tab === tab.id ? 'text-nb-red font-semibold' : 'text-nb-teal'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {isExpanded && (
+                <div className="mt-3 animate-fade-in">
+                  {expanded.tab === 'fields' && <FieldPicker entityName={entityName} />}
+                  {expanded.tab === 'filter' && <FilterBuilder entityName={entityName} />}
+                  {expanded.tab === 'expand' && <ExpandSettings entityName={entityName} />}
+                  {expanded.tab === 'incremental' && <IncrementalSettings entityName={entityName} />}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * Expand Settings
+ *
+ * Navigation properties to $expand for a single entity (e.g. lines under a
+ * header), with nested field selection and filter, and the CSV layout for
+ * the nested rows.
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { compileExpand, getNavigationTarget } from '../utils/odataExpand';
+import { createGroup } from '../utils/odataFilter';
+import { CSV_LAYOUTS } from '../utils/exportRunner';
+import { ConditionRow, newCondition } from './FilterBuilder';
+
+/**
+ * Nested $select / $filter for one expanded navigation property
+ */
+function ExpandItem({ item, target, onChange }) {
+  const fields = target?.properties || [];
+  const filterGroup = item.filterGroup || createGroup();
+
+  const toggleField = (field) => {
+    const current = item.select || fields.map(f => f.name);
+    const next = current.includes(field.name)
+      ? current.filter(name => name !== field.name)
+      : [...current, field.name];
+    const ordered = fields.filter(f => next.includes(f.name)).map(f => f.name);
+    onChange({ ...item, select: ordered.length === fields.length ? null : ordered });
+  };
+
+  const setConditions = (conditions) => {
+    onChange({ ...item, filterGroup: { ...filterGroup, conditions } });
+  };
+
+  if (fields.length === 0) {
+    return (
+      <p className="text-xs text-nb-gray">
+        {target ? `Load fields for ${target.name}` : 'Target entity not in the catalog'} to pick
+        nested fields or filter; all fields are expanded.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <span className="label">Fields</span>
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-1 max-h-40 overflow-y-auto">
+          {fields.map(field => (
+            <label key={field.name} className="flex items-center gap-2 text-sm py-1 cursor-pointer" title={field.type}>
+              <input
+                type="checkbox"
+                checked={field.isKey || item.select === null || item.select?.includes(field.name)}
+                disabled={field.isKey}
+                onChange={() => toggleField(field)}
+              />
+              <span className={field.isKey ? 'font-semibold' : ''}>
+                {field.isKey && '🔑 '}{field.name}
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className="label">Filter (all must match)</span>
+        <div className="space-y-2">
+          {filterGroup.conditions.map((condition, index) => (
+            <ConditionRow
+              key={index}
+              condition={condition}
+              properties={fields}
+              onChange={(next) => setConditions(filterGroup.conditions.map((c, i) => (i === index ? next : c)))}
+              onRemove={() => setConditions(filterGroup.conditions.filter((_, i) => i !== index))}
+            />
+          ))}
+        </div>
+        <button
+          onClick={() => setConditions([...filterGroup.conditions, newCondition()])}
+          className="text-xs text-nb-teal hover:underline mt-2"
+        >
+          + Condition
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ExpandSettings({ entityName }) {
+  const { entities, entityConfigs, updateEntityConfig } = useApp();
+
+  const entity = entities.find(e => e.name === entityName);
+  const navigations = entity?.navigationProperties || [];
+  const config = entityConfigs[entityName] || {};
+  const expand = config.expand || [];
+
+  // Compiled preview (errors are shown instead of the query)
+  const preview = useMemo(() => {
+    try {
+      return { expand: compileExpand(expand, entity, entities), error: null };
+    } catch (error) {
+      return { expand: null, error: error.message };
+    }
+  }, [expand, entity, entities]);
+
+  const setExpand = useCallback((items) => {
+    updateEntityConfig(entityName, { expand: items.length ? items : null });
+  }, [entityName, updateEntityConfig]);
+
+  const toggleNavigation = (nav) => {
+    setExpand(expand.some(item => item.navigation === nav.name)
+      ? expand.filter(item => item.navigation !== nav.name)
+      : [...expand, { navigation: nav.name, select: null, filterGroup: createGroup() }]);
+  };
+
+  if (navigations.length === 0) {
+    return (
+      <p className="text-sm text-nb-gray">
+        {entity?.properties?.length
+          ? `${entityName} has no navigation properties in the catalog.`
+          : `Load the catalog to see navigation properties for ${entityName}.`}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {navigations.map(nav => {
+          const item = expand.find(i => i.navigation === nav.name);
+          const target = getNavigationTarget(nav, entities);
+
+          return (
+            <div key={nav.name} className={item ? 'border-l-4 border-nb-teal pl-3 py-2' : ''}>
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <input type="checkbox" checked={Boolean(item)} onChange={() => toggleNavigation(nav)} />
+                <span className="font-medium">{nav.name}</span>
+                <span className="text-xs text-nb-gray">
+                  {nav.isCollection ? 'many' : 'one'} → {target?.name || nav.type.split('.').pop()}
+                </span>
+              </label>
+              {item && (
+                <div className="mt-2">
+                  <ExpandItem
+                    item={item}
+                    target={target}
+                    onChange={(next) => setExpand(expand.map(i => (i.navigation === nav.name ? next : i)))}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {expand.length > 0 && (
+        <div>
+          <span className="label">CSV Layout</span>
+          <div className="flex flex-wrap gap-4">
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="radio"
+                name={`csvLayout-${entityName}`}
+                checked={(config.csvLayout || CSV_LAYOUTS.flatten) === CSV_LAYOUTS.flatten}
+                onChange={() => updateEntityConfig(entityName, { csvLayout: CSV_LAYOUTS.flatten })}
+              />
+              Flattened (one row per line, header fields repeated)
+            </label>
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="radio"
+                name={`csvLayout-${entityName}`}
+                checked={config.csvLayout === CSV_LAYOUTS.split}
+                onChange={() => updateEntityConfig(entityName, { csvLayout: CSV_LAYOUTS.split })}
+              />
+              One file per level (foreign keys kept)
+            </label>
+          </div>
+          <p className="text-xs text-nb-gray mt-1">JSON exports always nest lines inside each header.</p>
+        </div>
+      )}
+
+      {(preview.expand || preview.error) && (
+        <div className="bg-nb-cream p-3 text-xs font-mono break-all">
+          {preview.error ? (
+            <span className="text-nb-red">{preview.error}</span>
+          ) : (
+            <div>$expand={preview.expand}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,36 +4,139 @@
  * Handles data export configuration and execution
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useCallback } from 'react';
 import { useApp } from '../context/AppContext';
-import { fetchEntityData, recordsToCsv, recordsToJson } from '../utils/d365Api';
-import { createOrUpdateFile, generateFilename } from '../utils/githubApi';
+import { useExportRun } from '../hooks/useExportRun';
+import { validateEntityFilter } from '../utils/d365Api';
+import { buildQueryOptions } from '../utils/odataFilter';
+import { compileExpand, getExpandLinks } from '../utils/odataExpand';
+import {
+  loadExportState,
+  saveExportState,
+  formatExportState,
+  getStatePath,
+  getWatermark,
+  setWatermark,
+} from '../utils/exportState';
+import {
+  exportEntity,
+  exportSnapshot,
+  exportPackage,
+  exportDataPackage,
+  saveWorkbook,
+  saveSqliteBundle,
+  createCommitBatch,
+  buildExportCommitMessage,
+  resolveEntityFormat,
+  PART_SIZE_OPTIONS,
+  PUBLISH_MODES,
+} from '../utils/exportRunner';
+import { createWorkbook } from '../utils/xlsxWriter';
+import { createSqliteBundle, bundleToBytes, downloadDatabase } from '../utils/sqliteBundle';
+import { validateDialect } from '../utils/csvDialect';
+import { SNAPSHOT_FORMATS } from '../utils/snapshot';
+import { getRunRecordPath, formatRunRecord, saveRunRecord } from '../utils/exportHistory';
+import {
+  compareWithPrevious,
+  saveDiffReport,
+  summarizeDiff,
+  DIFF_REPORT_FORMATS,
+  DIFF_MAX_ROWS,
+} from '../utils/recordDiff';
+import { generateFilename } from '../utils/githubApi';
+import { createConcurrencyPool, createRequestBudget, D365_REQUEST_LIMIT } from '../utils/jobScheduler';
+import CompanySelector from './CompanySelector';
+import DmfPackageOptions from './DmfPackageOptions';
+import FormatOptions from './FormatOptions';
+import NormalizeOptions from './NormalizeOptions';
+import ExportProgress from './ExportProgress';
+import ExportResults from './ExportResults';
+
+// Stay below the ~6,000 requests / 5 minutes D365 limit, leaving headroom
+// for count and metadata calls made outside the export
+const REQUEST_BUDGET = Math.floor(D365_REQUEST_LIMIT * 0.9);
+
+// OData paging per entity, or a DMF export project run as one package
+const EXPORT_MODES = [
+  { id: 'odata', label: 'OData' },
+  { id: 'dmf', label: 'DMF Package' },
+];
+
+// Formats written as rows and columns, which get the normalization step
+const TABULAR_FORMATS = ['csv', 'xlsx', 'parquet', 'sql'];
+
+/**
+ * Compare an entity's new files with its previous export, per company folder
+ *
+ * @param {object} options
+ * @param {object} options.github - Run target
+ * @param {string} options.entityName - Entity name
+ * @param {object[]} options.files - exportEntity files with content
+ * @param {string[]} options.keys - Entity key fields
+ * @param {boolean} options.incremental - Delta export (not comparable)
+ * @returns {Promise<object[]>} compareWithPrevious results
+ */
+async function compareEntityExport({ github, entityName, files, keys, incremental }) {
+  const groups = new Map();
+  for (const file of files) {
+    if (!groups.has(file.company)) groups.set(file.company, []);
+    groups.get(file.company).push(file);
+  }
+
+  const comparisons = [];
+  for (const [company, groupFiles] of groups) {
+    const folder = [github.path, company].filter(Boolean).join('/');
+    if (incremental) {
+      comparisons.push({ entityName, folder, files: [], diff: null, note: 'Incremental export - only changed rows, not compared' });
+      continue;
+    }
+    comparisons.push(await compareWithPrevious(github, { entityName, folder, files: groupFiles, keys }));
+  }
+  return comparisons;
+}
+
+/**
+ * Commit message and pull request lines for compared entities
+ *
+ * @param {object[]} results - Successful entity results
+ * @returns {string[]} e.g. "MainAccounts changes: 3 added, 0 removed, 1 modified"
+ */
+function describeChanges(results) {
+  return results.flatMap(result => (result.comparisons || [])
+    .filter(comparison => comparison.diff)
+    .map(comparison => `${result.entity} changes: ${summarizeDiff(comparison.diff)}`));
+}
 
 export default function ExportPanel() {
   const {
     d365Config,
-    d365Token,
+    d365TokenProvider,
     d365Connected,
     githubConfig,
+    setGithubConfig,
     githubConnected,
+    entities,
     selectedEntities,
     entityCounts,
+    entityConfigs,
+    companySettings,
     exportFormat,
     setExportFormat,
+    exportOptions,
+    setExportOptions,
     exportProgress,
-    setExportProgress,
     addExportRecord,
     setError,
   } = useApp();
 
-  const [isExporting, setIsExporting] = useState(false);
-  const [exportOptions, setExportOptions] = useState({
-    maxRecords: null, // null = all
-    includeTimestamp: true,
-  });
-  const [exportResults, setExportResults] = useState([]);
+  const { isExporting, exportResults, pullRequest, runExport } = useExportRun();
+  const isProposal = githubConfig.publishMode === PUBLISH_MODES.pullRequest;
 
-  const canExport = d365Connected && githubConnected && selectedEntities.size > 0;
+  const isDmfMode = exportOptions.mode === 'dmf';
+  const snapshotActive = exportOptions.snapshot && SNAPSHOT_FORMATS.includes(exportFormat);
+  const canExport = d365Connected && githubConnected && (isDmfMode
+    ? Boolean(exportOptions.dmfProject.trim() && exportOptions.dmfLegalEntity)
+    : selectedEntities.size > 0);
 
   // Estimate total records for selected entities
   const estimatedRecords = Array.from(selectedEntities)
@@ -45,134 +148,682 @@ export default function ExportPanel() {
   const handleExport = useCallback(async () => {
     if (!canExport) return;
 
-    setIsExporting(true);
-    setExportResults([]);
-    setError(null);
+    const dialectProblem = exportFormat === 'csv' ? validateDialect(exportOptions.csvDialect) : null;
+    if (dialectProblem) {
+      setError(`CSV dialect: ${dialectProblem}`);
+      return;
+    }
 
-    const results = [];
     const entitiesToExport = Array.from(selectedEntities);
-    let completedCount = 0;
+    await runExport({ names: entitiesToExport }, async (run) => {
+      const { companyScope, target, updateEntity: updateEntityProgress } = run;
+      const results = new Array(entitiesToExport.length);
 
-    for (const entityName of entitiesToExport) {
-      try {
-        setExportProgress({
-          phase: 'fetching',
-          current: completedCount + 1,
-          total: entitiesToExport.length,
-          entity: entityName,
-          message: `Fetching ${entityName}...`,
-        });
+      // Separate limits for D365 reads and GitHub writes, plus a shared
+      // budget that keeps D365 requests under the service protection limit
+      const d365Pool = createConcurrencyPool(exportOptions.d365Concurrency);
+      const githubPool = createConcurrencyPool(exportOptions.githubConcurrency);
+      const requestBudget = createRequestBudget({ limit: REQUEST_BUDGET });
+
+      // Snapshots always hold the whole entity, so they ignore watermarks
+      const snapshot = exportOptions.snapshot && SNAPSHOT_FORMATS.includes(exportFormat);
+
+      // Compare each entity with its previous export before the run is committed
+      // (snapshots are compared by git itself, workbooks are not compared)
+      const compareExports = exportOptions.diffReport !== 'off'
+        && !(exportFormat === 'xlsx' && exportOptions.xlsxWorkbook)
+        && !snapshot;
+
+      // Single-commit runs upload blobs as files are written and commit them
+      // together at the end; history entries wait for that commit. A
+      // comparison always uses a batch, or the new part files would already
+      // be on the branch when it looks for the previous export
+      const commitBatch = exportOptions.singleCommit || compareExports ? createCommitBatch(target.github) : null;
+      const pendingRecords = [];
+      const recordExport = (record) => (commitBatch ? pendingRecords.push(record) : addExportRecord(record));
+
+      // Watermarks for incremental mode live in the target repository
+      let exportState = null;
+      let stateChanged = false;
+      if (exportOptions.incremental && !snapshot) {
+        try {
+          run.setMessage('Loading export watermarks...');
+          exportState = await loadExportState(
+            githubConfig.owner,
+            githubConfig.repo,
+            githubConfig.path,
+            githubConfig.token,
+            githubConfig.branch
+          );
+          run.setMessage(null);
+        } catch (error) {
+          setError(`Could not load export state: ${error.message}`);
+          return { results: [], summary: null };
+        }
+      }
+
+      // Excel workbook mode collects every entity into one file
+      let workbook = null;
+      if (exportFormat === 'xlsx' && exportOptions.xlsxWorkbook) {
+        try {
+          workbook = await createWorkbook();
+        } catch (error) {
+          setError(`Could not load the Excel writer: ${error.message}`);
+          return { results: [], summary: null };
+        }
+      }
+
+      // SQLite bundle gets the same rows, one table per entity
+      let sqliteBundle = null;
+      if (exportOptions.sqliteBundle !== 'off') {
+        try {
+          sqliteBundle = await createSqliteBundle();
+        } catch (error) {
+          setError(`Could not load SQLite: ${error.message}`);
+          return { results: [], summary: null };
+        }
+      }
+
+      const runEntityExport = async (entityName, index) => {
+        const entityConfig = entityConfigs[entityName] || {};
+        const entity = entities.find(e => e.name === entityName);
+        const properties = entity?.properties || [];
+        // A snapshot keeps its path, so it never switches to NDJSON
+        const entityFormat = snapshot
+          ? exportFormat
+          : resolveEntityFormat(exportFormat, entityCounts[entityName], exportOptions.ndjsonForLarge);
+        const trackingField = exportState ? entityConfig.incrementalField : null;
+        const watermark = trackingField ? getWatermark(exportState, entityName, trackingField) : null;
+
+        try {
+          const query = buildQueryOptions(entityConfig, properties);
+          query.expand = compileExpand(entityConfig.expand, entity, entities);
+          if (watermark !== null) {
+            query.since = {
+              field: trackingField,
+              type: properties.find(p => p.name === trackingField)?.type,
+              value: watermark,
+            };
+          }
+          // The watermark is read from the tracking field, so it is fetched
+          // even when the field list leaves it out
+          if (trackingField && query.select && !query.select.split(',').includes(trackingField)) {
+            query.select = `${query.select},${trackingField}`;
+          }
+          // A capped delta run must take the oldest changes first, or the
+          // watermark would skip rows beyond the cap; the entity's own sort
+          // only orders rows with the same tracking value
+          if (trackingField && exportOptions.maxRecords) {
+            const otherSorts = (query.orderby || '')
+              .split(',')
+              .filter(sort => sort && sort.trim().split(' ')[0] !== trackingField);
+            query.orderby = [`${trackingField} asc`, ...otherSorts].join(',');
+          }
+
+          // Validate the filter with $count before pulling any pages
+          if (query.filter) {
+            updateEntityProgress(entityName, { phase: 'validating', message: 'Validating filter...' });
+            await requestBudget.acquire();
+            await validateEntityFilter(d365Config.url, entityName, d365TokenProvider, query.filter, companyScope);
+          }
+
+          updateEntityProgress(entityName, { phase: 'fetching', message: 'Fetching...' });
+          const keys = entity?.keys || properties.filter(p => p.isKey).map(p => p.name);
+
+          // Stream pages from D365 into part files in GitHub, or write the
+          // entity's snapshot file
+          const outcome = await (snapshot ? exportSnapshot : exportEntity)({
+            d365: { url: d365Config.url, token: d365TokenProvider },
+            github: target.github,
+            entityName,
+            // A snapshot stands for the whole entity, so it is never capped
+            query: { top: snapshot ? null : exportOptions.maxRecords, ...query, ...companyScope },
+            format: entityFormat,
+            properties,
+            keys,
+            partSize: exportOptions.partSize,
+            expandLinks: getExpandLinks(entityConfig.expand, entity, entities),
+            csvLayout: entityConfig.csvLayout,
+            csvDialect: exportOptions.csvDialect,
+            normalize: exportOptions.normalize,
+            parquet: exportOptions.parquet,
+            sql: exportOptions.sql,
+            splitByCompany: companyScope.crossCompany && companySettings.splitByCompany,
+            workbook,
+            sqlite: sqliteBundle,
+            trackingField,
+            watermark,
+            batch: commitBatch,
+            scheduleCommit: (task) => githubPool.run(task),
+            beforeRequest: () => requestBudget.acquire(),
+            keepContent: compareExports,
+            onProgress: (progress) => {
+              updateEntityProgress(entityName, {
+                phase: progress.phase,
+                page: progress.page,
+                recordCount: progress.recordCount,
+                message: progress.phase === 'retrying'
+                  ? `Page ${progress.page}: ${progress.status || 'network error'} - retrying in ${Math.ceil(progress.delayMs / 1000)}s (attempt ${progress.attempt})`
+                  : progress.phase === 'saving'
+                    ? `Saving ${progress.filename}...`
+                    : `Page ${progress.page}, ${progress.recordCount.toLocaleString()} records`,
+              });
+            },
+          });
+
+          const { pageCount, recordCount } = outcome;
+          // Content was only kept for the comparison
+          const files = outcome.files.map(({ content, ...file }) => file);
+          // Snapshot files deleted because their rows are gone
+          const removed = outcome.removed || [];
+
+          if (recordCount === 0 && removed.length === 0) {
+            results[index] = {
+              entity: entityName,
+              status: 'skipped',
+              message: watermark !== null ? `No changes since ${watermark}` : 'No records found',
+              recordCount: 0,
+              pageCount,
+            };
+            updateEntityProgress(entityName, { phase: 'skipped', message: results[index].message });
+            return;
+          }
+
+          let comparisons = null;
+          if (compareExports) {
+            updateEntityProgress(entityName, { phase: 'comparing', message: 'Comparing with the previous export...' });
+            comparisons = await compareEntityExport({
+              github: target.github,
+              entityName,
+              files: outcome.files,
+              keys,
+              incremental: watermark !== null,
+            });
+            for (const comparison of comparisons) {
+              if (!comparison.diff) continue;
+              try {
+                comparison.reportPath = await githubPool.run(() =>
+                  saveDiffReport(target.github, comparison, exportOptions.diffReport, commitBatch)
+                );
+              } catch (error) {
+                comparison.note = `Report not saved: ${error.message}`;
+              }
+            }
+          }
+
+          if (files.length > 0 && files.every(file => file.unchanged) && removed.length === 0) {
+            results[index] = {
+              entity: entityName,
+              status: 'skipped',
+              message: 'Unchanged since the last snapshot - not committed',
+              recordCount,
+              pageCount,
+            };
+            updateEntityProgress(entityName, { phase: 'skipped', message: results[index].message });
+            return;
+          }
 
-        // Fetch entity data
-        const records = await fetchEntityData(
-          d365Config.url,
-          entityName,
-          d365Token,
-          { top: exportOptions.maxRecords },
-          (progress) => {
-            setExportProgress(prev => ({
-              ...prev,
-              message: `Fetching ${entityName} - Page ${progress.page}, ${progress.recordCount} records...`,
-            }));
+          if (trackingField) {
+            exportState = setWatermark(exportState, entityName, {
+              field: trackingField,
+              watermark: outcome.watermark,
+              recordCount,
+            });
+            stateChanged = true;
           }
-        );
 
-        if (records.length === 0) {
-          results.push({
+          results[index] = {
             entity: entityName,
-            status: 'skipped',
-            message: 'No records found',
+            status: 'success',
+            incremental: watermark !== null,
+            filter: query.filter || null,
+            since: watermark,
+            recordCount,
+            pageCount,
+            format: entityFormat,
+            filename: files.length === 1
+              ? files[0].filename
+              : files.length > 0 ? `${files.length} files` : `${removed.length} removed`,
+            path: files[0]?.path || removed[0],
+            files,
+            removed,
+            comparisons,
+          };
+          updateEntityProgress(entityName, {
+            phase: 'complete',
+            message: workbook
+              ? `${recordCount.toLocaleString()} records added to workbook`
+              : [
+                files.length > 0 && `${recordCount.toLocaleString()} records in ${files.length} file${files.length > 1 ? 's' : ''}`,
+                removed.length > 0 && `${removed.length} snapshot file${removed.length > 1 ? 's' : ''} removed`,
+              ].filter(Boolean).join(', '),
+          });
+
+          for (const file of files.filter(f => !f.unchanged)) {
+            recordExport({
+              timestamp: new Date().toISOString(),
+              entity: entityName,
+              company: file.company,
+              part: file.part,
+              level: file.level,
+              recordCount: file.recordCount,
+              format: entityFormat,
+              path: file.path,
+            });
+          }
+        } catch (error) {
+          console.error(`Export error for ${entityName}:`, error);
+          commitBatch?.drop(entityName);
+          results[index] = {
+            entity: entityName,
+            status: 'error',
+            message: error.message,
             recordCount: 0,
+          };
+          updateEntityProgress(entityName, { phase: 'error', message: error.message });
+        } finally {
+          run.completeEntity();
+        }
+      };
+
+      await Promise.all(entitiesToExport.map((entityName, index) =>
+        d365Pool.run(() => runEntityExport(entityName, index))
+      ));
+
+      let workbookFile = null;
+      if (workbook?.worksheets.length > 0) {
+        try {
+          run.setMessage('Saving workbook...');
+          const file = await saveWorkbook({ github: target.github, workbook, name: 'D365Export', batch: commitBatch });
+          workbookFile = file;
+
+          for (const result of results) {
+            if (result.status !== 'success') continue;
+            result.filename = file.filename;
+            result.path = file.path;
+            recordExport({
+              timestamp: new Date().toISOString(),
+              entity: result.entity,
+              recordCount: result.recordCount,
+              format: exportFormat,
+              path: file.path,
+            });
+          }
+        } catch (error) {
+          console.error('Workbook save error:', error);
+          for (const result of results) {
+            if (result.status !== 'success') continue;
+            result.status = 'error';
+            result.message = `Workbook not saved: ${error.message}`;
+          }
+          // Rows were never committed, so keep the old watermarks
+          stateChanged = false;
+        }
+      }
+
+      let sqliteFile = null;
+      if (sqliteBundle) {
+        try {
+          if (sqliteBundle.tables.length === 0) {
+            sqliteBundle.db.close();
+          } else if (exportOptions.sqliteBundle === 'github') {
+            run.setMessage('Saving SQLite database...');
+            const file = await saveSqliteBundle({
+              github: target.github,
+              bundle: sqliteBundle,
+              name: 'D365Export',
+              batch: commitBatch,
+            });
+            sqliteFile = file;
+            recordExport({
+              timestamp: new Date().toISOString(),
+              entity: sqliteBundle.tables.map(table => table.name).join(', '),
+              recordCount: sqliteBundle.tables.reduce((sum, table) => sum + table.recordCount, 0),
+              format: 'sqlite',
+              path: file.path,
+            });
+          } else {
+            downloadDatabase(bundleToBytes(sqliteBundle), generateFilename('D365Export', 'sqlite'));
+          }
+        } catch (error) {
+          console.error('SQLite bundle error:', error);
+          setError(`Exports saved, but the SQLite database could not be saved: ${error.message}`);
+        }
+      }
+
+      // Persist new high-water marks only after the files were written
+      if (stateChanged && commitBatch) {
+        try {
+          await commitBatch.add({
+            path: getStatePath(githubConfig.path),
+            content: formatExportState(exportState),
           });
-          completedCount++;
-          continue;
+        } catch (error) {
+          console.error('Export state error:', error);
+          setError(`Watermarks could not be added to the commit: ${error.message}`);
+          stateChanged = false;
+        }
+      } else if (stateChanged) {
+        try {
+          await saveExportState(
+            githubConfig.owner,
+            githubConfig.repo,
+            githubConfig.path,
+            exportState,
+            githubConfig.token,
+            target.github.branch
+          );
+        } catch (error) {
+          console.error('Export state error:', error);
+          setError(`Exports saved, but watermarks could not be updated: ${error.message}`);
         }
+      }
 
-        setExportProgress({
-          phase: 'saving',
-          current: completedCount + 1,
-          total: entitiesToExport.length,
-          entity: entityName,
-          message: `Saving ${entityName} to GitHub...`,
-        });
+      // Run record: what the History view needs to run this export again
+      const exported = results.filter(result => result.status === 'success');
+      if (exported.length > 0) {
+        const { mode, dmfProject, dmfLegalEntity, dmfOutput, ...options } = exportOptions;
+        const runRecord = {
+          timestamp: run.startedAt,
+          environment: d365Config.url,
+          format: exportFormat,
+          options,
+          companySettings,
+          entities: exported.map(result => ({
+            name: result.entity,
+            config: entityConfigs[result.entity] || null,
+            recordCount: result.recordCount,
+            files: (result.files || []).map(file => file.path),
+          })),
+          // Shared files named after the run rather than an entity
+          bundles: [workbookFile?.path, sqliteFile?.path].filter(Boolean),
+        };
+        try {
+          if (commitBatch) {
+            await commitBatch.add({
+              path: getRunRecordPath(githubConfig.path, run.startedAt),
+              content: formatRunRecord(runRecord),
+            });
+          } else {
+            await saveRunRecord(target.github, runRecord);
+          }
+        } catch (error) {
+          // History still lists the files; only re-run falls back to defaults
+          console.error('Run record error:', error);
+        }
+      }
+
+      if (commitBatch?.size > 0) {
+        const committed = results.filter(result => result.status === 'success');
+        try {
+          run.setMessage(`Committing ${commitBatch.size} files...`);
+          const commit = await commitBatch.commit(buildExportCommitMessage(
+            committed.map(result => ({
+              name: result.entity,
+              recordCount: result.recordCount,
+              fileCount: result.files?.length || 0,
+              removedCount: result.removed?.length || 0,
+              incremental: result.incremental,
+            })),
+            [
+              workbookFile && `Workbook ${workbookFile.filename}`,
+              sqliteFile && `Database ${sqliteFile.filename}`,
+              stateChanged && 'Export watermarks updated',
+              ...describeChanges(committed),
+            ].filter(Boolean)
+          ));
 
-        // Convert to desired format
-        let content;
-        let filename;
-        
-        if (exportFormat === 'csv') {
-          content = recordsToCsv(records);
-          filename = generateFilename(entityName, 'csv');
-        } else {
-          content = recordsToJson(records, entityName);
-          filename = generateFilename(entityName, 'json');
+          for (const record of pendingRecords) {
+            addExportRecord({ ...record, commit: commit.sha });
+          }
+        } catch (error) {
+          console.error('Commit error:', error);
+          for (const result of committed) {
+            result.status = 'error';
+            result.message = `Not committed: ${error.message}`;
+          }
         }
+      }
+
+      const published = results.filter(result => result.status === 'success');
+      return {
+        results,
+        summary: {
+          entities: published.map(result => ({ name: result.entity, recordCount: result.recordCount, filter: result.filter, since: result.since })),
+          format: exportFormat,
+          notes: [
+            workbookFile && `Workbook \`${workbookFile.filename}\``,
+            sqliteFile && `Database \`${sqliteFile.filename}\``,
+            companyScope.crossCompany && `Companies: ${companyScope.companies.join(', ') || 'all'}`,
+            stateChanged && 'Export watermarks updated',
+            ...describeChanges(published),
+          ].filter(Boolean),
+        },
+      };
+    });
+  }, [
+    canExport,
+    entities,
+    selectedEntities,
+    entityCounts,
+    entityConfigs,
+    companySettings,
+    d365Config,
+    d365TokenProvider,
+    githubConfig,
+    exportFormat,
+    exportOptions,
+    addExportRecord,
+    setError,
+    runExport,
+  ]);
+
+  // Fetch the selected entities into one importable data package zip
+  const handleDataPackageExport = useCallback(async () => {
+    if (!canExport) return;
+
+    const sourceFormat = exportOptions.sourceFormat.trim();
+    if (!/^[a-zA-Z0-9_\- ]{1,60}$/.test(sourceFormat)) {
+      setError('Source data format may only contain letters, numbers, spaces, - and _');
+      return;
+    }
+
+    const entityNames = Array.from(selectedEntities);
+    await runExport({ names: entityNames, message: 'Ordering entities by dependency...' }, async (run) => {
+      const { companyScope, target } = run;
+      const requestBudget = createRequestBudget({ limit: REQUEST_BUDGET });
+      const commitBatch = exportOptions.singleCommit ? createCommitBatch(target.github) : null;
+      const queries = {};
 
-        // Build file path
-        const filePath = githubConfig.path 
-          ? `${githubConfig.path}/${filename}`
-          : filename;
-
-        // Save to GitHub
-        const commitMessage = `Export ${entityName} - ${records.length} records`;
-        
-        await createOrUpdateFile(
-          githubConfig.owner,
-          githubConfig.repo,
-          filePath,
-          content,
-          commitMessage,
-          githubConfig.token,
-          githubConfig.branch
-        );
-
-        results.push({
-          entity: entityName,
-          status: 'success',
-          recordCount: records.length,
-          filename: filename,
-          path: filePath,
+      try {
+        for (const entityName of entityNames) {
+          const entity = entities.find(e => e.name === entityName);
+          const query = buildQueryOptions(entityConfigs[entityName] || {}, entity?.properties || []);
+          queries[entityName] = { top: exportOptions.maxRecords, ...query, ...companyScope };
+        }
+
+        const outcome = await exportDataPackage({
+          d365: { url: d365Config.url, token: d365TokenProvider },
+          github: target.github,
+          entityNames,
+          entities,
+          queries,
+          name: 'D365DataPackage',
+          sourceFormat,
+          beforeRequest: () => requestBudget.acquire(),
+          batch: commitBatch,
+          onProgress: (progress) => {
+            if (progress.phase === 'saving') {
+              run.setMessage(`Saving ${progress.filename}...`);
+            } else if (progress.phase === 'fetched') {
+              run.updateEntity(progress.entity, {
+                phase: 'complete',
+                message: `Level ${progress.level} - ${progress.recordCount.toLocaleString()} records`,
+              });
+              run.setMessage(null);
+              run.completeEntity();
+            } else {
+              run.updateEntity(progress.entity, {
+                phase: progress.phase,
+                message: progress.phase === 'retrying'
+                  ? `Page ${progress.page}: ${progress.status || 'network error'} - retrying in ${Math.ceil(progress.delayMs / 1000)}s (attempt ${progress.attempt})`
+                  : `Level ${progress.level} - ${(progress.recordCount || 0).toLocaleString()} records...`,
+              });
+            }
+          },
         });
 
+        let commit = null;
+        if (commitBatch) {
+          run.setMessage(`Committing ${outcome.filename}...`);
+          commit = await commitBatch.commit(buildExportCommitMessage(
+            outcome.entities.map(entity => ({ name: entity.name, recordCount: entity.recordCount, fileCount: 1 })),
+            [`Data package ${outcome.filename}`]
+          ));
+        }
+
         addExportRecord({
           timestamp: new Date().toISOString(),
-          entity: entityName,
-          recordCount: records.length,
-          format: exportFormat,
-          path: filePath,
+          entity: outcome.entities.map(entity => entity.name).join(', '),
+          recordCount: outcome.entities.reduce((sum, entity) => sum + entity.recordCount, 0),
+          format: 'package',
+          path: outcome.path,
+          ...(commit && { commit: commit.sha }),
         });
+        if (outcome.warning) setError(outcome.warning);
 
+        return {
+          results: outcome.entities.map(entity => ({
+            entity: entity.name,
+            status: 'success',
+            recordCount: entity.recordCount,
+            format: 'package',
+            filename: outcome.filename,
+            path: outcome.path,
+          })),
+          summary: {
+            entities: outcome.entities.map(entity => ({
+              name: entity.name,
+              recordCount: entity.recordCount,
+              filter: queries[entity.name].filter || null,
+            })),
+            format: 'package',
+            notes: companyScope.crossCompany ? [`Companies: ${companyScope.companies.join(', ') || 'all'}`] : [],
+          },
+        };
       } catch (error) {
-        console.error(`Export error for ${entityName}:`, error);
-        results.push({
-          entity: entityName,
-          status: 'error',
-          message: error.message,
-          recordCount: 0,
-        });
+        console.error('Data package export error:', error);
+        return {
+          results: [{ entity: 'Data package', status: 'error', message: error.message, recordCount: null }],
+          summary: null,
+        };
       }
-
-      completedCount++;
-    }
-
-    setExportResults(results);
-    setExportProgress(null);
-    setIsExporting(false);
+    });
   }, [
     canExport,
+    entities,
     selectedEntities,
+    entityConfigs,
     d365Config,
-    d365Token,
-    githubConfig,
-    exportFormat,
+    d365TokenProvider,
     exportOptions,
     addExportRecord,
     setError,
-    setExportProgress,
+    runExport,
   ]);
 
-  const successCount = exportResults.filter(r => r.status === 'success').length;
-  const errorCount = exportResults.filter(r => r.status === 'error').length;
+  // Run the DMF export project, then commit its package
+  const handleDmfExport = useCallback(async () => {
+    if (!canExport) return;
+
+    const projectName = exportOptions.dmfProject.trim();
+    await runExport({ names: [projectName], message: `Running data project ${projectName}...` }, async (run) => {
+      const updateProgress = (patch) => run.updateEntity(projectName, patch);
+      updateProgress({ phase: 'starting', message: 'Starting export...' });
+      const commitBatch = exportOptions.singleCommit ? createCommitBatch(run.target.github) : null;
+
+      try {
+        const outcome = await exportPackage({
+          d365: { url: d365Config.url, token: d365TokenProvider },
+          github: run.target.github,
+          definitionGroupId: projectName,
+          legalEntityId: exportOptions.dmfLegalEntity,
+          output: exportOptions.dmfOutput,
+          batch: commitBatch,
+          onProgress: (progress) => {
+            updateProgress({
+              phase: progress.phase,
+              message: progress.phase === 'executing'
+                ? `${progress.status || 'Waiting'} - ${Math.round(progress.elapsedMs / 1000)}s elapsed`
+                : progress.phase === 'downloading'
+                  ? `${progress.status} - downloading package...`
+                  : progress.phase === 'saving'
+                    ? `Saving ${progress.filename}...`
+                    : 'Starting export...',
+            });
+          },
+        });
+
+        // Some entities of the project failed; the package only has the rest
+        const partial = outcome.status === 'PartiallySucceeded'
+          ? `Data project ${projectName} partially succeeded - some entities are missing from the package; check execution ${outcome.executionId} in D365`
+          : null;
+
+        let commit = null;
+        if (commitBatch) {
+          updateProgress({ phase: 'saving', message: `Committing ${commitBatch.size} files...` });
+          commit = await commitBatch.commit(buildExportCommitMessage(
+            [{ name: projectName, recordCount: null, fileCount: outcome.files.length }],
+            [
+              `DMF package ${outcome.packageName}, legal entity ${exportOptions.dmfLegalEntity}`,
+              `Execution ${outcome.executionId}: ${outcome.status}`,
+            ]
+          ));
+        }
+
+        for (const file of outcome.files) {
+          addExportRecord({
+            timestamp: new Date().toISOString(),
+            entity: projectName,
+            executionId: outcome.executionId,
+            format: 'dmf',
+            path: file.path,
+            ...(commit && { commit: commit.sha }),
+          });
+        }
+        if (partial) setError(partial);
+
+        return {
+          results: outcome.files.map(file => ({
+            entity: file.filename,
+            status: partial ? 'partial' : 'success',
+            message: partial,
+            recordCount: null,
+            filename: file.path,
+          })),
+          summary: {
+            entities: [{ name: projectName, recordCount: null, filter: `Legal entity ${exportOptions.dmfLegalEntity}` }],
+            format: `DMF package (${exportOptions.dmfOutput})`,
+            notes: partial ? [`⚠️ ${partial}`] : [],
+          },
+        };
+      } catch (error) {
+        console.error(`DMF export error for ${projectName}:`, error);
+        return {
+          results: [{ entity: projectName, status: 'error', message: error.message, recordCount: null }],
+          summary: null,
+        };
+      }
+    });
+  }, [
+    canExport,
+    d365Config,
+    d365TokenProvider,
+    exportOptions,
+    addExportRecord,
+    setError,
+    runExport,
+  ]);
 
   return (
     <div className="card">
@@ -193,54 +844,271 @@ export default function ExportPanel() {
 
       {/* Export Options */}
       <div className="space-y-4 mb-6">
-        {/* Format Selection */}
+        {/* Export Mode */}
         <div>
-          <label className="label">Export Format</label>
+          <label className="label">Export Mode</label>
           <div className="flex gap-4">
+            {EXPORT_MODES.map(mode => (
+              <label key={mode.id} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="mode"
+                  value={mode.id}
+                  checked={exportOptions.mode === mode.id}
+                  onChange={() => setExportOptions(prev => ({ ...prev, mode: mode.id }))}
+                  className="accent-nb-red"
+                  disabled={isExporting}
+                />
+                <span className="font-medium">{mode.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Publish Mode */}
+        <div>
+          <label className="label">Publish To</label>
+          <div className="flex flex-wrap gap-4">
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="radio"
-                name="format"
-                value="json"
-                checked={exportFormat === 'json'}
-                onChange={() => setExportFormat('json')}
+                name="publishMode"
+                checked={!isProposal}
+                onChange={() => setGithubConfig(prev => ({ ...prev, publishMode: PUBLISH_MODES.direct }))}
                 className="accent-nb-red"
+                disabled={isExporting}
               />
-              <span className="font-medium">JSON</span>
+              <span className="font-medium">Commit to {githubConfig.branch || 'branch'}</span>
             </label>
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="radio"
-                name="format"
-                value="csv"
-                checked={exportFormat === 'csv'}
-                onChange={() => setExportFormat('csv')}
+                name="publishMode"
+                checked={isProposal}
+                onChange={() => setGithubConfig(prev => ({ ...prev, publishMode: PUBLISH_MODES.pullRequest }))}
                 className="accent-nb-red"
+                disabled={isExporting}
               />
-              <span className="font-medium">CSV</span>
+              <span className="font-medium">Propose via pull request</span>
             </label>
           </div>
+          {isProposal && (
+            <p className="text-xs text-nb-gray mt-1">
+              Each run commits to a new d365-export/&lt;timestamp&gt; branch and opens a pull request
+              into {githubConfig.branch} with entities, row counts, filters, environment and user.
+            </p>
+          )}
         </div>
 
-        {/* Max Records */}
-        <div>
-          <label className="label">Maximum Records per Entity</label>
-          <select
-            value={exportOptions.maxRecords || 'all'}
-            onChange={(e) => setExportOptions(prev => ({
-              ...prev,
-              maxRecords: e.target.value === 'all' ? null : parseInt(e.target.value)
-            }))}
-            className="input-field w-auto"
-          >
-            <option value="all">All Records</option>
-            <option value="100">100</option>
-            <option value="1000">1,000</option>
-            <option value="5000">5,000</option>
-            <option value="10000">10,000</option>
-            <option value="50000">50,000</option>
-          </select>
-        </div>
+        {isDmfMode ? (
+          <DmfPackageOptions
+            options={exportOptions}
+            onChange={(patch) => setExportOptions(prev => ({ ...prev, ...patch }))}
+            disabled={isExporting}
+          />
+        ) : (
+          <>
+            <FormatOptions
+              format={exportFormat}
+              onFormatChange={setExportFormat}
+              options={exportOptions}
+              onChange={(patch) => setExportOptions(prev => ({ ...prev, ...patch }))}
+              disabled={isExporting}
+            />
+
+            {/* Normalization (tabular output only) */}
+            {(TABULAR_FORMATS.includes(exportFormat) || exportOptions.sqliteBundle !== 'off') && (
+              <NormalizeOptions
+                options={exportOptions.normalize}
+                onChange={(normalize) => setExportOptions(prev => ({ ...prev, normalize }))}
+                disabled={isExporting}
+              />
+            )}
+
+            {/* SQLite Bundle */}
+            {exportFormat !== 'package' && (
+              <div>
+                <label className="label">SQLite Database</label>
+                <select
+                  value={exportOptions.sqliteBundle}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, sqliteBundle: e.target.value }))}
+                  className="input-field w-auto"
+                  disabled={isExporting}
+                >
+                  <option value="off">Off</option>
+                  <option value="github">Commit to GitHub</option>
+                  <option value="download">Download</option>
+                </select>
+                <p className="text-xs text-nb-gray mt-1">
+                  Also builds one .sqlite file with a table per entity (keys indexed), kept in memory
+                  until the export finishes
+                </p>
+              </div>
+            )}
+
+            {/* Company Scope */}
+            <CompanySelector disabled={isExporting} />
+
+            {/* Max Records */}
+            <div>
+              <label className="label">Maximum Records per Entity</label>
+              <select
+                value={snapshotActive ? 'all' : exportOptions.maxRecords || 'all'}
+                onChange={(e) => setExportOptions(prev => ({
+                  ...prev,
+                  maxRecords: e.target.value === 'all' ? null : parseInt(e.target.value)
+                }))}
+                className="input-field w-auto"
+                disabled={isExporting || snapshotActive}
+              >
+                <option value="all">All Records</option>
+                <option value="100">100</option>
+                <option value="1000">1,000</option>
+                <option value="5000">5,000</option>
+                <option value="10000">10,000</option>
+                <option value="50000">50,000</option>
+              </select>
+              {snapshotActive && (
+                <p className="text-xs text-nb-gray mt-1">
+                  Snapshots always export every record
+                </p>
+              )}
+            </div>
+
+            {/* Part Size */}
+            <div>
+              <label className="label">Rows per File</label>
+              <select
+                value={exportOptions.partSize}
+                onChange={(e) => setExportOptions(prev => ({ ...prev, partSize: parseInt(e.target.value) }))}
+                className="input-field w-auto"
+              >
+                {PART_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size.toLocaleString()}</option>
+                ))}
+              </select>
+              <p className="text-xs text-nb-gray mt-1">
+                Larger entities are written as numbered part files as pages arrive
+              </p>
+            </div>
+
+            {/* Concurrency */}
+            <div className="flex flex-wrap gap-6">
+              <div>
+                <label className="label">Parallel Entities</label>
+                <select
+                  value={exportOptions.d365Concurrency}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, d365Concurrency: parseInt(e.target.value) }))}
+                  className="input-field w-auto"
+                  disabled={isExporting}
+                >
+                  {[1, 2, 3, 4, 5, 6].map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Parallel Commits</label>
+                <select
+                  value={exportOptions.githubConcurrency}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, githubConcurrency: parseInt(e.target.value) }))}
+                  className="input-field w-auto"
+                  disabled={isExporting}
+                >
+                  {[1, 2, 3].map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <p className="text-xs text-nb-gray -mt-2">
+              D365 requests are paced to stay under {REQUEST_BUDGET.toLocaleString()} per 5 minutes.
+              Commits to one branch can conflict above 1 unless files go in a single commit.
+            </p>
+
+            {/* Single Commit */}
+            <div>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={exportOptions.singleCommit}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, singleCommit: e.target.checked }))}
+                  disabled={isExporting}
+                />
+                <span className="text-sm">One commit per export run</span>
+              </label>
+              <p className="text-xs text-nb-gray mt-1 pl-7">
+                Files are uploaded as they are written and committed together at the end, with
+                every entity and its row count in the commit message. Failed entities are left out.
+              </p>
+            </div>
+
+            {/* Snapshot Mode */}
+            <div>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={exportOptions.snapshot}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, snapshot: e.target.checked }))}
+                  disabled={isExporting || !SNAPSHOT_FORMATS.includes(exportFormat)}
+                />
+                <span className="text-sm">Snapshot mode (one stable file per entity)</span>
+              </label>
+              <p className="text-xs text-nb-gray mt-1 pl-7">
+                Each entity overwrites the same file, e.g. <span className="font-mono">CustomersV3.csv</span>,
+                with rows sorted by entity key, columns in a fixed order and @odata annotations dropped,
+                so git diffs show real data changes. Files identical to the committed version are not
+                committed, and the file of an entity or company with no rows left is deleted (unless
+                the entity is filtered). The record limit does not apply. Available for {SNAPSHOT_FORMATS.map(format => format.toUpperCase()).join(', ')};
+                the whole entity is held in memory.
+              </p>
+            </div>
+
+            {/* Compare With Previous Export */}
+            {exportFormat !== 'package' && (
+              <div>
+                <label className="label">Compare With Previous Export</label>
+                <select
+                  value={exportOptions.diffReport}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, diffReport: e.target.value }))}
+                  className="input-field w-auto"
+                  disabled={isExporting || (exportFormat === 'xlsx' && exportOptions.xlsxWorkbook) || snapshotActive}
+                >
+                  {DIFF_REPORT_FORMATS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-nb-gray mt-1">
+                  Matches rows by entity key against the last export in the same format and saves
+                  the added, removed and modified records next to the new file. Best for reference
+                  data; entities over {DIFF_MAX_ROWS.toLocaleString()} rows are not compared.
+                  {exportOptions.diffReport !== 'off' && !exportOptions.singleCommit
+                    && ' The run goes in one commit, so new files are not compared with themselves.'}
+                </p>
+              </div>
+            )}
+
+            {/* Incremental Mode */}
+            <div>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={exportOptions.incremental}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, incremental: e.target.checked }))}
+                  disabled={isExporting || snapshotActive}
+                />
+                <span className="text-sm">Incremental (only rows changed since last export)</span>
+              </label>
+              {exportOptions.incremental && (
+                <p className="text-xs text-nb-gray mt-1 pl-7">
+                  Uses each entity's change-tracking field (Entity Settings → Delta). Entities
+                  without one are exported in full. The field is always exported, and with a
+                  record limit rows are sorted by it first so the oldest changes come first.
+                </p>
+              )}
+            </div>
+          </>
+        )}
       </div>
 
       {/* Selection Summary */}
@@ -248,9 +1116,11 @@ export default function ExportPanel() {
         <div className="flex items-center justify-between">
           <div>
             <p className="font-semibold text-nb-black">
-              {selectedEntities.size} entities selected
+              {isDmfMode
+                ? `Data project ${exportOptions.dmfProject.trim() || '(none)'}`
+                : `${selectedEntities.size} entities selected`}
             </p>
-            {estimatedRecords > 0 && (
+            {!isDmfMode && estimatedRecords > 0 && (
               <p className="text-sm text-nb-gray">
                 ~{estimatedRecords.toLocaleString()} estimated records
               </p>
@@ -269,30 +1139,13 @@ export default function ExportPanel() {
       </div>
 
       {/* Export Progress */}
-      {exportProgress && (
-        <div className="mb-6 animate-fade-in">
-          <div className="flex items-center justify-between mb-2">
-            <span className="text-sm font-medium">
-              {exportProgress.message}
-            </span>
-            <span className="text-sm text-nb-gray">
-              {exportProgress.current} / {exportProgress.total}
-            </span>
-          </div>
-          <div className="progress-bar">
-            <div 
-              className="progress-bar-fill"
-              style={{ 
-                width: `${(exportProgress.current / exportProgress.total) * 100}%` 
-              }}
-            />
-          </div>
-        </div>
-      )}
+      {exportProgress && <ExportProgress progress={exportProgress} />}
 
       {/* Export Button */}
       <button
-        onClick={handleExport}
+        onClick={isDmfMode
+          ? handleDmfExport
+          : exportFormat === 'package' ? handleDataPackageExport : handleExport}
         disabled={!canExport || isExporting}
         className="btn-primary w-full flex items-center justify-center gap-2"
       >
@@ -304,83 +1157,13 @@ export default function ExportPanel() {
         ) : (
           <>
             <span>📤</span>
-            Export Selected Entities
+            {isDmfMode ? 'Run Data Project' : 'Export Selected Entities'}
           </>
         )}
       </button>
 
       {/* Export Results */}
-      {exportResults.length > 0 && (
-        <div className="mt-6 animate-fade-in">
-          <h3 className="font-semibold text-nb-black mb-3">
-            Export Results
-          </h3>
-          
-          {/* Summary */}
-          <div className="flex gap-4 mb-4">
-            {successCount > 0 && (
-              <span className="badge badge-teal">
-                {successCount} successful
-              </span>
-            )}
-            {errorCount > 0 && (
-              <span className="badge badge-red">
-                {errorCount} failed
-              </span>
-            )}
-          </div>
-
-          {/* Results Table */}
-          <div className="overflow-x-auto max-h-60 overflow-y-auto">
-            <table className="data-table">
-              <thead>
-                <tr>
-                  <th>Entity</th>
-                  <th>Status</th>
-                  <th>Records</th>
-                  <th>File</th>
-                </tr>
-              </thead>
-              <tbody>
-                {exportResults.map((result, idx) => (
-                  <tr key={idx}>
-                    <td className="font-medium">{result.entity}</td>
-                    <td>
-                      <span className={`badge ${
-                        result.status === 'success' ? 'badge-teal' :
-                        result.status === 'error' ? 'badge-red' :
-                        'badge-gray'
-                      }`}>
-                        {result.status}
-                      </span>
-                    </td>
-                    <td className="text-right font-mono">
-                      {result.recordCount.toLocaleString()}
-                    </td>
-                    <td className="text-sm">
-                      {result.filename || result.message || '—'}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-
-          {/* GitHub Link */}
-          {successCount > 0 && (
-            <div className="mt-4 pt-4 border-t border-nb-opal">
-              <a
-                href={`https://github.com/${githubConfig.owner}/${githubConfig.repo}/tree/${githubConfig.branch}/${githubConfig.path}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-nb-teal hover:underline text-sm"
-              >
-                View exports on GitHub →
-              </a>
-            </div>
-          )}
-        </div>
-      )}
+      {exportResults.length > 0 && <ExportResults results={exportResults} pullRequest={pullRequest} />}
     </div>
   );
 }
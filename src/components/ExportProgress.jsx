@@ -0,0 +1,49 @@
+/**
+ * Export Progress
+ *
+ * Overall progress bar and the phase of each entity in a running export
+ */
+
+import React from 'react';
+
+const PHASE_BADGES = {
+  queued: 'badge-gray',
+  complete: 'badge-teal',
+  skipped: 'badge-gray',
+  error: 'badge-red',
+  retrying: 'badge-yellow',
+};
+
+export default function ExportProgress({ progress }) {
+  return (
+    <div className="mb-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium">
+          {progress.message || 'Exporting entities...'}
+        </span>
+        <span className="text-sm text-nb-gray">
+          {progress.completed} / {progress.total}
+        </span>
+      </div>
+      <div className="progress-bar mb-3">
+        <div 
+          className="progress-bar-fill"
+          style={{ 
+            width: `${(progress.completed / progress.total) * 100}%` 
+          }}
+        />
+      </div>
+      <div className="space-y-1 max-h-60 overflow-y-auto">
+        {Object.entries(progress.entities).map(([entityName, entityProgress]) => (
+          <div key={entityName} className="flex items-center gap-3 text-sm">
+            <span className={`badge ${PHASE_BADGES[entityProgress.phase] || 'badge-yellow'} w-24 justify-center`}>
+              {entityProgress.phase}
+            </span>
+            <span className="font-medium">{entityName}</span>
+            <span className="text-nb-gray truncate">{entityProgress.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
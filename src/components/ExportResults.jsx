@@ -0,0 +1,123 @@
+/**
+ * Export Results
+ *
+ * Outcome of the last export run: per-entity status, change reports and
+ * links to the committed files or the pull request
+ */
+
+import React from 'react';
+import { useApp } from '../context/AppContext';
+import { PUBLISH_MODES } from '../utils/exportRunner';
+import DiffReport from './DiffReport';
+
+export default function ExportResults({ results, pullRequest }) {
+  const { githubConfig } = useApp();
+  const isProposal = githubConfig.publishMode === PUBLISH_MODES.pullRequest;
+
+  const successCount = results.filter(r => r.status === 'success').length;
+  const errorCount = results.filter(r => r.status === 'error').length;
+  const partialCount = results.filter(r => r.status === 'partial').length;
+
+  return (
+    <div className="mt-6 animate-fade-in">
+      <h3 className="font-semibold text-nb-black mb-3">
+        Export Results
+      </h3>
+
+      {/* Summary */}
+      <div className="flex gap-4 mb-4">
+        {successCount > 0 && (
+          <span className="badge badge-teal">
+            {successCount} successful
+          </span>
+        )}
+        {partialCount > 0 && (
+          <span className="badge badge-yellow">
+            {partialCount} partially exported
+          </span>
+        )}
+        {errorCount > 0 && (
+          <span className="badge badge-red">
+            {errorCount} failed
+          </span>
+        )}
+      </div>
+
+      {/* Results Table */}
+      <div className="overflow-x-auto max-h-60 overflow-y-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Entity</th>
+              <th>Status</th>
+              <th>Pages</th>
+              <th>Records</th>
+              <th>File</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((result, idx) => (
+              <tr key={idx}>
+                <td className="font-medium">{result.entity}</td>
+                <td>
+                  <span className={`badge ${
+                    result.status === 'success' ? 'badge-teal' :
+                    result.status === 'error' ? 'badge-red' :
+                    result.status === 'partial' ? 'badge-yellow' :
+                    'badge-gray'
+                  }`}>
+                    {result.status}
+                  </span>
+                </td>
+                <td className="text-right font-mono">
+                  {result.pageCount ?? '—'}
+                </td>
+                <td className="text-right font-mono">
+                  {result.recordCount?.toLocaleString() ?? '—'}
+                </td>
+                <td className="text-sm">
+                  {result.filename || result.message || '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Changes Since The Previous Export */}
+      {results.some(result => result.comparisons?.length > 0) && (
+        <div className="mt-4 space-y-3">
+          {results.flatMap(result => (result.comparisons || []).map((comparison, i) => (
+            <DiffReport key={`${result.entity}-${i}`} comparison={comparison} />
+          )))}
+        </div>
+      )}
+
+      {/* GitHub Link */}
+      {pullRequest && (
+        <div className="mt-4 pt-4 border-t border-nb-opal">
+          <a
+            href={pullRequest.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-nb-teal hover:underline text-sm"
+          >
+            Review pull request #{pullRequest.number} ({pullRequest.branch}) →
+          </a>
+        </div>
+      )}
+      {successCount > 0 && !isProposal && (
+        <div className="mt-4 pt-4 border-t border-nb-opal">
+          <a
+            href={`https://github.com/${githubConfig.owner}/${githubConfig.repo}/tree/${githubConfig.branch}/${githubConfig.path}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-nb-teal hover:underline text-sm"
+          >
+            View exports on GitHub →
+          </a>
+        </div>
+      )}
+    </div>
+  );
+}
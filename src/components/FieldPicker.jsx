@@ -0,0 +1,165 @@
+/**
+ * Field Picker
+ *
+ * Column chooser for a single entity. The selection is stored in the
+ * entity's export settings and sent as $select.
+ */
+
+import React, { useState, useCallback, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { fetchEntitySample } from '../utils/d365Api';
+import { fieldsFromSample } from '../utils/odataMetadata';
+
+export default function FieldPicker({ entityName }) {
+  const {
+    d365Config,
+    d365TokenProvider,
+    entities,
+    setEntities,
+    entityConfigs,
+    updateEntityConfig,
+    setError,
+  } = useApp();
+
+  const [search, setSearch] = useState('');
+  const [loadingSample, setLoadingSample] = useState(false);
+
+  const entity = entities.find(e => e.name === entityName);
+  const fields = entity?.properties || [];
+  const selected = entityConfigs[entityName]?.select || null; // null = all fields
+
+  const visibleFields = useMemo(() => {
+    if (!search) return fields;
+    const lowerSearch = search.toLowerCase();
+    return fields.filter(f => f.name.toLowerCase().includes(lowerSearch));
+  }, [fields, search]);
+
+  // Infer fields from a one-row sample when no metadata is loaded
+  const handleLoadSample = useCallback(async () => {
+    setLoadingSample(true);
+    setError(null);
+
+    try {
+      const record = await fetchEntitySample(d365Config.url, entityName, d365TokenProvider);
+      if (!record) {
+        setError(`${entityName} has no records to sample fields from`);
+        return;
+      }
+
+      const sampleFields = fieldsFromSample(record);
+      setEntities(prev => prev.map(e =>
+        e.name === entityName ? { ...e, properties: sampleFields, keys: e.keys || [] } : e
+      ));
+    } catch (error) {
+      console.error(`Field sample error for ${entityName}:`, error);
+      setError(error.message || 'Failed to load fields');
+    } finally {
+      setLoadingSample(false);
+    }
+  }, [d365Config.url, d365TokenProvider, entityName, setEntities, setError]);
+
+  const isSelected = useCallback((field) => {
+    return field.isKey || selected === null || selected.includes(field.name);
+  }, [selected]);
+
+  const toggleField = useCallback((field) => {
+    if (field.isKey) return;
+
+    const current = selected === null ? fields.map(f => f.name) : selected;
+    const next = current.includes(field.name)
+      ? current.filter(name => name !== field.name)
+      : [...current, field.name];
+
+    // Keep $select in metadata order and always include key fields
+    const ordered = fields
+      .filter(f => f.isKey || next.includes(f.name))
+      .map(f => f.name);
+
+    // An empty $select would be dropped and export every field
+    if (ordered.length === 0) return;
+
+    updateEntityConfig(entityName, {
+      select: ordered.length === fields.length ? null : ordered,
+    });
+  }, [selected, fields, entityName, updateEntityConfig]);
+
+  const selectAll = useCallback(() => {
+    updateEntityConfig(entityName, { select: null });
+  }, [entityName, updateEntityConfig]);
+
+  const keyFields = useMemo(() => fields.filter(f => f.isKey), [fields]);
+
+  const selectKeysOnly = useCallback(() => {
+    if (keyFields.length === 0) return;
+    updateEntityConfig(entityName, {
+      select: keyFields.map(f => f.name),
+    });
+  }, [keyFields, entityName, updateEntityConfig]);
+
+  if (fields.length === 0) {
+    return (
+      <div className="text-sm text-nb-gray">
+        <p className="mb-2">
+          No field list for {entityName}. Load the catalog or sample one record.
+        </p>
+        <button
+          onClick={handleLoadSample}
+          disabled={loadingSample}
+          className="btn-outline text-xs py-1 px-3"
+        >
+          {loadingSample ? 'Sampling...' : 'Sample Fields'}
+        </button>
+      </div>
+    );
+  }
+
+  const selectedCount = fields.filter(isSelected).length;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search fields..."
+          className="input-field py-2 text-sm flex-1 min-w-[160px]"
+        />
+        <button onClick={selectAll} className="text-xs text-nb-teal hover:underline">
+          All
+        </button>
+        <button
+          onClick={selectKeysOnly}
+          disabled={keyFields.length === 0}
+          title={keyFields.length === 0 ? 'No key fields known for this entity' : undefined}
+          className="text-xs text-nb-gray hover:underline disabled:opacity-50 disabled:no-underline"
+        >
+          Keys Only
+        </button>
+        <span className="text-xs text-nb-gray">
+          {selectedCount} / {fields.length} fields
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-1 max-h-60 overflow-y-auto">
+        {visibleFields.map(field => (
+          <label
+            key={field.name}
+            className="flex items-center gap-2 text-sm py-1 cursor-pointer"
+            title={field.type}
+          >
+            <input
+              type="checkbox"
+              checked={isSelected(field)}
+              disabled={field.isKey || (isSelected(field) && selectedCount === 1)}
+              onChange={() => toggleField(field)}
+            />
+            <span className={field.isKey ? 'font-semibold' : ''}>
+              {field.isKey && '🔑 '}{field.name}
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+/**
+ * File Preview
+ *
+ * Paginated, searchable grid of an exported file from the repository
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { getBlob } from '../utils/githubApi';
+import { readExportRows, filterRows, formatCell, downloadFile } from '../utils/filePreview';
+
+const PAGE_SIZE_OPTIONS = [25, 50, 100];
+
+// Cells are cut here; the full value is in the tooltip
+const MAX_CELL_LENGTH = 80;
+
+export default function FilePreview({ github, file, onClose }) {
+  const [bytes, setBytes] = useState(null);
+  const [table, setTable] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZE_OPTIONS[0]);
+
+  // Download the file once
+  useEffect(() => {
+    let cancelled = false;
+    setBytes(null);
+    setTable(null);
+    setSheet(null);
+    setSearch('');
+    setPage(0);
+    setLoadError(null);
+    setIsLoading(true);
+    getBlob(github.owner, github.repo, file.sha, github.token)
+      .then(content => {
+        if (!cancelled) setBytes(content);
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setLoadError(`Could not download ${file.name}: ${error.message}`);
+          setIsLoading(false);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [github.owner, github.repo, github.token, file.sha, file.name]);
+
+  // Parse it (again when another worksheet is picked)
+  useEffect(() => {
+    if (!bytes) return undefined;
+
+    let cancelled = false;
+    setIsLoading(true);
+    readExportRows(bytes, file.format, { sheet })
+      .then(result => {
+        if (!cancelled) {
+          setTable(result);
+          setPage(0);
+        }
+      })
+      .catch(error => {
+        if (!cancelled) setLoadError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [bytes, file.format, sheet]);
+
+  const matches = useMemo(
+    () => (table ? filterRows(table.rows, table.columns, search) : []),
+    [table, search]
+  );
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visibleRows = matches.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  return (
+    <div className="card-teal animate-fade-in">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-nb-black">Preview</h3>
+          <p className="text-xs text-nb-gray font-mono truncate">{file.path}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => downloadFile(bytes, file.name)}
+            className="btn-outline text-sm py-2"
+            disabled={!bytes}
+          >
+            Download
+          </button>
+          <button onClick={onClose} className="text-nb-gray hover:text-nb-black" aria-label="Close preview">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center gap-3 text-sm text-nb-gray py-4">
+          <span className="spinner" />
+          {bytes ? 'Reading rows...' : 'Downloading...'}
+        </div>
+      )}
+      {loadError && <p className="text-sm text-nb-red">{loadError}</p>}
+
+      {table && !loadError && (
+        <>
+          <div className="flex flex-wrap items-center gap-4 mb-4">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+              placeholder="Search rows..."
+              className="input-field flex-1 min-w-[200px]"
+            />
+            {table.sheets.length > 1 && (
+              <select
+                value={sheet || table.sheets[0]}
+                onChange={(e) => setSheet(e.target.value)}
+                className="input-field w-auto"
+              >
+                {table.sheets.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={pageSize}
+              onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }}
+              className="input-field w-auto"
+            >
+              {PAGE_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>{size} rows</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto border border-nb-opal">
+            <table className="data-table">
+              <thead className="sticky top-0">
+                <tr>
+                  <th>#</th>
+                  {table.columns.map(column => (
+                    <th key={column} className="whitespace-nowrap">{column}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map((row, i) => (
+                  <tr key={i}>
+                    <td className="text-nb-gray">{currentPage * pageSize + i + 1}</td>
+                    {table.columns.map(column => {
+                      const text = formatCell(row[column]);
+                      return (
+                        <td key={column} className="whitespace-nowrap font-mono text-xs" title={text.length > MAX_CELL_LENGTH ? text : undefined}>
+                          {text.length > MAX_CELL_LENGTH ? `${text.substring(0, MAX_CELL_LENGTH)}…` : text}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleRows.length === 0 && (
+              <p className="text-sm text-nb-gray p-4">{search ? 'No rows match the search.' : 'This file has no rows.'}</p>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between mt-3 text-sm">
+            <span className="text-nb-gray">
+              {matches.length.toLocaleString()} of {table.rows.length.toLocaleString()} rows
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                className="btn-outline text-sm py-1 px-3"
+                disabled={currentPage === 0}
+              >
+                ‹ Prev
+              </button>
+              <span className="text-nb-gray">Page {currentPage + 1} of {pageCount}</span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                className="btn-outline text-sm py-1 px-3"
+                disabled={currentPage >= pageCount - 1}
+              >
+                Next ›
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
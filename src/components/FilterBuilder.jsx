@@ -0,0 +1,366 @@
+/**
+ * Filter Builder
+ *
+ * Row-based $filter / $orderby builder for a single entity. Conditions are
+ * stored in the entity's export settings and compiled at export time.
+ */
+
+import React, { useState, useCallback, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { validateEntityFilter } from '../utils/d365Api';
+import {
+  getOperatorsFor,
+  getValueKind,
+  compileFilter,
+  compileOrderBy,
+  createGroup,
+} from '../utils/odataFilter';
+
+/**
+ * Value input matched to the field's Edm type
+ */
+function ValueInput({ property, operator, value, onChange }) {
+  const kind = getValueKind(property);
+
+  // "in" takes a comma-separated list regardless of type
+  if (operator === 'in') {
+    return (
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="value1, value2, ..."
+        className="input-field py-2 text-sm"
+      />
+    );
+  }
+
+  if (kind === 'boolean') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="input-field py-2 text-sm">
+        <option value="">Select...</option>
+        <option value="true">true</option>
+        <option value="false">false</option>
+      </select>
+    );
+  }
+
+  if (kind === 'enum') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="input-field py-2 text-sm">
+        <option value="">Select...</option>
+        {property.enumMembers.map(member => (
+          <option key={member.name} value={member.name}>{member.name}</option>
+        ))}
+      </select>
+    );
+  }
+
+  const inputType = {
+    number: 'number',
+    datetime: 'datetime-local',
+    date: 'date',
+  }[kind] || 'text';
+
+  return (
+    <input
+      type={inputType}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="input-field py-2 text-sm"
+    />
+  );
+}
+
+/**
+ * Single condition row: field, operator, value
+ */
+export function ConditionRow({ condition, properties, onChange, onRemove }) {
+  const property = properties.find(p => p.name === condition.field);
+  const operators = getOperatorsFor(property);
+
+  return (
+    <div className="flex flex-wrap sm:flex-nowrap items-center gap-2">
+      <select
+        value={condition.field}
+        onChange={(e) => onChange({ ...condition, field: e.target.value, operator: 'eq', value: '' })}
+        className="input-field py-2 text-sm sm:w-1/3"
+      >
+        <option value="">Field...</option>
+        {properties.map(p => (
+          <option key={p.name} value={p.name}>{p.name}</option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => onChange({ ...condition, operator: e.target.value })}
+        className="input-field py-2 text-sm sm:w-1/4"
+      >
+        {operators.map(op => (
+          <option key={op.value} value={op.value}>{op.label}</option>
+        ))}
+      </select>
+      <div className="flex-1 min-w-[120px]">
+        <ValueInput
+          property={property}
+          operator={condition.operator}
+          value={condition.value}
+          onChange={(value) => onChange({ ...condition, value })}
+        />
+      </div>
+      <button onClick={onRemove} className="text-nb-gray hover:text-nb-red px-2" aria-label="Remove condition">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+/**
+ * AND/OR toggle
+ */
+function LogicToggle({ logic, onChange }) {
+  return (
+    <div className="inline-flex border-2 border-nb-black text-xs font-bold">
+      {['and', 'or'].map(value => (
+        <button
+          key={value}
+          onClick={() => onChange(value)}
+          className={`px-3 py-1 uppercase ${logic === value ? 'bg-nb-black text-white' : 'bg-white text-nb-black'}`}
+        >
+          {value}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export const newCondition = () => ({ field: '', operator: 'eq', value: '' });
+
+export default function FilterBuilder({ entityName }) {
+  const {
+    d365Config,
+    d365TokenProvider,
+    entities,
+    entityConfigs,
+    updateEntityConfig,
+    companySettings,
+  } = useApp();
+
+  const [validation, setValidation] = useState(null);
+  const [validating, setValidating] = useState(false);
+
+  const entity = entities.find(e => e.name === entityName);
+  const properties = entity?.properties || [];
+  const config = entityConfigs[entityName] || {};
+  const filterGroup = config.filterGroup || createGroup();
+  const orderBy = config.orderBy || [];
+
+  // Compiled preview (errors are shown instead of the query)
+  const preview = useMemo(() => {
+    try {
+      return {
+        filter: compileFilter(filterGroup, properties),
+        orderby: compileOrderBy(orderBy, properties),
+        error: null,
+      };
+    } catch (error) {
+      return { filter: null, orderby: null, error: error.message };
+    }
+  }, [filterGroup, orderBy, properties]);
+
+  const setGroup = useCallback((group) => {
+    updateEntityConfig(entityName, { filterGroup: group });
+    setValidation(null);
+  }, [entityName, updateEntityConfig]);
+
+  const setOrderBy = useCallback((rows) => {
+    updateEntityConfig(entityName, { orderBy: rows });
+  }, [entityName, updateEntityConfig]);
+
+  // Replace item at index in a group's condition list
+  const replaceAt = (group, index, item) => ({
+    ...group,
+    conditions: item === null
+      ? group.conditions.filter((_, i) => i !== index)
+      : group.conditions.map((c, i) => (i === index ? item : c)),
+  });
+
+  const handleValidate = useCallback(async () => {
+    if (!preview.filter) return;
+
+    setValidating(true);
+    try {
+      const count = await validateEntityFilter(d365Config.url, entityName, d365TokenProvider, preview.filter, {
+        crossCompany: companySettings.crossCompany,
+        companies: companySettings.companies,
+      });
+      setValidation({ ok: true, message: `Filter OK — ${count.toLocaleString()} matching records` });
+    } catch (error) {
+      setValidation({ ok: false, message: error.message });
+    } finally {
+      setValidating(false);
+    }
+  }, [preview.filter, d365Config.url, entityName, d365TokenProvider, companySettings]);
+
+  if (properties.length === 0) {
+    return (
+      <p className="text-sm text-nb-gray">
+        Load the catalog or sample fields for {entityName} to build a filter.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Conditions */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <span className="label mb-0">Filter</span>
+          {filterGroup.conditions.length > 1 && (
+            <LogicToggle
+              logic={filterGroup.logic}
+              onChange={(logic) => setGroup({ ...filterGroup, logic })}
+            />
+          )}
+        </div>
+
+        <div className="space-y-2">
+          {filterGroup.conditions.map((item, index) => (
+            item.conditions ? (
+              <div key={index} className="border-l-4 border-nb-opal pl-3 py-2 space-y-2">
+                <div className="flex items-center justify-between">
+                  <LogicToggle
+                    logic={item.logic}
+                    onChange={(logic) => setGroup(replaceAt(filterGroup, index, { ...item, logic }))}
+                  />
+                  <button
+                    onClick={() => setGroup(replaceAt(filterGroup, index, null))}
+                    className="text-xs text-nb-gray hover:text-nb-red"
+                  >
+                    Remove group
+                  </button>
+                </div>
+                {item.conditions.map((condition, childIndex) => (
+                  <ConditionRow
+                    key={childIndex}
+                    condition={condition}
+                    properties={properties}
+                    onChange={(next) => setGroup(replaceAt(filterGroup, index, replaceAt(item, childIndex, next)))}
+                    onRemove={() => setGroup(replaceAt(filterGroup, index, replaceAt(item, childIndex, null)))}
+                  />
+                ))}
+                <button
+                  onClick={() => setGroup(replaceAt(filterGroup, index, {
+                    ...item,
+                    conditions: [...item.conditions, newCondition()],
+                  }))}
+                  className="text-xs text-nb-teal hover:underline"
+                >
+                  + Condition
+                </button>
+              </div>
+            ) : (
+              <ConditionRow
+                key={index}
+                condition={item}
+                properties={properties}
+                onChange={(next) => setGroup(replaceAt(filterGroup, index, next))}
+                onRemove={() => setGroup(replaceAt(filterGroup, index, null))}
+              />
+            )
+          ))}
+        </div>
+
+        <div className="flex gap-4 mt-2">
+          <button
+            onClick={() => setGroup({ ...filterGroup, conditions: [...filterGroup.conditions, newCondition()] })}
+            className="text-xs text-nb-teal hover:underline"
+          >
+            + Condition
+          </button>
+          <button
+            onClick={() => setGroup({
+              ...filterGroup,
+              conditions: [
+                ...filterGroup.conditions,
+                { ...createGroup(filterGroup.logic === 'and' ? 'or' : 'and'), conditions: [newCondition()] },
+              ],
+            })}
+            className="text-xs text-nb-teal hover:underline"
+          >
+            + Group
+          </button>
+        </div>
+      </div>
+
+      {/* Sort */}
+      <div>
+        <span className="label">Sort</span>
+        <div className="space-y-2">
+          {orderBy.map((sort, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={sort.field}
+                onChange={(e) => setOrderBy(orderBy.map((s, i) => (i === index ? { ...s, field: e.target.value } : s)))}
+                className="input-field py-2 text-sm flex-1"
+              >
+                <option value="">Field...</option>
+                {properties.map(p => (
+                  <option key={p.name} value={p.name}>{p.name}</option>
+                ))}
+              </select>
+              <select
+                value={sort.direction}
+                onChange={(e) => setOrderBy(orderBy.map((s, i) => (i === index ? { ...s, direction: e.target.value } : s)))}
+                className="input-field py-2 text-sm w-auto"
+              >
+                <option value="asc">Ascending</option>
+                <option value="desc">Descending</option>
+              </select>
+              <button
+                onClick={() => setOrderBy(orderBy.filter((_, i) => i !== index))}
+                className="text-nb-gray hover:text-nb-red px-2"
+                aria-label="Remove sort"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setOrderBy([...orderBy, { field: '', direction: 'asc' }])}
+          className="text-xs text-nb-teal hover:underline mt-2"
+        >
+          + Sort
+        </button>
+      </div>
+
+      {/* Query Preview */}
+      <div className="bg-nb-cream p-3 text-xs font-mono break-all">
+        {preview.error ? (
+          <span className="text-nb-red">{preview.error}</span>
+        ) : (
+          <>
+            <div>$filter={preview.filter || '(none)'}</div>
+            <div>$orderby={preview.orderby || '(none)'}</div>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleValidate}
+          disabled={!preview.filter || validating}
+          className="btn-outline text-xs py-1 px-3"
+        >
+          {validating ? 'Validating...' : 'Validate'}
+        </button>
+        {validation && (
+          <span className={`text-xs ${validation.ok ? 'text-nb-teal' : 'text-nb-red'}`}>
+            {validation.message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * Format Options
+ *
+ * Output format picker with the settings of the selected format
+ */
+
+import React from 'react';
+import { EXPORT_FORMATS, LARGE_ENTITY_THRESHOLD } from '../utils/exportRunner';
+import { PARQUET_COMPRESSIONS, PARQUET_ROW_GROUP_OPTIONS } from '../utils/parquetWriter';
+import { SQL_DIALECTS, SQL_BATCH_SIZES } from '../utils/sqlWriter';
+import CsvDialectOptions from './CsvDialectOptions';
+
+export default function FormatOptions({ format, onFormatChange, options, onChange, disabled }) {
+  return (
+    <div>
+      <label className="label">Export Format</label>
+      <div className="flex flex-wrap gap-4">
+        {EXPORT_FORMATS.map(item => (
+          <label key={item.id} className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="format"
+              value={item.id}
+              checked={format === item.id}
+              onChange={() => onFormatChange(item.id)}
+              className="accent-nb-red"
+            />
+            <span className="font-medium">{item.label}</span>
+          </label>
+        ))}
+      </div>
+      {format === 'xlsx' && (
+        <label className="flex items-center gap-2 cursor-pointer mt-2">
+          <input
+            type="checkbox"
+            checked={options.xlsxWorkbook}
+            onChange={(e) => onChange({ xlsxWorkbook: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">One workbook with a sheet per entity (no part files)</span>
+        </label>
+      )}
+      {format === 'json' && (
+        <label className="flex items-center gap-2 cursor-pointer mt-2">
+          <input
+            type="checkbox"
+            checked={options.ndjsonForLarge}
+            onChange={(e) => onChange({ ndjsonForLarge: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">
+            Use NDJSON for entities over {LARGE_ENTITY_THRESHOLD.toLocaleString()} records
+          </span>
+        </label>
+      )}
+      {format === 'csv' && (
+        <CsvDialectOptions
+          dialect={options.csvDialect}
+          onChange={(csvDialect) => onChange({ csvDialect })}
+          disabled={disabled}
+        />
+      )}
+      {format === 'ndjson' && (
+        <p className="text-xs text-nb-gray mt-1">
+          One record per line; export details go to a .meta.json file alongside.
+        </p>
+      )}
+      {format === 'parquet' && (
+        <div className="flex flex-wrap gap-6 mt-2">
+          <div>
+            <label className="label">Compression</label>
+            <select
+              value={options.parquet.compression}
+              onChange={(e) => onChange({ parquet: { ...options.parquet, compression: e.target.value } })}
+              className="input-field w-auto"
+              disabled={disabled}
+            >
+              {PARQUET_COMPRESSIONS.map(codec => (
+                <option key={codec} value={codec}>{codec}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Row Group Size</label>
+            <select
+              value={options.parquet.rowGroupSize}
+              onChange={(e) => onChange({ parquet: { ...options.parquet, rowGroupSize: parseInt(e.target.value) } })}
+              className="input-field w-auto"
+              disabled={disabled}
+            >
+              {PARQUET_ROW_GROUP_OPTIONS.map(size => (
+                <option key={size} value={size}>{size.toLocaleString()} rows</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+      {format === 'package' && (
+        <div className="mt-2">
+          <label className="label">Source Data Format</label>
+          <input
+            type="text"
+            value={options.sourceFormat}
+            onChange={(e) => onChange({ sourceFormat: e.target.value })}
+            className="input-field w-auto"
+            disabled={disabled}
+          />
+          <p className="text-xs text-nb-gray mt-1">
+            One zip with a CSV per entity, Manifest.xml and PackageHeader.xml, ordered so referenced
+            entities import first. The format must exist in the target environment's Data management.
+          </p>
+        </div>
+      )}
+      {format === 'sql' && (
+        <div className="flex flex-wrap gap-6 mt-2">
+          <div>
+            <label className="label">Dialect</label>
+            <select
+              value={options.sql.dialect}
+              onChange={(e) => onChange({ sql: { ...options.sql, dialect: e.target.value } })}
+              className="input-field w-auto"
+              disabled={disabled}
+            >
+              {SQL_DIALECTS.map(dialect => (
+                <option key={dialect.id} value={dialect.id}>{dialect.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Rows per INSERT</label>
+            <select
+              value={options.sql.batchSize}
+              onChange={(e) => onChange({ sql: { ...options.sql, batchSize: parseInt(e.target.value) } })}
+              className="input-field w-auto"
+              disabled={disabled}
+            >
+              {SQL_BATCH_SIZES.map(size => (
+                <option key={size} value={size}>{size.toLocaleString()}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-xs text-nb-gray w-full">
+            CREATE TABLE (primary key from the entity keys) in the first part, then batched INSERTs.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -7,6 +7,9 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import { verifyGitHubToken, listRepositories, checkRepository } from '../utils/githubApi';
+import { PUBLISH_MODES } from '../utils/exportRunner';
+import BranchPicker from './BranchPicker';
+import RepoFolderBrowser from './RepoFolderBrowser';
 
 export default function GitHubConnectionPanel() {
   const {
@@ -107,8 +110,9 @@ export default function GitHubConnectionPanel() {
     }
     
     const [owner, repo] = repoFullName.split('/');
-    setGithubConfig(prev => ({ ...prev, owner, repo }));
-  }, [setGithubConfig]);
+    const selected = repositories.find(r => r.full_name === repoFullName);
+    setGithubConfig(prev => ({ ...prev, owner, repo, branch: selected?.default_branch || prev.branch }));
+  }, [repositories, setGithubConfig]);
 
   if (githubConnected && !showForm) {
     return (
@@ -123,6 +127,7 @@ export default function GitHubConnectionPanel() {
               </p>
               <p className="text-xs text-nb-gray mt-1">
                 Branch: {githubConfig.branch} | Path: /{githubConfig.path}
+                {githubConfig.publishMode === PUBLISH_MODES.pullRequest && ' | Via pull request'}
               </p>
             </div>
           </div>
@@ -190,32 +195,45 @@ export default function GitHubConnectionPanel() {
               </select>
             </div>
 
-            {/* Branch */}
-            <div>
-              <label className="label">Branch</label>
-              <input
-                type="text"
-                value={githubConfig.branch}
-                onChange={(e) => handleInputChange('branch', e.target.value)}
-                placeholder="main"
-                className="input-field"
-                disabled={isConnecting}
-              />
-            </div>
+            {githubConfig.repo && (
+              <>
+                {/* Branch */}
+                <BranchPicker
+                  owner={githubConfig.owner}
+                  repo={githubConfig.repo}
+                  token={githubConfig.token}
+                  branch={githubConfig.branch}
+                  onChange={(branch) => handleInputChange('branch', branch)}
+                  disabled={isConnecting}
+                />
 
-            {/* Export Path */}
+                {/* Export Path */}
+                <RepoFolderBrowser
+                  owner={githubConfig.owner}
+                  repo={githubConfig.repo}
+                  token={githubConfig.token}
+                  branch={githubConfig.branch}
+                  path={githubConfig.path}
+                  onChange={(path) => handleInputChange('path', path)}
+                  disabled={isConnecting}
+                />
+              </>
+            )}
+
+            {/* Publish Mode */}
             <div>
-              <label className="label">Export Folder Path</label>
-              <input
-                type="text"
-                value={githubConfig.path}
-                onChange={(e) => handleInputChange('path', e.target.value)}
-                placeholder="exports"
+              <label className="label">Publish Exports</label>
+              <select
+                value={githubConfig.publishMode}
+                onChange={(e) => handleInputChange('publishMode', e.target.value)}
                 className="input-field"
                 disabled={isConnecting}
-              />
+              >
+                <option value={PUBLISH_MODES.direct}>Commit to the branch</option>
+                <option value={PUBLISH_MODES.pullRequest}>Propose via pull request</option>
+              </select>
               <p className="text-xs text-nb-gray mt-1">
-                Folder where exports will be saved
+                Pull requests are opened from a new branch per export run into the branch above
               </p>
             </div>
 
@@ -248,7 +266,8 @@ export default function GitHubConnectionPanel() {
             <li>1. Go to GitHub → Settings → Developer Settings</li>
             <li>2. Personal Access Tokens → Fine-grained tokens</li>
             <li>3. Generate new token with "Contents" read/write access</li>
-            <li>4. Copy and paste the token above</li>
+            <li>4. For pull request mode, also grant "Pull requests" read/write</li>
+            <li>5. Copy and paste the token above</li>
           </ul>
         </div>
       </div>
@@ -5,8 +5,14 @@
  */
 
 import React from 'react';
+import { NavLink } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
 
+const NAV_LINKS = [
+  { to: '/', label: 'Export' },
+  { to: '/history', label: 'History' },
+];
+
 export default function Header() {
   const { d365Connected, githubConnected, d365User } = useApp();
 
@@ -27,6 +33,24 @@ export default function Header() {
                 </p>
               </div>
             </div>
+
+            {/* Navigation */}
+            <nav className="flex items-center gap-1 ml-6">
+              {NAV_LINKS.map(link => (
+                <NavLink
+                  key={link.to}
+                  to={link.to}
+                  end
+                  className={({ isActive }) =>
+                    `px-3 py-2 text-sm font-semibold uppercase tracking-wider border-b-2 ${
+                      isActive ? 'border-nb-red text-white' : 'border-transparent text-nb-opal hover:text-white'
+                    }`
+                  }
+                >
+                  {link.label}
+                </NavLink>
+              ))}
+            </nav>
           </div>
 
           {/* Status Indicators */}
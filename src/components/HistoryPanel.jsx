@@ -0,0 +1,296 @@
+/**
+ * History Panel
+ *
+ * Past exports found in the repository: per-entity row count timelines,
+ * the files of each run with preview and download, and re-running a run
+ * with its saved configuration.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { getBlob } from '../utils/githubApi';
+import { loadExportHistory, loadRunRecord } from '../utils/exportHistory';
+import { PREVIEW_FORMATS, downloadFile } from '../utils/filePreview';
+import { EXPORT_FORMATS } from '../utils/exportRunner';
+import FilePreview from './FilePreview';
+
+// Bars drawn in a timeline; older runs are still in the table
+const TIMELINE_RUNS = 30;
+
+/**
+ * Files of a run in a stable order: main file, then levels, by part
+ */
+function sortRunFiles(files) {
+  return files.slice().sort((a, b) =>
+    String(a.level || '').localeCompare(String(b.level || '')) || (a.part || 0) - (b.part || 0)
+  );
+}
+
+/**
+ * Short label of a run file
+ */
+function fileLabel(file) {
+  return [file.level, file.part && `part ${file.part}`].filter(Boolean).join(' ') || file.format;
+}
+
+export default function HistoryPanel() {
+  const { githubConfig, restoreExportRun } = useApp();
+  const navigate = useNavigate();
+
+  const [history, setHistory] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [selectedEntity, setSelectedEntity] = useState(null);
+  const [previewFile, setPreviewFile] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const { owner, repo, branch, path, token } = githubConfig;
+
+  const loadHistory = useCallback(async () => {
+    setLoadError(null);
+    setPreviewFile(null);
+    try {
+      const result = await loadExportHistory({ owner, repo, branch, path, token }, setStatus);
+      setHistory(result);
+      setSelectedEntity(prev =>
+        result.entities.some(entity => entity.name === prev) ? prev : result.entities[0]?.name || null
+      );
+    } catch (error) {
+      setHistory(null);
+      setLoadError(`Could not load export history: ${error.message}`);
+    } finally {
+      setStatus(null);
+    }
+  }, [owner, repo, branch, path, token]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const filteredEntities = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    return (history?.entities || []).filter(entity => entity.name.toLowerCase().includes(needle));
+  }, [history, filter]);
+
+  const entity = history?.entities.find(e => e.name === selectedEntity) || null;
+  const timeline = entity ? entity.runs.slice(-TIMELINE_RUNS) : [];
+  const maxCount = Math.max(1, ...timeline.map(run => run.recordCount || 0));
+
+  const handleDownload = async (file) => {
+    setBusyId(file.path);
+    setMessage(null);
+    try {
+      downloadFile(await getBlob(owner, repo, file.sha, token), file.name);
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not download ${file.name}: ${error.message}` });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRerun = async (run) => {
+    setBusyId(run.id);
+    setMessage(null);
+    try {
+      const record = await loadRunRecord({ owner, repo, branch, path, token }, history.runRecords, run);
+      if (record) {
+        restoreExportRun(record);
+        navigate('/', { state: { notice: `Restored the export of ${new Date(record.timestamp).toLocaleString()} - review the settings and start the export.` } });
+        return;
+      }
+
+      // Runs from before run records were saved: same entity and format
+      restoreExportRun({
+        entities: [{ name: run.entity }],
+        format: EXPORT_FORMATS.some(format => format.id === run.format) ? run.format : null,
+      });
+      navigate('/', { state: { notice: `${run.entity} selected with ${run.format.toUpperCase()} output. No saved settings were found for this run, so filters and options are unchanged.` } });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not load the run settings: ${error.message}` });
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="section-title">
+            <span className="mr-2">🕘</span>
+            Export History
+          </h2>
+          <button onClick={loadHistory} disabled={Boolean(status)} className="btn-secondary text-sm py-2">
+            {status ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+
+        <p className="text-sm text-nb-gray mb-4">
+          Exports in <span className="font-mono">{owner}/{repo}/{path}</span> on {branch}. Row counts
+          come from the export commit messages.
+        </p>
+
+        {status && (
+          <div className="flex items-center gap-3 text-sm text-nb-gray py-4">
+            <span className="spinner" />
+            {status}
+          </div>
+        )}
+        {loadError && <p className="text-sm text-nb-red">{loadError}</p>}
+        {message && (
+          <p className={`text-sm mb-4 ${message.type === 'error' ? 'text-nb-red' : 'text-nb-gray'}`}>{message.text}</p>
+        )}
+
+        {history && history.entities.length === 0 && !status && (
+          <div className="text-center py-12 text-nb-gray">
+            <span className="text-4xl mb-4 block">📭</span>
+            <p>No exports found in this folder yet</p>
+          </div>
+        )}
+
+        {history && history.entities.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            {/* Entities */}
+            <div className="lg:col-span-1">
+              <input
+                type="text"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Search entities..."
+                className="input-field mb-2"
+              />
+              <div className="max-h-[32rem] overflow-y-auto border border-nb-opal">
+                {filteredEntities.map(item => {
+                  const latest = item.runs[item.runs.length - 1];
+                  return (
+                    <button
+                      key={item.name}
+                      onClick={() => { setSelectedEntity(item.name); setPreviewFile(null); }}
+                      className={`block w-full text-left px-3 py-2 border-b border-nb-opal text-sm ${
+                        item.name === selectedEntity ? 'bg-nb-teal/20' : 'hover:bg-nb-cream'
+                      }`}
+                    >
+                      <span className="font-medium block truncate">{item.name}</span>
+                      <span className="text-xs text-nb-gray">
+                        {item.runs.length} run{item.runs.length === 1 ? '' : 's'}
+                        {latest.recordCount !== null && ` · ${latest.recordCount.toLocaleString()} rows`}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Selected entity */}
+            {entity && (
+              <div className="lg:col-span-3 min-w-0">
+                <h3 className="font-semibold text-nb-black mb-3">{entity.name}</h3>
+
+                {/* Row count timeline */}
+                <div className="flex items-end gap-1 h-32 px-2 pt-2 bg-nb-cream mb-1">
+                  {timeline.map(run => (
+                    <div
+                      key={run.id}
+                      className="flex-1 max-w-[2.5rem] flex flex-col justify-end h-full"
+                      title={`${new Date(run.timestamp).toLocaleString()}${run.company ? ` (${run.company.toUpperCase()})` : ''}: ${
+                        run.recordCount === null ? 'row count unknown' : `${run.recordCount.toLocaleString()} rows`
+                      }`}
+                    >
+                      {run.recordCount === null
+                        ? <div className="h-1 border-t-2 border-dashed border-nb-gray" />
+                        : <div className="bg-nb-teal" style={{ height: `${Math.max(2, (run.recordCount / maxCount) * 100)}%` }} />}
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-between text-xs text-nb-gray mb-6">
+                  <span>{new Date(timeline[0].timestamp).toLocaleDateString()}</span>
+                  <span>max {maxCount.toLocaleString()} rows</span>
+                  <span>{new Date(timeline[timeline.length - 1].timestamp).toLocaleDateString()}</span>
+                </div>
+
+                {/* Runs */}
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Exported</th>
+                        <th>Company</th>
+                        <th className="text-right">Rows</th>
+                        <th>Files</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entity.runs.slice().reverse().map(run => (
+                        <tr key={run.id}>
+                          <td className="whitespace-nowrap">{new Date(run.timestamp).toLocaleString()}</td>
+                          <td>{run.company ? run.company.toUpperCase() : '—'}</td>
+                          <td className="text-right">{run.recordCount === null ? '—' : run.recordCount.toLocaleString()}</td>
+                          <td>
+                            <div className="flex flex-wrap gap-2">
+                              {sortRunFiles(run.files).map(file => (
+                                <span key={file.path} className="inline-flex items-center gap-1 text-xs">
+                                  <span className="badge badge-gray">{fileLabel(file)}</span>
+                                  {PREVIEW_FORMATS.includes(file.format) && (
+                                    <button
+                                      onClick={() => setPreviewFile(file)}
+                                      className="text-nb-teal hover:underline"
+                                    >
+                                      Preview
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleDownload(file)}
+                                    className="text-nb-teal hover:underline"
+                                    disabled={busyId === file.path}
+                                  >
+                                    {busyId === file.path ? '...' : 'Download'}
+                                  </button>
+                                </span>
+                              ))}
+                              {run.report && (
+                                <span className="inline-flex items-center gap-1 text-xs">
+                                  <span className="badge badge-yellow">changes</span>
+                                  <button
+                                    onClick={() => handleDownload(run.report)}
+                                    className="text-nb-teal hover:underline"
+                                    disabled={busyId === run.report.path}
+                                  >
+                                    {busyId === run.report.path ? '...' : 'Download'}
+                                  </button>
+                                </span>
+                              )}
+                            </div>
+                          </td>
+                          <td>
+                            <button
+                              onClick={() => handleRerun(run)}
+                              className="btn-outline text-xs py-1 px-3 whitespace-nowrap"
+                              disabled={Boolean(busyId)}
+                            >
+                              {busyId === run.id ? 'Loading...' : 'Re-run'}
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {previewFile && (
+        <FilePreview
+          github={{ owner, repo, token }}
+          file={previewFile}
+          onClose={() => setPreviewFile(null)}
+        />
+      )}
+    </div>
+  );
+}
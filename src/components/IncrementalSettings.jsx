@@ -0,0 +1,56 @@
+/**
+ * Incremental Settings
+ *
+ * Change-tracking field for delta exports of a single entity
+ */
+
+import React from 'react';
+import { useApp } from '../context/AppContext';
+
+// Date/time and integer fields can carry a monotonically increasing watermark
+const WATERMARK_TYPES = ['Edm.DateTimeOffset', 'Edm.Date', 'Edm.Int64', 'Edm.Int32'];
+
+export default function IncrementalSettings({ entityName }) {
+  const { entities, entityConfigs, updateEntityConfig } = useApp();
+
+  const entity = entities.find(e => e.name === entityName);
+  const properties = entity?.properties || [];
+  const config = entityConfigs[entityName] || {};
+
+  // Suggest ModifiedDateTime-style columns first
+  const candidates = properties
+    .filter(p => WATERMARK_TYPES.includes(p.type))
+    .sort((a, b) => {
+      const aModified = /modified/i.test(a.name) ? 0 : 1;
+      const bModified = /modified/i.test(b.name) ? 0 : 1;
+      return aModified - bModified || a.name.localeCompare(b.name);
+    });
+
+  if (properties.length === 0) {
+    return (
+      <p className="text-sm text-nb-gray">
+        Load the catalog or sample fields for {entityName} to choose a change-tracking field.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <label className="label">Change-Tracking Field</label>
+      <select
+        value={config.incrementalField || ''}
+        onChange={(e) => updateEntityConfig(entityName, { incrementalField: e.target.value || null })}
+        className="input-field py-2 text-sm"
+      >
+        <option value="">None (always full export)</option>
+        {candidates.map(p => (
+          <option key={p.name} value={p.name}>{p.name} ({p.type})</option>
+        ))}
+      </select>
+      <p className="text-xs text-nb-gray mt-1">
+        In incremental mode only rows where this field is greater than the last
+        exported high-water mark are pulled.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * Normalize Options
+ *
+ * Cleanup applied to tabular exports (CSV, Excel, Parquet, SQL, SQLite):
+ * OData annotations, enum literals, nested objects and financial dimension
+ * display values
+ */
+
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { fetchDimensionFormat } from '../utils/d365Api';
+import { ANNOTATION_MODES, parseDimensionNames } from '../utils/recordNormalizer';
+
+export default function NormalizeOptions({ options, onChange, disabled }) {
+  const { d365Config, d365TokenProvider, d365Connected } = useApp();
+
+  // Keep the typed text so separators can be entered freely
+  const [dimensionText, setDimensionText] = useState(options.dimensions.join(', '));
+  const [loadingFormat, setLoadingFormat] = useState(false);
+  const [formatError, setFormatError] = useState(null);
+
+  const update = (patch) => onChange({ ...options, ...patch });
+
+  const handleLoadFormat = async () => {
+    setLoadingFormat(true);
+    setFormatError(null);
+    try {
+      const dimensions = await fetchDimensionFormat(d365Config.url, d365TokenProvider);
+      setDimensionText(dimensions.join(', '));
+      update({ dimensions });
+    } catch (error) {
+      setFormatError(`Could not load the dimension format: ${error.message}`);
+    } finally {
+      setLoadingFormat(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="label">Normalize Values</label>
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={options.annotations === ANNOTATION_MODES.strip}
+            onChange={(e) => update({ annotations: e.target.checked ? ANNOTATION_MODES.strip : ANNOTATION_MODES.keep })}
+            disabled={disabled}
+          />
+          <span className="text-sm">Drop OData annotations (@odata.etag)</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={options.cleanEnums}
+            onChange={(e) => update({ cleanEnums: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">Clean enum values (NoYes'Yes' → Yes)</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={options.flattenObjects}
+            onChange={(e) => update({ flattenObjects: e.target.checked })}
+            disabled={disabled}
+          />
+          <span className="text-sm">Flatten nested objects (Address.City)</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-3">
+        <div>
+          <label className="label">Dimension Format</label>
+          <input
+            type="text"
+            value={dimensionText}
+            onChange={(e) => {
+              setDimensionText(e.target.value);
+              update({ dimensions: parseDimensionNames(e.target.value) });
+            }}
+            placeholder="e.g. BusinessUnit, CostCenter, Department"
+            className="input-field w-80"
+            disabled={disabled}
+          />
+          <button
+            onClick={handleLoadFormat}
+            disabled={disabled || loadingFormat || !d365Connected}
+            className="btn-outline text-xs py-1 px-3 ml-2"
+          >
+            {loadingFormat ? 'Loading...' : 'Load from D365'}
+          </button>
+        </div>
+        <div>
+          <label className="label">Segment Delimiter</label>
+          <input
+            type="text"
+            value={options.dimensionDelimiter}
+            onChange={(e) => update({ dimensionDelimiter: e.target.value.slice(0, 1) })}
+            maxLength={1}
+            className="input-field w-16"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-nb-gray mt-1">
+        Dimensions in the order of the default dimension format for integrating applications;
+        Load from D365 reads it from the environment. *DimensionDisplayValue fields get one column
+        per dimension, ledger dimensions start with MainAccount, and escaped delimiters (\-) stay
+        inside their segment.
+      </p>
+      {formatError && <p className="text-xs text-nb-red mt-1">{formatError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+/**
+ * Repository Folder Browser
+ *
+ * Browse the folders of the selected branch to pick or create the export
+ * path. Files in the current folder are listed with their size and last
+ * commit date.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { listDirectory, getLastCommit } from '../utils/githubApi';
+
+// Files listed before "show all"; each one costs a commit lookup
+const VISIBLE_FILES = 20;
+
+/**
+ * Human-readable file size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Join a folder and a child name
+ */
+function joinPath(folder, name) {
+  return folder ? `${folder}/${name}` : name;
+}
+
+export default function RepoFolderBrowser({ owner, repo, token, branch, path, onChange, disabled }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [commitDates, setCommitDates] = useState({});
+  const [showAllFiles, setShowAllFiles] = useState(false);
+  const [newFolder, setNewFolder] = useState('');
+  const [folderError, setFolderError] = useState(null);
+
+  useEffect(() => {
+    if (!owner || !repo || !token || !branch) {
+      setEntries([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setLoadError(null);
+    setShowAllFiles(false);
+    listDirectory(owner, repo, path, token, branch)
+      .then(contents => {
+        if (!cancelled) setEntries(contents);
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setEntries([]);
+          setLoadError(error.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [owner, repo, token, branch, path]);
+
+  const folders = entries
+    .filter(entry => entry.type === 'dir')
+    .sort((a, b) => a.name.localeCompare(b.name));
+  // Export filenames carry a timestamp, so reverse name order is newest first
+  const files = entries
+    .filter(entry => entry.type === 'file')
+    .sort((a, b) => b.name.localeCompare(a.name));
+  const visibleFiles = showAllFiles ? files : files.slice(0, VISIBLE_FILES);
+  const visibleKey = visibleFiles.map(file => file.path).join('|');
+  // Dates belong to one branch
+  const dateKey = (file) => `${owner}/${repo}@${branch}:${file.path}`;
+
+  // Look up last commit dates one at a time for the files on screen
+  useEffect(() => {
+    const pending = visibleFiles.filter(file => !(dateKey(file) in commitDates));
+    if (pending.length === 0) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      for (const file of pending) {
+        if (cancelled) return;
+        let date = null;
+        try {
+          date = (await getLastCommit(owner, repo, file.path, token, branch))?.date || null;
+        } catch {
+          // Size is still useful without the date
+        }
+        if (!cancelled) setCommitDates(prev => ({ ...prev, [dateKey(file)]: date }));
+      }
+    })();
+    return () => { cancelled = true; };
+    // visibleKey stands in for visibleFiles, which is rebuilt every render
+  }, [owner, repo, token, branch, visibleKey]);
+
+  const handleAddFolder = () => {
+    const name = newFolder.trim();
+    if (!/^[a-zA-Z0-9_.\-]+$/.test(name) || name === '.' || name === '..') {
+      setFolderError('Folder names may only contain letters, numbers, . - and _');
+      return;
+    }
+    setFolderError(null);
+    setNewFolder('');
+    onChange(joinPath(path, name));
+  };
+
+  const segments = path ? path.split('/') : [];
+  // Git has no empty folders, so an empty listing means the folder is new
+  const isNewFolder = Boolean(path) && !isLoading && !loadError && entries.length === 0;
+
+  return (
+    <div>
+      <label className="label">Export Folder</label>
+      <div className="border border-nb-opal">
+        {/* Breadcrumb */}
+        <div className="flex flex-wrap items-center gap-1 px-3 py-2 bg-nb-cream text-sm font-mono">
+          <button
+            onClick={() => onChange('')}
+            className="text-nb-teal hover:underline"
+            disabled={disabled}
+          >
+            {repo || 'repository'}
+          </button>
+          {segments.map((segment, i) => (
+            <React.Fragment key={i}>
+              <span className="text-nb-gray">/</span>
+              <button
+                onClick={() => onChange(segments.slice(0, i + 1).join('/'))}
+                className={i === segments.length - 1 ? 'font-semibold' : 'text-nb-teal hover:underline'}
+                disabled={disabled || i === segments.length - 1}
+              >
+                {segment}
+              </button>
+            </React.Fragment>
+          ))}
+          {isLoading && <span className="spinner ml-2" />}
+        </div>
+
+        {/* Contents */}
+        <div className="max-h-60 overflow-y-auto text-sm">
+          {loadError && <p className="px-3 py-2 text-nb-red">{loadError}</p>}
+          {isNewFolder && (
+            <p className="px-3 py-2 text-nb-gray">
+              New folder - it is created on {branch} by the first export.
+            </p>
+          )}
+          {!path && !isLoading && !loadError && entries.length === 0 && (
+            <p className="px-3 py-2 text-nb-gray">This branch is empty.</p>
+          )}
+
+          {folders.map(folder => (
+            <button
+              key={folder.path}
+              onClick={() => onChange(folder.path)}
+              className="flex items-center gap-2 w-full text-left px-3 py-1 hover:bg-nb-cream"
+              disabled={disabled}
+            >
+              <span>📁</span>
+              <span className="font-medium">{folder.name}</span>
+            </button>
+          ))}
+
+          {visibleFiles.map(file => (
+            <div key={file.path} className="flex items-center gap-2 px-3 py-1">
+              <span>📄</span>
+              <span className="flex-1 truncate font-mono text-xs">{file.name}</span>
+              <span className="text-nb-gray text-xs w-20 text-right">{formatSize(file.size)}</span>
+              <span className="text-nb-gray text-xs w-40 text-right">
+                {dateKey(file) in commitDates
+                  ? (commitDates[dateKey(file)] ? new Date(commitDates[dateKey(file)]).toLocaleString() : '—')
+                  : '...'}
+              </span>
+            </div>
+          ))}
+
+          {files.length > visibleFiles.length && (
+            <button
+              onClick={() => setShowAllFiles(true)}
+              className="px-3 py-1 text-nb-teal hover:underline text-xs"
+              disabled={disabled}
+            >
+              Show all {files.length} files
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* New Folder */}
+      <div className="flex gap-2 mt-2">
+        <input
+          type="text"
+          value={newFolder}
+          onChange={(e) => setNewFolder(e.target.value)}
+          placeholder="New folder name"
+          maxLength={100}
+          className="input-field flex-1"
+          disabled={disabled}
+        />
+        <button
+          onClick={handleAddFolder}
+          className="btn-outline text-sm whitespace-nowrap"
+          disabled={disabled || !newFolder.trim()}
+        >
+          Add Folder
+        </button>
+      </div>
+      {folderError && <p className="text-xs text-nb-red mt-1">{folderError}</p>}
+      <p className="text-xs text-nb-gray mt-1">
+        Exports are saved to /{path}
+      </p>
+    </div>
+  );
+}
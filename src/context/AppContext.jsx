@@ -5,6 +5,7 @@
  */
 
 import React, { createContext, useContext, useState, useCallback } from 'react';
+import { DEFAULT_EXPORT_OPTIONS } from '../utils/exportRunner';
 
 const AppContext = createContext(null);
 
@@ -14,7 +15,7 @@ export function AppProvider({ children }) {
     url: '',
     clientId: '',
   });
-  const [d365Token, setD365Token] = useState(null);
+  const [d365TokenProvider, setD365TokenProvider] = useState(null); // renews tokens via MSAL
   const [d365User, setD365User] = useState(null);
   const [d365Connected, setD365Connected] = useState(false);
 
@@ -25,6 +26,7 @@ export function AppProvider({ children }) {
     repo: '',
     branch: 'main',
     path: 'exports',
+    publishMode: 'direct', // 'direct' or 'pullRequest' (PUBLISH_MODES)
   });
   const [githubUser, setGithubUser] = useState(null);
   const [githubConnected, setGithubConnected] = useState(false);
@@ -33,9 +35,19 @@ export function AppProvider({ children }) {
   const [entities, setEntities] = useState([]);
   const [selectedEntities, setSelectedEntities] = useState(new Set());
   const [entityCounts, setEntityCounts] = useState({});
+  const [entityConfigs, setEntityConfigs] = useState({});
+
+  // Legal entity scope (cross-company export)
+  const [legalEntities, setLegalEntities] = useState([]);
+  const [companySettings, setCompanySettings] = useState({
+    crossCompany: false,
+    companies: [],       // dataAreaId values; empty = all companies
+    splitByCompany: false,
+  });
 
   // Export state
   const [exportFormat, setExportFormat] = useState('json');
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
   const [exportProgress, setExportProgress] = useState(null);
   const [exportHistory, setExportHistory] = useState([]);
 
@@ -44,21 +56,24 @@ export function AppProvider({ children }) {
   const [error, setError] = useState(null);
 
   // D365 connection methods
-  const connectD365 = useCallback((config, token, user) => {
+  const connectD365 = useCallback((config, tokenProvider, user) => {
     setD365Config(config);
-    setD365Token(token);
+    setD365TokenProvider(tokenProvider);
     setD365User(user);
     setD365Connected(true);
     setError(null);
   }, []);
 
   const disconnectD365 = useCallback(() => {
-    setD365Token(null);
+    setD365TokenProvider(null);
     setD365User(null);
     setD365Connected(false);
     setEntities([]);
     setSelectedEntities(new Set());
     setEntityCounts({});
+    setEntityConfigs({});
+    setLegalEntities([]);
+    setCompanySettings(prev => ({ ...prev, companies: [] }));
   }, []);
 
   // GitHub connection methods
@@ -96,6 +111,33 @@ export function AppProvider({ children }) {
     setSelectedEntities(new Set());
   }, []);
 
+  // Per-entity export settings (field selection, etc.)
+  const updateEntityConfig = useCallback((entityName, patch) => {
+    setEntityConfigs(prev => ({
+      ...prev,
+      [entityName]: { ...prev[entityName], ...patch },
+    }));
+  }, []);
+
+  // Restore the entities, settings and options of a past run
+  const restoreExportRun = useCallback((run) => {
+    const names = run.entities.map(entity => entity.name);
+    setEntities(prev => [
+      ...prev,
+      ...names
+        .filter(name => !prev.some(e => e.name.toLowerCase() === name.toLowerCase()))
+        .map(name => ({ name, type: 'history', accessible: null })),
+    ]);
+    setSelectedEntities(new Set(names));
+    setEntityConfigs(prev => ({
+      ...prev,
+      ...Object.fromEntries(run.entities.filter(entity => entity.config).map(entity => [entity.name, entity.config])),
+    }));
+    if (run.format) setExportFormat(run.format);
+    if (run.options) setExportOptions({ ...DEFAULT_EXPORT_OPTIONS, ...run.options, mode: 'odata' });
+    if (run.companySettings) setCompanySettings(prev => ({ ...prev, ...run.companySettings }));
+  }, []);
+
   // Add to export history
   const addExportRecord = useCallback((record) => {
     setExportHistory(prev => [record, ...prev].slice(0, 50));
@@ -109,7 +151,7 @@ export function AppProvider({ children }) {
     // D365 state
     d365Config,
     setD365Config,
-    d365Token,
+    d365TokenProvider,
     d365User,
     d365Connected,
     connectD365,
@@ -132,14 +174,23 @@ export function AppProvider({ children }) {
     clearSelection,
     entityCounts,
     setEntityCounts,
+    entityConfigs,
+    updateEntityConfig,
+    legalEntities,
+    setLegalEntities,
+    companySettings,
+    setCompanySettings,
 
     // Export state
     exportFormat,
     setExportFormat,
+    exportOptions,
+    setExportOptions,
     exportProgress,
     setExportProgress,
     exportHistory,
     addExportRecord,
+    restoreExportRun,
 
     // UI state
     isLoading,
@@ -0,0 +1,164 @@
+/**
+ * Export Run Hook
+ *
+ * Setup and teardown shared by every export mode: progress state, the
+ * company scope, the branch a run commits to, the pull request at the end
+ * and the results table.
+ */
+
+import { useState, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { buildPullRequestBody, startProposal, finishProposal, PUBLISH_MODES } from '../utils/exportRunner';
+
+/**
+ * Where a run commits: the configured branch, or a new run branch in
+ * pull-request mode
+ *
+ * @param {object} githubConfig - Connection settings
+ * @returns {Promise<{ github: object, proposal: object|null }>} Run target
+ */
+async function openRunTarget(githubConfig) {
+  if (githubConfig.publishMode !== PUBLISH_MODES.pullRequest) {
+    return { github: githubConfig, proposal: null };
+  }
+  const proposal = await startProposal({ github: githubConfig, name: 'd365-export' });
+  return { github: { ...githubConfig, branch: proposal.branch }, proposal };
+}
+
+/**
+ * Open the pull request of a run in pull-request mode
+ *
+ * @param {object} githubConfig - Connection settings (base branch)
+ * @param {object} proposal - From openRunTarget
+ * @param {object} summary - buildPullRequestBody options
+ * @returns {Promise<object>} Pull request
+ */
+async function proposeRun(githubConfig, proposal, summary) {
+  const names = summary.entities.map(entity => entity.name).join(', ');
+  const title = names.length <= 80
+    ? `D365 export - ${names}`
+    : `D365 export - ${summary.entities.length} entities`;
+  return finishProposal({ github: githubConfig, proposal, title, body: buildPullRequestBody(summary) });
+}
+
+/**
+ * Company scope of a run from the cross-company settings
+ *
+ * @param {object} companySettings - { crossCompany, companies }
+ * @returns {{ crossCompany: boolean, companies: string[] }} Query scope
+ */
+export function getCompanyScope(companySettings) {
+  return {
+    crossCompany: companySettings.crossCompany,
+    companies: companySettings.crossCompany ? companySettings.companies : [],
+  };
+}
+
+/**
+ * Run state for the export panel
+ *
+ * runExport opens the run target, hands a run context to the mode's
+ * export function and, once it returns, shows its results and opens the
+ * pull request. The export function returns { results, summary } where
+ * summary ({ entities, format, notes }) describes what was committed, or
+ * null when nothing was.
+ *
+ * @returns {{ isExporting: boolean, exportResults: object[], pullRequest: object|null, runExport: function }}
+ */
+export function useExportRun() {
+  const {
+    d365Config,
+    githubConfig,
+    githubUser,
+    d365User,
+    companySettings,
+    setExportProgress,
+    setError,
+  } = useApp();
+
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportResults, setExportResults] = useState([]);
+  const [pullRequest, setPullRequest] = useState(null);
+
+  /**
+   * @param {object} options
+   * @param {string[]} options.names - Rows of the progress list
+   * @param {string} options.message - First progress message
+   * @param {function} execute - async (run) => { results, summary }
+   */
+  const runExport = useCallback(async ({ names, message = null }, execute) => {
+    setIsExporting(true);
+    setExportResults([]);
+    setPullRequest(null);
+    setError(null);
+
+    const setMessage = (text) => setExportProgress(prev => prev && ({ ...prev, message: text }));
+    const run = {
+      companyScope: getCompanyScope(companySettings),
+      // Before any file is named, so the run record sorts ahead of its files
+      startedAt: new Date().toISOString(),
+      target: null,
+      setMessage,
+      updateEntity: (name, patch) => {
+        setExportProgress(prev => prev && ({
+          ...prev,
+          entities: {
+            ...prev.entities,
+            [name]: { ...prev.entities[name], ...patch },
+          },
+        }));
+      },
+      completeEntity: () => {
+        setExportProgress(prev => prev && ({ ...prev, completed: prev.completed + 1 }));
+      },
+    };
+
+    setExportProgress({
+      completed: 0,
+      total: names.length,
+      message,
+      entities: Object.fromEntries(names.map(name => [
+        name,
+        { phase: 'queued', message: 'Queued' },
+      ])),
+    });
+
+    try {
+      try {
+        if (githubConfig.publishMode === PUBLISH_MODES.pullRequest) setMessage('Creating export branch...');
+        run.target = await openRunTarget(githubConfig);
+        setMessage(message);
+      } catch (error) {
+        setError(`Could not create the export branch: ${error.message}`);
+        return;
+      }
+
+      const { results, summary } = await execute(run);
+      setExportResults(results);
+
+      // A run that committed nothing leaves its branch unchanged, which
+      // removes it again
+      if (run.target.proposal) {
+        try {
+          setMessage('Opening pull request...');
+          setPullRequest(await proposeRun(githubConfig, run.target.proposal, {
+            entities: summary?.entities || [],
+            environment: d365Config.url,
+            d365User,
+            githubUser,
+            format: summary?.format,
+            notes: summary?.notes || [],
+          }));
+        } catch (error) {
+          console.error('Pull request error:', error);
+          setError(`The export is on branch ${run.target.proposal.branch}, but the pull request could not be opened: ${error.message}`);
+        }
+      }
+    } finally {
+      setExportProgress(null);
+      setIsExporting(false);
+    }
+  }, [d365Config.url, githubConfig, githubUser, d365User, companySettings, setExportProgress, setError]);
+
+  return { isExporting, exportResults, pullRequest, runExport };
+}
@@ -0,0 +1,276 @@
+/**
+ * CSV Dialects
+ *
+ * Delimiter, quoting, BOM, line terminator, null text and locale date and
+ * decimal formatting for CSV exports. Named dialects are kept in a file
+ * next to the exports in the target repository so the whole team shares
+ * them.
+ */
+
+import { readJsonFile, createOrUpdateFile } from './githubApi';
+
+export const DIALECTS_FILENAME = '.csv-dialects.json';
+
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+export const CSV_QUOTING = [
+  { value: 'all', label: 'All fields' },
+  { value: 'nonnumeric', label: 'Text fields' },
+  { value: 'minimal', label: 'Only when needed' },
+];
+
+export const CSV_LINE_TERMINATORS = [
+  { value: '\r\n', label: 'CRLF (Windows)' },
+  { value: '\n', label: 'LF (Unix)' },
+];
+
+// Matches the original export: comma, every value quoted, CRLF, ISO dates
+export const DEFAULT_CSV_DIALECT = {
+  name: 'Default',
+  delimiter: ',',
+  quoting: 'all',
+  bom: false,
+  lineTerminator: '\r\n',
+  nullValue: '',
+  locale: '',
+  dateFormat: 'iso', // 'iso' or 'locale'
+  decimalFormat: 'invariant', // 'invariant' or 'locale'
+};
+
+export const BUILT_IN_DIALECTS = [
+  DEFAULT_CSV_DIALECT,
+  {
+    ...DEFAULT_CSV_DIALECT,
+    name: 'Excel (Europe)',
+    delimiter: ';',
+    quoting: 'nonnumeric',
+    bom: true,
+    locale: 'de-DE',
+    dateFormat: 'locale',
+    decimalFormat: 'locale',
+  },
+  {
+    ...DEFAULT_CSV_DIALECT,
+    name: 'Unix',
+    quoting: 'minimal',
+    lineTerminator: '\n',
+  },
+];
+
+const NUMERIC_TYPES = ['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64', 'Edm.Decimal', 'Edm.Double', 'Edm.Single'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+const NUMBER_TEXT = /^-?\d+(\.\d+)?$/;
+
+/**
+ * A value written without policy quotes (nulls, numbers, booleans)
+ *
+ * Papa still quotes it if the text contains the delimiter or a quote.
+ */
+class UnquotedCell {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Validate a dialect name
+ */
+function isValidDialectName(name) {
+  return typeof name === 'string' && /^[a-zA-Z0-9_\-() ]{1,50}$/.test(name);
+}
+
+/**
+ * Check a dialect before it is used or saved
+ *
+ * @param {object} dialect - Dialect
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateDialect(dialect) {
+  if (!isValidDialectName(dialect.name)) {
+    return 'Dialect names may only contain letters, numbers, spaces, ( ) - and _';
+  }
+  if (!CSV_DELIMITERS.some(d => d.value === dialect.delimiter)) return 'Unsupported delimiter';
+  if (!CSV_QUOTING.some(q => q.value === dialect.quoting)) return 'Unsupported quoting policy';
+  if (!CSV_LINE_TERMINATORS.some(t => t.value === dialect.lineTerminator)) return 'Unsupported line terminator';
+  if (/[\r\n"]/.test(dialect.nullValue) || dialect.nullValue.includes(dialect.delimiter)) {
+    return 'Null text cannot contain quotes, line breaks or the delimiter';
+  }
+
+  const usesLocale = dialect.dateFormat === 'locale' || dialect.decimalFormat === 'locale';
+  if (usesLocale) {
+    try {
+      if (Intl.getCanonicalLocales(dialect.locale).length === 0) return 'Enter a locale, e.g. de-DE';
+    } catch {
+      return `Unknown locale "${dialect.locale}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Prepare a dialect's formatters
+ *
+ * @param {object} dialect - Dialect (missing settings use the defaults)
+ * @returns {object} Dialect with decimalSeparator and formatDate
+ */
+function resolveDialect(dialect) {
+  const resolved = { ...DEFAULT_CSV_DIALECT, ...dialect };
+  const locale = resolved.locale || undefined;
+
+  resolved.decimalSeparator = resolved.decimalFormat === 'locale'
+    ? new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value || '.'
+    : '.';
+
+  if (resolved.dateFormat === 'locale') {
+    const dateOnly = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' });
+    const dateTime = new Intl.DateTimeFormat(locale, {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZone: 'UTC',
+    });
+    resolved.formatDate = (value) => {
+      const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+      if (isNaN(date.getTime())) return value;
+      return (value.length === 10 ? dateOnly : dateTime).format(date);
+    };
+  } else {
+    resolved.formatDate = null;
+  }
+
+  return resolved;
+}
+
+/**
+ * Format one value for a dialect
+ *
+ * @param {*} value - Record value
+ * @param {object|undefined} property - Entity property (typed formatting)
+ * @param {object} dialect - From resolveDialect
+ * @returns {string|UnquotedCell} Cell
+ */
+function formatCell(value, property, dialect) {
+  if (value === null || value === undefined) return new UnquotedCell(dialect.nullValue);
+
+  const plain = (text) => (dialect.quoting === 'all' ? text : new UnquotedCell(text));
+  const type = property?.type;
+
+  if (typeof value === 'boolean') return plain(String(value));
+
+  if (typeof value === 'number' || (NUMERIC_TYPES.includes(type) && NUMBER_TEXT.test(value))) {
+    return plain(String(value).replace('.', dialect.decimalSeparator));
+  }
+
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  // Without metadata (e.g. expanded columns) ISO-looking text counts as a date
+  const isDate = property
+    ? type === 'Edm.Date' || type === 'Edm.DateTimeOffset'
+    : ISO_DATE.test(value);
+  if (isDate && dialect.formatDate) return dialect.formatDate(value);
+
+  return String(value);
+}
+
+/**
+ * Papa.unparse config for a dialect
+ *
+ * @param {object} dialect - Dialect
+ * @returns {object} Papa config
+ */
+export function toPapaConfig(dialect) {
+  const resolved = { ...DEFAULT_CSV_DIALECT, ...dialect };
+  return {
+    delimiter: resolved.delimiter,
+    newline: resolved.lineTerminator,
+    quoteChar: '"',
+    escapeChar: '"',
+    header: true,
+    // UnquotedCell values only get quotes when their content requires it
+    quotes: resolved.quoting === 'minimal' ? false : (value) => typeof value === 'string',
+  };
+}
+
+/**
+ * Convert records to rows of dialect-formatted cells
+ *
+ * @param {object[]} records - Data records
+ * @param {string[]} columns - Column order
+ * @param {object} dialect - Dialect
+ * @param {object[]} properties - Entity properties
+ * @returns {{ rows: Array<Array<string|UnquotedCell>>, bom: boolean }} Cells for Papa.unparse
+ */
+export function formatCsvRows(records, columns, dialect, properties = []) {
+  const resolved = resolveDialect(dialect);
+  const propertyByName = new Map(properties.map(p => [p.name, p]));
+  const columnProperties = columns.map(column => propertyByName.get(column));
+
+  return {
+    rows: records.map(record =>
+      columns.map((column, i) => formatCell(record[column], columnProperties[i], resolved))
+    ),
+    bom: resolved.bom,
+  };
+}
+
+/**
+ * Path of the dialects file for an export folder
+ */
+function getDialectsPath(folder) {
+  return folder ? `${folder}/${DIALECTS_FILENAME}` : DIALECTS_FILENAME;
+}
+
+/**
+ * Load saved dialects from the repository
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} folder - Export folder path
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<object[]>} Saved dialects (invalid entries dropped)
+ */
+export async function loadCsvDialects(owner, repo, folder, token, branch) {
+  const file = await readJsonFile(owner, repo, getDialectsPath(folder), token, branch);
+  const dialects = Array.isArray(file?.data?.dialects) ? file.data.dialects : [];
+
+  return dialects
+    .map(dialect => ({ ...DEFAULT_CSV_DIALECT, ...dialect }))
+    .filter(dialect => validateDialect(dialect) === null);
+}
+
+/**
+ * Save dialects to the repository
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} folder - Export folder path
+ * @param {object[]} dialects - Dialects to keep
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<object>} Commit info
+ */
+export async function saveCsvDialects(owner, repo, folder, dialects, token, branch) {
+  return createOrUpdateFile(
+    owner,
+    repo,
+    getDialectsPath(folder),
+    JSON.stringify({ version: 1, dialects }, null, 2) + '\n',
+    `Update CSV dialects - ${dialects.map(dialect => dialect.name).join(', ')}`,
+    token,
+    branch
+  );
+}
@@ -10,6 +10,11 @@
  */
 
 import Papa from 'papaparse';
+import { parseMetadata } from './odataMetadata';
+import { quoteString, formatLiteral } from './odataFilter';
+import { fetchWithRetry } from './httpClient';
+import { resolveAccessToken } from './tokenProvider';
+import { formatCsvRows, toPapaConfig, DEFAULT_CSV_DIALECT } from './csvDialect';
 
 // Trusted D365 domains (hardcoded, not user-configurable)
 const TRUSTED_D365_DOMAINS = [
@@ -32,192 +37,181 @@ function isValidD365Url(url) {
   }
 }
 
+/**
+ * Restrict a filter to a set of legal entities
+ * 
+ * @param {string|null} filter - Existing OData filter
+ * @param {string[]} companies - dataAreaId values
+ * @returns {string|null} Combined filter
+ */
+function withCompanyFilter(filter, companies) {
+  const safeCompanies = (companies || []).filter(c => /^[a-zA-Z0-9_]+$/.test(c));
+  if (safeCompanies.length === 0) return filter;
+
+  const companyFilter = safeCompanies
+    .map(c => `dataAreaId eq ${quoteString(c.toLowerCase())}`)
+    .join(' or ');
+
+  return filter
+    ? `(${filter}) and (${companyFilter})`
+    : (safeCompanies.length > 1 ? `(${companyFilter})` : companyFilter);
+}
+
+/**
+ * Restrict a filter to rows changed after a watermark
+ * 
+ * The literal follows the tracking field's Edm type: dates and date/times
+ * and integers are bare, anything else is a quoted string.
+ *
+ * @param {string|null} filter - Existing OData filter
+ * @param {object|null} since - { field, type, value } change-tracking watermark
+ * @returns {string|null} Combined filter
+ */
+function withWatermarkFilter(filter, since) {
+  if (!since || since.value === null || since.value === undefined) return filter;
+
+  if (!/^[a-zA-Z0-9_]+$/.test(since.field || '')) {
+    throw new Error('Invalid change-tracking field');
+  }
+
+  const literal = formatLiteral(since.value, { name: since.field, type: since.type });
+  const watermarkFilter = `${since.field} gt ${literal}`;
+  return filter ? `(${filter}) and ${watermarkFilter}` : watermarkFilter;
+}
+
+/**
+ * fetch() with a bearer token from a token source
+ * 
+ * The token is resolved per request so a provider can renew it before it
+ * expires. A 401 triggers one forced renewal and a single replay.
+ * 
+ * @param {string} url - Validated D365 URL
+ * @param {object} init - fetch init
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {object} retryOptions - fetchWithRetry options
+ * @returns {Promise<Response>} Fetch response
+ */
+async function d365Fetch(url, init, accessToken, retryOptions = {}) {
+  const send = async (forceRefresh) => fetchWithRetry(url, {
+    ...init,
+    headers: {
+      ...init.headers,
+      'Authorization': `Bearer ${await resolveAccessToken(accessToken, forceRefresh)}`,
+    },
+  }, retryOptions);
+
+  const response = await send(false);
+  if (response.status === 401 && typeof accessToken !== 'string') {
+    return send(true);
+  }
+  return response;
+}
+
 /**
  * Make authenticated request to D365 OData API
  * 
  * @param {string} baseUrl - D365 environment URL
  * @param {string} endpoint - API endpoint
- * @param {string} accessToken - Bearer token
- * @param {object} options - Fetch options
- * @returns {Promise<object>} Response data
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {object} options - Fetch options (responseType: 'json' | 'text', onRetry, retryUnsafe)
+ * @returns {Promise<object|string>} Response data
  * 
  * CxSAST_Suppress: CWE-918 - baseUrl validated against TRUSTED_D365_DOMAINS
  */
-async function d365Request(baseUrl, endpoint, accessToken, options = {}) {
+export async function d365Request(baseUrl, endpoint, accessToken, options = {}) {
   // Validate base URL
   if (!isValidD365Url(baseUrl)) {
     throw new Error('Invalid D365 URL');
   }
 
+  const { responseType = 'json', onRetry, retryUnsafe, ...fetchOptions } = options;
   const url = `${baseUrl}${endpoint}`;
   
-  const response = await fetch(url, {
-    ...options,
+  const response = await d365Fetch(url, {
+    ...fetchOptions,
     headers: {
-      'Authorization': `Bearer ${accessToken}`,
       'Accept': 'application/json',
       'OData-MaxVersion': '4.0',
       'OData-Version': '4.0',
-      ...options.headers,
+      ...fetchOptions.headers,
     },
-  });
+  }, accessToken, { onRetry, retryUnsafe });
 
   if (!response.ok) {
     const errorText = await response.text().catch(() => 'Unknown error');
     throw new Error(`D365 API Error (${response.status}): ${errorText.substring(0, 200)}`);
   }
 
-  return response.json();
+  return responseType === 'text' ? response.text() : response.json();
 }
 
 /**
- * Fetch list of available data entities
+ * Fetch list of available data entities from the OData service document
+ * 
+ * The service document only carries entity set names; use
+ * fetchEntitiesFromMetadata for keys, properties and navigation.
  * 
  * @param {string} baseUrl - D365 environment URL
- * @param {string} accessToken - Bearer token
+ * @param {string|object} accessToken - Bearer token or token provider
  * @returns {Promise<object[]>} List of entities
  */
 export async function fetchEntityList(baseUrl, accessToken) {
-  const data = await d365Request(
-    baseUrl,
-    '/data/$metadata',
-    accessToken,
-    { headers: { 'Accept': 'application/xml' } }
-  );
-
-  // For metadata, we need to parse differently
-  // Let's use the entity list endpoint instead
-  const response = await fetch(`${baseUrl}/data`, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error('Failed to fetch entity list');
-  }
-
-  const result = await response.json();
-  
-  // The /data endpoint returns available entities
-  const entities = [];
-  
-  if (result.value && Array.isArray(result.value)) {
-    // Some D365 versions return entity list directly
-    return result.value;
-  }
-
-  // Parse from response - typically contains links to entities
-  // We'll need to extract entity names from the response
-  return entities;
+  const serviceDoc = await d365Request(baseUrl, '/data', accessToken);
+
+  return (serviceDoc.value || [])
+    .filter(item => item.name && (item.kind || 'EntitySet') === 'EntitySet')
+    .map(item => ({
+      name: item.name,
+      type: 'odata',
+      accessible: null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
 }
 
 /**
- * Fetch available entities from OData metadata
+ * Fetch the full entity catalog from the OData $metadata document
  * 
  * @param {string} baseUrl - D365 environment URL  
- * @param {string} accessToken - Bearer token
- * @returns {Promise<object[]>} List of entities with metadata
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @returns {Promise<object[]>} List of entities with keys, properties and
+ *   navigation properties
  */
 export async function fetchEntitiesFromMetadata(baseUrl, accessToken) {
-  // Fetch the service document which lists all available entities
-  // CxSAST_Suppress: CWE-918 - baseUrl validated in calling function
-  const response = await fetch(`${baseUrl}/data`, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch entities: ${response.status}`);
-  }
-
-  const data = await response.json();
-  
-  // Service document contains entity set URLs
-  const entities = [];
-  
-  if (data['@odata.context']) {
-    // Parse entity sets from context or links
-    // The service document typically has a value array with entity references
-  }
-
-  // Try to get entity list from common endpoints
-  const entitySets = data.value || [];
-  
-  for (const item of entitySets) {
-    if (item.name && item.url) {
-      entities.push({
-        name: item.name,
-        url: item.url,
-        kind: item.kind || 'EntitySet',
-      });
-    }
-  }
+  const xmlText = await d365Request(
+    baseUrl,
+    '/data/$metadata',
+    accessToken,
+    { headers: { 'Accept': 'application/xml' }, responseType: 'text' }
+  );
 
-  return entities;
+  return parseMetadata(xmlText).entities;
 }
 
 /**
- * Fetch entity names by querying a sample of known entity patterns
- * This is more reliable than parsing metadata
+ * Discover available entities
+ * 
+ * Parses $metadata for the full catalog. If the metadata document cannot
+ * be fetched or parsed, falls back to the names in the service document.
  * 
  * @param {string} baseUrl - D365 environment URL
- * @param {string} accessToken - Bearer token
+ * @param {string|object} accessToken - Bearer token or token provider
  * @param {function} onProgress - Progress callback
  * @returns {Promise<object[]>} List of accessible entities
  */
 export async function discoverEntities(baseUrl, accessToken, onProgress) {
-  if (!isValidD365Url(baseUrl)) {
-    throw new Error('Invalid D365 URL');
-  }
+  onProgress?.({ phase: 'metadata', message: 'Downloading $metadata...' });
 
-  // First, try to get the service document
-  // CxSAST_Suppress: CWE-918 - baseUrl validated above
-  const serviceResponse = await fetch(`${baseUrl}/data`, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-    },
-  });
-
-  if (!serviceResponse.ok) {
-    throw new Error(`Cannot access D365 OData endpoint: ${serviceResponse.status}`);
-  }
-
-  const serviceDoc = await serviceResponse.json();
-  const entities = [];
-
-  // Extract entity names from service document
-  // D365 F&O returns entity metadata in specific format
-  if (serviceDoc['@odata.context']) {
-    // Try metadata endpoint for full entity list
-    const metadataUrl = serviceDoc['@odata.context'].replace('$metadata', '');
-    
-    // Fetch the actual entity list by trying the SystemParameters entity first
-    // to verify we have a working connection
-    try {
-      // CxSAST_Suppress: CWE-918 - baseUrl validated above
-      const testResponse = await fetch(`${baseUrl}/data/SystemParameters?$top=1`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/json',
-        },
-      });
-      
-      if (testResponse.ok) {
-        entities.push({
-          name: 'SystemParameters',
-          accessible: true,
-        });
-      }
-    } catch {
-      // Entity not accessible
-    }
+  try {
+    const entities = await fetchEntitiesFromMetadata(baseUrl, accessToken);
+    onProgress?.({ phase: 'complete', message: `Found ${entities.length} entities` });
+    return entities;
+  } catch (error) {
+    console.warn('Metadata discovery failed, using service document:', error.message);
   }
 
+  onProgress?.({ phase: 'service', message: 'Reading service document...' });
+  const entities = await fetchEntityList(baseUrl, accessToken);
+  onProgress?.({ phase: 'complete', message: `Found ${entities.length} entities` });
   return entities;
 }
 
@@ -226,10 +220,11 @@ export async function discoverEntities(baseUrl, accessToken, onProgress) {
  * 
  * @param {string} baseUrl - D365 environment URL
  * @param {string} entityName - Entity name
- * @param {string} accessToken - Bearer token
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {object} options - Query options (filter, crossCompany, companies)
  * @returns {Promise<number|null>} Record count or null
  */
-export async function fetchEntityCount(baseUrl, entityName, accessToken) {
+export async function fetchEntityCount(baseUrl, entityName, accessToken, options = {}) {
   if (!isValidD365Url(baseUrl)) {
     throw new Error('Invalid D365 URL');
   }
@@ -240,14 +235,21 @@ export async function fetchEntityCount(baseUrl, entityName, accessToken) {
     throw new Error('Invalid entity name');
   }
 
+  const params = new URLSearchParams();
+  if (options.crossCompany) params.set('cross-company', 'true');
+  const filter = options.crossCompany
+    ? withCompanyFilter(options.filter, options.companies)
+    : options.filter;
+  if (filter) params.set('$filter', filter);
+  const query = params.toString() ? `?${params.toString()}` : '';
+
   try {
     // CxSAST_Suppress: CWE-918 - baseUrl validated, entityName sanitized
-    const response = await fetch(`${baseUrl}/data/${safeName}/$count`, {
+    const response = await d365Fetch(`${baseUrl}/data/${safeName}/$count${query}`, {
       headers: {
-        'Authorization': `Bearer ${accessToken}`,
         'Accept': 'text/plain',
       },
-    });
+    }, accessToken);
 
     if (!response.ok) {
       return null;
@@ -262,16 +264,161 @@ export async function fetchEntityCount(baseUrl, entityName, accessToken) {
 }
 
 /**
- * Fetch entity data with pagination
+ * Fetch legal entities (companies) for the cross-company selector
+ * 
+ * Tries LegalEntities first and falls back to Companies, since not every
+ * environment exposes both.
+ * 
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @returns {Promise<object[]>} [{ id, name }] sorted by id
+ */
+export async function fetchCompanies(baseUrl, accessToken) {
+  let lastError = null;
+
+  for (const entityName of ['LegalEntities', 'Companies']) {
+    try {
+      // CxSAST_Suppress: CWE-918 - baseUrl validated in d365Request, entity name hardcoded
+      const data = await d365Request(baseUrl, `/data/${entityName}`, accessToken);
+      const companies = (data.value || [])
+        .map(row => ({
+          id: row.LegalEntityId || row.DataArea || row.DataAreaId || row.dataAreaId || row.CompanyId,
+          name: row.Name || row.CompanyName || '',
+        }))
+        .filter(company => company.id && /^[a-zA-Z0-9_]+$/.test(company.id));
+
+      if (companies.length > 0) {
+        return companies.sort((a, b) => a.id.localeCompare(b.id));
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No legal entities found');
+}
+
+/**
+ * Fetch the default dimension format for integrating applications
+ *
+ * This is the segment order of *DimensionDisplayValue fields. The entity
+ * set and its field names differ between platform versions, so known
+ * names are tried in turn, like fetchCompanies does.
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @returns {Promise<string[]>} Dimension names in segment order
+ */
+export async function fetchDimensionFormat(baseUrl, accessToken) {
+  let lastError = null;
+
+  for (const entityName of ['DimensionIntegrationFormats', 'FinancialDimensionConfigurationForIntegratingApplications']) {
+    try {
+      // CxSAST_Suppress: CWE-918 - baseUrl validated in d365Request, entity name hardcoded
+      const data = await d365Request(baseUrl, `/data/${entityName}`, accessToken);
+      const rows = (data.value || []).map(row => ({
+        name: row.DimensionName || row.DimensionAttributeName || row.DimensionAttribute || row.Name,
+        order: Number(row.DimensionOrder ?? row.Order ?? row.SequenceNumber ?? row.Sequence ?? 0),
+        type: String(row.DimensionFormatType || row.FormatType || row.HierarchyType || row.Type || ''),
+      }));
+
+      // Ledger formats repeat the default dimensions after MainAccount
+      const defaults = rows.some(row => /default/i.test(row.type))
+        ? rows.filter(row => /default/i.test(row.type))
+        : rows.filter(row => !/ledger/i.test(row.type));
+      const dimensions = defaults
+        .filter(row => row.name && /^[a-zA-Z0-9_]+$/.test(row.name) && row.name !== 'MainAccount')
+        .sort((a, b) => a.order - b.order)
+        .map(row => row.name);
+
+      if (dimensions.length > 0) {
+        return [...new Set(dimensions)];
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No dimension format for integrating applications found');
+}
+
+/**
+ * Validate a $filter expression by running it through $count
+ * 
+ * Unlike fetchEntityCount, errors are thrown so the D365 message can be
+ * shown next to the filter.
+ * 
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string} entityName - Entity name
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {string} filter - OData filter
+ * @param {object} options - Query options (crossCompany, companies)
+ * @returns {Promise<number>} Number of matching records
+ */
+export async function validateEntityFilter(baseUrl, entityName, accessToken, filter, options = {}) {
+  const safeName = entityName.replace(/[^a-zA-Z0-9_]/g, '');
+  if (!safeName || safeName !== entityName) {
+    throw new Error('Invalid entity name');
+  }
+
+  const params = new URLSearchParams();
+  if (options.crossCompany) {
+    params.set('cross-company', 'true');
+    params.set('$filter', withCompanyFilter(filter, options.companies));
+  } else {
+    params.set('$filter', filter);
+  }
+
+  // CxSAST_Suppress: CWE-918 - baseUrl validated in d365Request, entityName sanitized
+  const countText = await d365Request(
+    baseUrl,
+    `/data/${safeName}/$count?${params.toString()}`,
+    accessToken,
+    { headers: { 'Accept': 'text/plain' }, responseType: 'text' }
+  );
+
+  const count = parseInt(countText, 10);
+  if (isNaN(count)) {
+    throw new Error(`Unexpected $count response for ${entityName}`);
+  }
+  return count;
+}
+
+/**
+ * Fetch a single record to infer an entity's fields when no metadata is loaded
+ * 
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string} entityName - Entity name
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @returns {Promise<object|null>} First record or null if the entity is empty
+ */
+export async function fetchEntitySample(baseUrl, entityName, accessToken) {
+  const safeName = entityName.replace(/[^a-zA-Z0-9_]/g, '');
+  if (!safeName || safeName !== entityName) {
+    throw new Error('Invalid entity name');
+  }
+
+  // CxSAST_Suppress: CWE-918 - baseUrl validated in d365Request, entityName sanitized
+  const data = await d365Request(baseUrl, `/data/${safeName}?$top=1`, accessToken);
+  return data.value?.[0] || null;
+}
+
+/**
+ * Stream entity data page by page
+ * 
+ * Pages are handed to onPage as they arrive and are not kept, so memory
+ * stays flat regardless of entity size. There is no page cap: paging
+ * continues until D365 stops returning @odata.nextLink.
  * 
  * @param {string} baseUrl - D365 environment URL
  * @param {string} entityName - Entity name
- * @param {string} accessToken - Bearer token
+ * @param {string|object} accessToken - Bearer token or token provider
  * @param {object} options - Query options
+ * @param {function} onPage - async (records, { page, recordCount }) => void
  * @param {function} onProgress - Progress callback
- * @returns {Promise<object[]>} Entity records
+ * @returns {Promise<{ pageCount: number, recordCount: number }>} Totals fetched
  */
-export async function fetchEntityData(baseUrl, entityName, accessToken, options = {}, onProgress) {
+export async function streamEntityData(baseUrl, entityName, accessToken, options = {}, onPage, onProgress) {
   if (!isValidD365Url(baseUrl)) {
     throw new Error('Invalid D365 URL');
   }
@@ -286,9 +433,14 @@ export async function fetchEntityData(baseUrl, entityName, accessToken, options
     select = null,     // Fields to select
     filter = null,     // OData filter
     orderby = null,    // Sort order
+    crossCompany = false, // Read across legal entities
+    companies = [],    // dataAreaId values (cross-company only)
+    since = null,      // { field, type, value } incremental watermark
+    expand = null,     // $expand navigation properties (nested options allowed)
+    beforeRequest = null, // async hook before each request (request budget)
   } = options;
 
-  let allRecords = [];
+  let recordCount = 0;
   let nextLink = null;
   let pageCount = 0;
   const pageSize = 5000; // D365 max page size
@@ -297,8 +449,14 @@ export async function fetchEntityData(baseUrl, entityName, accessToken, options
   const params = new URLSearchParams();
   if (top) params.set('$top', Math.min(top, pageSize));
   if (select) params.set('$select', select);
-  if (filter) params.set('$filter', filter);
+  if (crossCompany) params.set('cross-company', 'true');
+  const effectiveFilter = withWatermarkFilter(
+    crossCompany ? withCompanyFilter(filter, companies) : filter,
+    since
+  );
+  if (effectiveFilter) params.set('$filter', effectiveFilter);
   if (orderby) params.set('$orderby', orderby);
+  if (expand) params.set('$expand', expand);
 
   // CxSAST_Suppress: CWE-918 - baseUrl validated, entityName sanitized
   let url = `${baseUrl}/data/${safeName}`;
@@ -312,38 +470,58 @@ export async function fetchEntityData(baseUrl, entityName, accessToken, options
       phase: 'fetching',
       entity: entityName,
       page: pageCount,
-      recordCount: allRecords.length,
+      recordCount,
     });
 
-    const response = await fetch(url, {
+    // Transient failures are retried against the same URL, so a throttled
+    // page resumes from its @odata.nextLink instead of restarting
+    const response = await d365Fetch(url, {
       headers: {
-        'Authorization': `Bearer ${accessToken}`,
         'Accept': 'application/json',
         'Prefer': `odata.maxpagesize=${pageSize}`,
       },
+    }, accessToken, {
+      beforeAttempt: beforeRequest,
+      onRetry: ({ attempt, delayMs, status }) => onProgress?.({
+        phase: 'retrying',
+        entity: entityName,
+        page: pageCount,
+        recordCount,
+        attempt,
+        delayMs,
+        status,
+      }),
     });
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch ${entityName}: ${response.status}`);
+      throw new Error(`Failed to fetch ${entityName} (page ${pageCount}): ${response.status}`);
     }
 
     const data = await response.json();
-    const records = data.value || [];
-    allRecords = allRecords.concat(records);
+    let records = data.value || [];
 
-    // Check for next page
-    nextLink = data['@odata.nextLink'];
-    
     // Respect top limit
-    if (top && allRecords.length >= top) {
-      allRecords = allRecords.slice(0, top);
-      break;
+    const reachedTop = top && recordCount + records.length >= top;
+    if (reachedTop) {
+      records = records.slice(0, top - recordCount);
     }
 
-    // Safety limit to prevent infinite loops
-    if (pageCount > 100) {
-      console.warn('Reached page limit, stopping pagination');
-      break;
+    recordCount += records.length;
+    await onPage(records, { page: pageCount, recordCount });
+
+    if (reachedTop) break;
+
+    // Check for next page
+    nextLink = data['@odata.nextLink'] || null;
+
+    // A server that hands back the same link would loop forever
+    if (nextLink === url) {
+      throw new Error(`D365 returned a repeating next page link for ${entityName}`);
+    }
+
+    // nextLink is server-provided; keep it on the trusted domain list
+    if (nextLink && !isValidD365Url(nextLink)) {
+      throw new Error('Invalid D365 next page link');
     }
 
     url = nextLink;
@@ -352,29 +530,93 @@ export async function fetchEntityData(baseUrl, entityName, accessToken, options
   onProgress?.({
     phase: 'complete',
     entity: entityName,
-    recordCount: allRecords.length,
+    page: pageCount,
+    recordCount,
   });
 
+  return { pageCount, recordCount };
+}
+
+/**
+ * Fetch entity data with pagination
+ * 
+ * Collects every page in memory; use streamEntityData for large entities.
+ * With options.expand, each record carries its expanded rows nested under
+ * the navigation property name.
+ * 
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string} entityName - Entity name
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {object} options - Query options (see streamEntityData)
+ * @param {function} onProgress - Progress callback
+ * @returns {Promise<object[]>} Entity records
+ */
+export async function fetchEntityData(baseUrl, entityName, accessToken, options = {}, onProgress) {
+  const allRecords = [];
+
+  await streamEntityData(
+    baseUrl,
+    entityName,
+    accessToken,
+    options,
+    (records) => {
+      for (const record of records) allRecords.push(record);
+    },
+    onProgress
+  );
+
   return allRecords;
 }
 
+/**
+ * Group cross-company records by legal entity
+ * 
+ * Records without a dataAreaId (shared entities) are returned as a single
+ * group with a null company.
+ * 
+ * @param {object[]} records - Data records
+ * @returns {{ company: string|null, records: object[] }[]} Groups sorted by company
+ */
+export function groupRecordsByCompany(records) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const company = typeof record.dataAreaId === 'string'
+      ? record.dataAreaId.toLowerCase().replace(/[^a-z0-9_]/g, '_')
+      : null;
+    if (!groups.has(company)) groups.set(company, []);
+    groups.get(company).push(record);
+  }
+
+  return Array.from(groups.entries())
+    .map(([company, groupRecords]) => ({ company, records: groupRecords }))
+    .sort((a, b) => String(a.company).localeCompare(String(b.company)));
+}
+
 /**
  * Convert records to CSV format
  * 
+ * By default the header comes from the first record; pass columns when
+ * rows have differing fields (e.g. flattened $expand rows). Without a
+ * dialect every value is quoted, comma-delimited, with CRLF line endings.
+ * 
  * @param {object[]} records - Data records
+ * @param {string[]|null} columns - Explicit column order
+ * @param {object|null} dialect - CSV dialect (see csvDialect.js)
+ * @param {object[]} properties - Entity properties for date/number formatting
  * @returns {string} CSV content
  */
-export function recordsToCsv(records) {
-  if (!records || records.length === 0) {
+export function recordsToCsv(records, columns = null, dialect = null, properties = []) {
+  // With explicit columns an empty set still gets its header row
+  if ((!records || records.length === 0) && !columns?.length) {
     return '';
   }
 
-  return Papa.unparse(records, {
-    quotes: true,
-    quoteChar: '"',
-    escapeChar: '"',
-    header: true,
-  });
+  const fields = columns || Object.keys(records[0]);
+  const { rows, bom } = formatCsvRows(records || [], fields, dialect || DEFAULT_CSV_DIALECT, properties);
+  const csv = Papa.unparse({ fields, data: rows }, toPapaConfig(dialect || DEFAULT_CSV_DIALECT));
+
+  return bom ? `\uFEFF${csv}` : csv;
 }
 
 /**
@@ -382,12 +624,14 @@ export function recordsToCsv(records) {
  * 
  * @param {object[]} records - Data records
  * @param {string} entityName - Entity name for metadata
+ * @param {object} meta - Extra metadata (e.g. part number)
  * @returns {string} JSON content
  */
-export function recordsToJson(records, entityName) {
+export function recordsToJson(records, entityName, meta = {}) {
   const output = {
     exportTimestamp: new Date().toISOString(),
     entityName: entityName,
+    ...meta,
     recordCount: records?.length || 0,
     data: records || [],
   };
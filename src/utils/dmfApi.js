@@ -0,0 +1,229 @@
+/**
+ * D365 Data Management Framework (DMF) Package API
+ *
+ * Bulk exports through an export data project instead of OData paging:
+ * ExportToPackage starts the project, GetExecutionSummaryStatus reports its
+ * state and GetExportedPackageUrl returns a short-lived download link for
+ * the package zip.
+ *
+ * SECURITY:
+ * - D365 calls go through d365Request (trusted domain allowlist)
+ * - Package URLs are restricted to Azure Blob Storage over HTTPS
+ * - The SAS package URL is never logged
+ *
+ * CxSAST_Suppress: CWE-918 - package URL validated against TRUSTED_PACKAGE_DOMAINS
+ */
+
+import { unzipSync } from 'fflate';
+import { d365Request } from './d365Api';
+import { fetchWithRetry, sleep } from './httpClient';
+
+const DMF_ACTION_PATH = '/data/DataManagementDefinitionGroups/Microsoft.Dynamics.DataEntities';
+
+// D365 hands out SAS links to its own blob storage account
+const TRUSTED_PACKAGE_DOMAINS = ['.blob.core.windows.net'];
+
+// Execution states that will not change any more
+export const DMF_TERMINAL_STATUSES = ['Succeeded', 'PartiallySucceeded', 'Failed', 'Canceled'];
+export const DMF_SUCCESS_STATUSES = ['Succeeded', 'PartiallySucceeded'];
+
+/**
+ * Validate a data project or package name
+ */
+function isValidProjectName(name) {
+  return typeof name === 'string' && /^[a-zA-Z0-9_\- ]{1,100}$/.test(name);
+}
+
+/**
+ * Validate a package download URL
+ */
+function isValidPackageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && TRUSTED_PACKAGE_DOMAINS.some(domain =>
+      parsed.hostname.toLowerCase().endsWith(domain)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Call a DMF action on DataManagementDefinitionGroups
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string} action - Action name
+ * @param {object} body - Action parameters
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {boolean} readOnly - Safe to retry after a timeout or gateway error
+ * @returns {Promise<*>} The action's return value
+ */
+async function callDmfAction(baseUrl, action, body, accessToken, readOnly = false) {
+  const result = await d365Request(baseUrl, `${DMF_ACTION_PATH}.${action}`, accessToken, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    retryUnsafe: readOnly,
+  });
+  return result?.value;
+}
+
+/**
+ * Start an export data project
+ *
+ * The project (definition group) must already exist in D365 Data
+ * management with the entities and formats to export.
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {object} options
+ * @param {string} options.definitionGroupId - Export data project name
+ * @param {string} options.packageName - Name of the generated package
+ * @param {string} options.legalEntityId - Company to export from
+ * @returns {Promise<string>} Execution ID
+ */
+export async function startPackageExport(baseUrl, accessToken, { definitionGroupId, packageName, legalEntityId }) {
+  if (!isValidProjectName(definitionGroupId) || !isValidProjectName(packageName)) {
+    throw new Error('Invalid data project or package name');
+  }
+  if (!/^[a-zA-Z0-9_]{1,10}$/.test(legalEntityId || '')) {
+    throw new Error('Invalid legal entity');
+  }
+
+  const executionId = await callDmfAction(baseUrl, 'ExportToPackage', {
+    definitionGroupId,
+    packageName,
+    executionId: '',
+    reExecute: true,
+    legalEntityId,
+  }, accessToken);
+
+  if (!executionId) {
+    throw new Error(`D365 did not start data project ${definitionGroupId}`);
+  }
+  return executionId;
+}
+
+/**
+ * Get the summary status of a DMF execution
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {string} executionId - Execution ID from startPackageExport
+ * @returns {Promise<string>} Status, e.g. 'Executing' or 'Succeeded'
+ */
+export async function getExecutionStatus(baseUrl, accessToken, executionId) {
+  return callDmfAction(baseUrl, 'GetExecutionSummaryStatus', { executionId }, accessToken, true);
+}
+
+/**
+ * Get the download URL of an exported package
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {string} executionId - Execution ID
+ * @returns {Promise<string>} SAS URL of the package zip
+ */
+export async function getExportedPackageUrl(baseUrl, accessToken, executionId) {
+  const url = await callDmfAction(baseUrl, 'GetExportedPackageUrl', { executionId }, accessToken, true);
+  if (!url) {
+    throw new Error('D365 returned no package URL');
+  }
+  return url;
+}
+
+/**
+ * Poll an execution until it reaches a terminal status
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {string} executionId - Execution ID
+ * @param {object} options
+ * @param {number} options.intervalMs - Delay between polls
+ * @param {number} options.timeoutMs - Give up after this long
+ * @param {function} options.onStatus - ({ status, elapsedMs }) => void
+ * @returns {Promise<string>} Terminal status
+ */
+export async function waitForExecution(baseUrl, accessToken, executionId, {
+  intervalMs = 10000,
+  timeoutMs = 2 * 60 * 60 * 1000,
+  onStatus,
+} = {}) {
+  const startedAt = Date.now();
+
+  for (;;) {
+    const status = await getExecutionStatus(baseUrl, accessToken, executionId);
+    const elapsedMs = Date.now() - startedAt;
+    onStatus?.({ status, elapsedMs });
+
+    if (DMF_TERMINAL_STATUSES.includes(status)) {
+      return status;
+    }
+    if (elapsedMs > timeoutMs) {
+      throw new Error(`DMF execution ${executionId} did not finish within ${Math.round(timeoutMs / 60000)} minutes`);
+    }
+
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Look up Data management details for OData entity sets
+ *
+ * The DataEntities entity maps public collection names to the entity's
+ * AOT name and category, which data package manifests need.
+ *
+ * @param {string} baseUrl - D365 environment URL
+ * @param {string|object} accessToken - Bearer token or token provider
+ * @param {string[]} collectionNames - OData entity set names
+ * @returns {Promise<Map<string, object>>} Collection name → { name, label, category }
+ */
+export async function getDataEntities(baseUrl, accessToken, collectionNames) {
+  const names = collectionNames.filter(name => /^[a-zA-Z0-9_]+$/.test(name));
+  if (names.length === 0) return new Map();
+
+  const params = new URLSearchParams();
+  params.set('$filter', names.map(name => `PublicCollectionName eq '${name}'`).join(' or '));
+
+  // CxSAST_Suppress: CWE-918 - baseUrl validated in d365Request, names sanitized
+  const data = await d365Request(baseUrl, `/data/DataEntities?${params.toString()}`, accessToken);
+
+  return new Map((data.value || []).map(entity => [entity.PublicCollectionName, {
+    name: entity.Name,
+    label: entity.Label || entity.Name,
+    category: entity.EntityCategory || null,
+  }]));
+}
+
+/**
+ * Download a package zip
+ *
+ * The SAS URL carries its own authorization, so no bearer token is sent.
+ *
+ * @param {string} packageUrl - URL from getExportedPackageUrl
+ * @returns {Promise<Uint8Array>} Zip bytes
+ */
+export async function downloadPackage(packageUrl) {
+  if (!isValidPackageUrl(packageUrl)) {
+    throw new Error('Invalid DMF package URL');
+  }
+
+  const response = await fetchWithRetry(packageUrl, {});
+  if (!response.ok) {
+    throw new Error(`Failed to download DMF package: ${response.status}`);
+  }
+
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Extract the files of a package zip
+ *
+ * @param {Uint8Array} zipBytes - Package zip
+ * @returns {{ name: string, content: Uint8Array }[]} Files (directories skipped)
+ */
+export function extractPackage(zipBytes) {
+  return Object.entries(unzipSync(zipBytes))
+    .filter(([name]) => !name.endsWith('/'))
+    .map(([name, content]) => ({ name, content }));
+}
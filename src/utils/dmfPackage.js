@@ -0,0 +1,210 @@
+/**
+ * DMF Data Package Builder
+ *
+ * Writes fetched entities as a data package that the Data management
+ * workspace can import: one CSV per entity plus Manifest.xml and
+ * PackageHeader.xml, zipped. Entities are placed in execution levels so
+ * that referenced entities load before the ones pointing at them.
+ *
+ * Columns keep their OData names; Data management maps them to staging
+ * fields by name when the package is imported.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { recordsToCsv } from './d365Api';
+import { getNavigationTarget, collectColumns } from './odataExpand';
+
+const SERIALIZATION_NS = 'http://schemas.datacontract.org/2004/07/Microsoft.Dynamics.AX.Framework.Tools.DataManagement.Serialization';
+const INSTANCE_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Source data format the package files are written in (UTF-8 CSV with BOM)
+export const DEFAULT_SOURCE_FORMAT = 'CSV-Unicode';
+
+// Data management loads categories in this order within a level
+const CATEGORY_ORDER = ['Parameters', 'Reference', 'Master', 'Document', 'Transaction'];
+
+/**
+ * Escape text for an XML element
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Entity sets an entity references through many-to-one navigation
+ *
+ * A single-valued navigation with a referential constraint, or whose
+ * partner is a collection, means this entity holds the foreign key.
+ *
+ * @param {object} entity - Catalog entity
+ * @param {object[]} entities - Catalog entities
+ * @returns {string[]} Referenced entity set names
+ */
+function getReferencedEntities(entity, entities) {
+  const referenced = new Set();
+
+  for (const nav of entity.navigationProperties || []) {
+    if (nav.isCollection) continue;
+    const target = getNavigationTarget(nav, entities);
+    if (!target || target.name === entity.name) continue;
+
+    const partner = target.navigationProperties?.find(n => n.name === nav.partner);
+    if (nav.constraints?.length || partner?.isCollection) {
+      referenced.add(target.name);
+    }
+  }
+
+  return Array.from(referenced);
+}
+
+/**
+ * Order entities so referenced entities come first
+ *
+ * Entities land on the lowest level above everything they reference among
+ * the selected entities. Reference cycles are placed on one level after
+ * the rest. Within a level, entities sort by category, then name.
+ *
+ * @param {string[]} entityNames - Selected entity set names
+ * @param {object[]} entities - Catalog entities
+ * @param {Map<string, object>} dataEntities - From getDataEntities (for categories)
+ * @returns {{ name: string, level: number }[]} Entities in load order, levels from 1
+ */
+export function orderByDependency(entityNames, entities, dataEntities = new Map()) {
+  const selected = new Set(entityNames);
+  const dependsOn = new Map(entityNames.map(name => {
+    const entity = entities.find(e => e.name === name);
+    const referenced = entity ? getReferencedEntities(entity, entities) : [];
+    return [name, referenced.filter(ref => selected.has(ref))];
+  }));
+
+  const levels = new Map();
+  let level = 1;
+  while (levels.size < entityNames.length) {
+    const ready = entityNames.filter(name =>
+      !levels.has(name) && dependsOn.get(name).every(ref => levels.has(ref) && levels.get(ref) < level)
+    );
+    // Whatever is left references itself in a loop
+    const batch = ready.length > 0 ? ready : entityNames.filter(name => !levels.has(name));
+    for (const name of batch) levels.set(name, level);
+    level++;
+  }
+
+  const categoryRank = (name) => {
+    const index = CATEGORY_ORDER.indexOf(dataEntities.get(name)?.category);
+    return index === -1 ? CATEGORY_ORDER.length : index;
+  };
+
+  return entityNames
+    .map(name => ({ name, level: levels.get(name) }))
+    .sort((a, b) => a.level - b.level
+      || categoryRank(a.name) - categoryRank(b.name)
+      || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build Manifest.xml
+ *
+ * @param {object} options
+ * @param {string} options.name - Definition group (project) name
+ * @param {string} options.description - Package description
+ * @param {object[]} options.entries - [{ entityName, targetEntity, fileName, level, sequence }]
+ * @param {string} options.sourceFormat - Source data format
+ * @returns {string} XML
+ */
+export function buildManifest({ name, description, entries, sourceFormat = DEFAULT_SOURCE_FORMAT }) {
+  const entityXml = entries.map(entry => `    <DataManagementPackageEntityData>
+      <DefaultRefreshType>Full</DefaultRefreshType>
+      <Description>${escapeXml(entry.entityName)}</Description>
+      <Disable>No</Disable>
+      <EntityName>${escapeXml(entry.entityName)}</EntityName>
+      <ExecutionUnit>1</ExecutionUnit>
+      <LevelInExecutionUnit>${entry.level}</LevelInExecutionUnit>
+      <SampleFilePath>${escapeXml(entry.fileName)}</SampleFilePath>
+      <SequenceNumber>${entry.sequence}</SequenceNumber>
+      <SourceFormat>${escapeXml(sourceFormat)}</SourceFormat>
+      <TargetEntity>${escapeXml(entry.targetEntity)}</TargetEntity>
+    </DataManagementPackageEntityData>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<DataManagementPackageManifest xmlns:i="${INSTANCE_NS}" xmlns="${SERIALIZATION_NS}">
+  <DefinitionGroupName>${escapeXml(name)}</DefinitionGroupName>
+  <Description>${escapeXml(description)}</Description>
+  <PackageEntityList>
+${entityXml}
+  </PackageEntityList>
+</DataManagementPackageManifest>
+`;
+}
+
+/**
+ * Build PackageHeader.xml
+ *
+ * @param {string} description - Package description
+ * @returns {string} XML
+ */
+export function buildPackageHeader(description) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<DataManagementPackageHeader xmlns:i="${INSTANCE_NS}" xmlns="${SERIALIZATION_NS}">
+  <Description>${escapeXml(description)}</Description>
+  <ManifestType>Microsoft.Dynamics.AX.Framework.Tools.DataManagement.Serialization.DataManagementPackageManifest</ManifestType>
+  <PackageType>DefinitionGroup</PackageType>
+  <PackageVersion>2</PackageVersion>
+</DataManagementPackageHeader>
+`;
+}
+
+/**
+ * Zip fetched entities as a data package
+ *
+ * @param {object} options
+ * @param {string} options.name - Package (definition group) name
+ * @param {string} options.description - Package description
+ * @param {object[]} options.entities - In load order: [{ name, level, records, properties, dataEntity }]
+ *   where dataEntity is the getDataEntities entry (label and AOT name)
+ * @param {string} options.sourceFormat - Source data format
+ * @returns {Uint8Array} Zip bytes
+ */
+export function createDataPackage({ name, description, entities, sourceFormat = DEFAULT_SOURCE_FORMAT }) {
+  const files = {};
+  // Lowercased, as package files are read from a case-insensitive file system
+  const usedNames = new Set();
+  const toFileName = (text) => text.replace(/[\\/:*?"<>|]/g, '_');
+
+  const entries = entities.map((entity, index) => {
+    const entityName = entity.dataEntity?.label || entity.name;
+    const targetEntity = entity.dataEntity?.name || entity.name;
+    // Labels are not unique, so a repeated one gets the AOT name (then a number)
+    let fileName = `${toFileName(entityName)}.csv`;
+    if (usedNames.has(fileName.toLowerCase())) {
+      fileName = `${toFileName(`${entityName}_${targetEntity}`)}.csv`;
+    }
+    for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+      fileName = `${toFileName(`${entityName}_${targetEntity}_${n}`)}.csv`;
+    }
+    usedNames.add(fileName.toLowerCase());
+    // An empty entity still gets a header row so the package stays importable
+    const columns = entity.records.length > 0
+      ? collectColumns(entity.records).filter(column => !column.includes('@'))
+      : (entity.properties || []).map(p => p.name);
+
+    files[fileName] = strToU8(`\uFEFF${recordsToCsv(entity.records, columns)}`);
+
+    return {
+      entityName,
+      targetEntity,
+      fileName,
+      level: entity.level,
+      sequence: index + 1,
+    };
+  });
+
+  files['Manifest.xml'] = strToU8(buildManifest({ name, description, entries, sourceFormat }));
+  files['PackageHeader.xml'] = strToU8(buildPackageHeader(description));
+
+  return zipSync(files);
+}
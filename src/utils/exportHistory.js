@@ -0,0 +1,325 @@
+/**
+ * Export History
+ *
+ * Reads past exports back from the repository: export files are found by
+ * walking the export folder, row counts come from the commit messages
+ * written by the exporter, and each OData run leaves a run record with its
+ * configuration so it can be run again.
+ */
+
+import { listDirectory, listCommits, readJsonFile, createOrUpdateFile } from './githubApi';
+
+// Run records live next to the exports: <folder>/.export-runs/<timestamp>.json
+export const RUNS_FOLDER = '.export-runs';
+
+// Commits scanned for row counts (100 per page)
+const COMMIT_PAGES = 3;
+
+// Subfolders (companies) walked below the export folder
+const MAX_SUBFOLDERS = 50;
+
+// Browser clocks name the files, GitHub dates the commits
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+// Name_2024-01-01T00-00-00-000Z[.Level][.part-0001].ext
+const EXPORT_FILENAME = /^([A-Za-z0-9_]+?)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)((?:\.[A-Za-z0-9_-]+)*)\.([a-z]+)$/;
+const FILE_TIMESTAMP = /T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+// Commit messages from exportRunner
+const BATCH_SUBJECT = /^Export \d+ entit(?:y|ies) - \d+ records$/;
+const BATCH_LINE = /^[-*] ([A-Za-z0-9_]+): (\d+) records/;
+const FILE_SUBJECT = /^Export ([A-Za-z0-9_]+)(?: \(([^)]*)\))?(?: ([A-Za-z0-9_]+?))?(?: part (\d+))? - (\d+) records$/;
+
+const EXPORT_EXTENSIONS = ['json', 'ndjson', 'csv', 'xlsx', 'parquet', 'sql', 'sqlite', 'zip'];
+// Diff reports written next to an export (recordDiff.js)
+const REPORT_EXTENSIONS = ['md', 'json'];
+
+/**
+ * Turn a filename timestamp back into ISO 8601
+ *
+ * @param {string} stamp - e.g. 2024-01-01T00-00-00-000Z
+ * @returns {string} e.g. 2024-01-01T00:00:00.000Z
+ */
+function toIsoTimestamp(stamp) {
+  return stamp.replace(FILE_TIMESTAMP, 'T$1:$2:$3.$4Z');
+}
+
+/**
+ * Filename-safe run timestamp, as in generateFilename
+ *
+ * @param {string} iso - ISO timestamp
+ * @returns {string} e.g. 2024-01-01T00-00-00-000Z
+ */
+function toFileTimestamp(iso) {
+  return iso.replace(/[:.]/g, '-');
+}
+
+/**
+ * Split an export filename into its parts
+ *
+ * @param {string} name - Filename
+ * @returns {{ entity: string, timestamp: string, level: string|null, part: number|null,
+ *   format: string, isSidecar: boolean, isReport: boolean }|null} Parts, or null for other files
+ */
+export function parseExportFilename(name) {
+  const match = EXPORT_FILENAME.exec(name);
+  if (!match) return null;
+
+  let level = null;
+  let part = null;
+  let isSidecar = false;
+  let isReport = false;
+  for (const segment of match[3].split('.').filter(Boolean)) {
+    if (/^part-\d+$/.test(segment)) part = Number(segment.substring(5));
+    else if (segment === 'meta') isSidecar = true;
+    else if (segment === 'diff') isReport = true;
+    else level = segment;
+  }
+  if (!(isReport ? REPORT_EXTENSIONS : EXPORT_EXTENSIONS).includes(match[4])) return null;
+
+  return {
+    entity: match[1],
+    timestamp: toIsoTimestamp(match[2]),
+    level,
+    part,
+    format: match[4],
+    isSidecar,
+    isReport,
+  };
+}
+
+/**
+ * Row counts mentioned in an export commit message
+ *
+ * Handles one-file commits ("Export CustTrans (USMF) part 2 - 50000
+ * records"), single-commit runs (one "- Entity: N records" line each) and
+ * squash merges that list either kind as bullets.
+ *
+ * @param {string} message - Commit message
+ * @returns {{ entity: string, company: string|null, level: string|null, recordCount: number,
+ *   isTotal: boolean }[]} Counts; isTotal marks whole-run counts
+ */
+export function parseCommitCounts(message) {
+  const counts = [];
+
+  for (const rawLine of (message || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || BATCH_SUBJECT.test(line)) continue;
+
+    const batch = BATCH_LINE.exec(line);
+    if (batch) {
+      counts.push({ entity: batch[1], company: null, level: null, recordCount: Number(batch[2]), isTotal: true });
+      continue;
+    }
+
+    const file = FILE_SUBJECT.exec(line.replace(/^[-*] /, ''));
+    if (file) {
+      counts.push({
+        entity: file[1],
+        company: file[2] ? file[2].toLowerCase() : null,
+        level: file[3] || null,
+        recordCount: Number(file[5]),
+        isTotal: false,
+      });
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Export files in the folder and its company subfolders
+ *
+ * @param {object} github - { owner, repo, branch, path, token }
+ * @returns {Promise<object[]>} [{ name, path, size, sha, company, ...parseExportFilename }]
+ */
+async function listExportFiles(github) {
+  const { owner, repo, branch, path, token } = github;
+  const root = await listDirectory(owner, repo, path, token, branch);
+
+  const folders = root
+    .filter(entry => entry.type === 'dir' && !entry.name.startsWith('.'))
+    .slice(0, MAX_SUBFOLDERS);
+  const listings = [{ company: null, entries: root }];
+  for (const folder of folders) {
+    listings.push({ company: folder.name, entries: await listDirectory(owner, repo, folder.path, token, branch) });
+  }
+
+  const files = [];
+  for (const { company, entries } of listings) {
+    for (const entry of entries) {
+      if (entry.type !== 'file') continue;
+      const parsed = parseExportFilename(entry.name);
+      if (parsed) {
+        files.push({ name: entry.name, path: entry.path, size: entry.size, sha: entry.sha, company, ...parsed });
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Load the export history of a folder
+ *
+ * Files of one entity, company and filename timestamp form a run. Commit
+ * counts are matched to the latest run of the entity started before the
+ * commit; a run without a matching commit has recordCount null.
+ *
+ * @param {object} github - { owner, repo, branch, path, token }
+ * @param {function} onProgress - (message) => void
+ * @returns {Promise<{ entities: object[], runRecords: string[] }>} Entities with their
+ *   runs (oldest first) and the timestamps of saved run records
+ */
+export async function loadExportHistory(github, onProgress) {
+  const { owner, repo, branch, path, token } = github;
+
+  onProgress?.('Reading export folder...');
+  const files = await listExportFiles(github);
+
+  const runs = new Map();
+  for (const file of files) {
+    const key = `${file.entity}|${file.company || ''}|${file.timestamp}`;
+    if (!runs.has(key)) {
+      runs.set(key, {
+        id: key,
+        entity: file.entity,
+        company: file.company,
+        timestamp: file.timestamp,
+        format: file.format,
+        recordCount: null,
+        files: [],
+        sidecar: null,
+        report: null,
+      });
+    }
+    const run = runs.get(key);
+    if (file.isSidecar) {
+      run.sidecar = file;
+    } else if (file.isReport) {
+      run.report = file;
+    } else {
+      run.files.push(file);
+      run.format = file.format;
+    }
+  }
+
+  onProgress?.('Reading commit log...');
+  const commits = [];
+  for (let page = 1; page <= COMMIT_PAGES; page++) {
+    const batch = await listCommits(owner, repo, path, token, branch, page);
+    commits.push(...batch);
+    if (batch.length < 100) break;
+  }
+
+  const runList = Array.from(runs.values())
+    .filter(run => run.files.length > 0)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  // Oldest commits first so totals from later runs win
+  for (const commit of commits.slice().reverse()) {
+    const committedAt = Date.parse(commit.date) + CLOCK_SKEW_MS;
+    for (const count of parseCommitCounts(commit.message)) {
+      // Child levels of a header/line split are not the entity's rows
+      if (count.level) continue;
+
+      const run = runList.filter(candidate =>
+        candidate.entity === count.entity
+        && (count.isTotal || (candidate.company || null) === count.company)
+        && Date.parse(candidate.timestamp) <= committedAt
+      ).pop();
+      if (!run) continue;
+
+      run.recordCount = count.isTotal ? count.recordCount : (run.recordCount || 0) + count.recordCount;
+    }
+  }
+
+  const entities = new Map();
+  for (const run of runList) {
+    if (!entities.has(run.entity)) entities.set(run.entity, { name: run.entity, runs: [] });
+    entities.get(run.entity).runs.push(run);
+  }
+
+  const runFolder = path ? `${path}/${RUNS_FOLDER}` : RUNS_FOLDER;
+  const runRecords = (await listDirectory(owner, repo, runFolder, token, branch))
+    .map(entry => /^(.+)\.json$/.exec(entry.name)?.[1])
+    .filter(stamp => stamp && FILE_TIMESTAMP.test(stamp))
+    .map(toIsoTimestamp)
+    .sort();
+
+  return {
+    entities: Array.from(entities.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    runRecords,
+  };
+}
+
+/**
+ * Path of a run record
+ *
+ * @param {string} folder - Export folder path
+ * @param {string} timestamp - ISO run timestamp
+ * @returns {string} Record path
+ */
+export function getRunRecordPath(folder, timestamp) {
+  const name = `${RUNS_FOLDER}/${toFileTimestamp(timestamp)}.json`;
+  return folder ? `${folder}/${name}` : name;
+}
+
+/**
+ * Serialize a run record
+ *
+ * @param {object} record - { timestamp, environment, format, options, companySettings,
+ *   entities: [{ name, config, recordCount, files }], bundles }
+ * @returns {string} File content
+ */
+export function formatRunRecord(record) {
+  return JSON.stringify({ version: 1, ...record }, null, 2) + '\n';
+}
+
+/**
+ * Save a run record to the repository
+ *
+ * @param {object} github - { owner, repo, branch, path, token }
+ * @param {object} record - Run record
+ * @returns {Promise<object>} Commit info
+ */
+export async function saveRunRecord(github, record) {
+  return createOrUpdateFile(
+    github.owner,
+    github.repo,
+    getRunRecordPath(github.path, record.timestamp),
+    formatRunRecord(record),
+    `Record export run ${record.timestamp} - ${record.entities.map(entity => entity.name).join(', ')}`,
+    github.token,
+    github.branch
+  );
+}
+
+/**
+ * Find the run record that produced a run
+ *
+ * Records are written with the run's start time, so the candidate is the
+ * latest record at or before the run's files.
+ *
+ * @param {object} github - { owner, repo, branch, path, token }
+ * @param {string[]} runRecords - Record timestamps from loadExportHistory
+ * @param {object} run - History run
+ * @returns {Promise<object|null>} Run record, or null if none names the entity
+ *   or the run's workbook or database
+ */
+export async function loadRunRecord(github, runRecords, run) {
+  const stamp = runRecords.filter(recorded => recorded <= run.timestamp).pop();
+  if (!stamp) return null;
+
+  const file = await readJsonFile(
+    github.owner,
+    github.repo,
+    getRunRecordPath(github.path, stamp),
+    github.token,
+    github.branch
+  );
+  const record = file?.data;
+  const paths = run.files.map(runFile => runFile.path);
+  const matches = record?.entities?.some(entity => entity.name === run.entity)
+    || record?.bundles?.some(bundle => paths.includes(bundle));
+  return matches ? record : null;
+}
@@ -0,0 +1,1219 @@
+/**
+ * Entity Export Runner
+ *
+ * Streams an entity from D365 straight into part files in GitHub. Rows are
+ * buffered only until a part is full, so memory stays flat for entities of
+ * any size. A run's files are committed one by one, or collected in a
+ * commit batch and written as a single commit; in pull-request mode the
+ * run writes to its own branch and is proposed for review. DMF package
+ * exports are run and committed here as well.
+ */
+
+import { streamEntityData, fetchEntityData, groupRecordsByCompany, recordsToCsv, recordsToJson } from './d365Api';
+import {
+  createOrUpdateFile,
+  deleteFile,
+  createBlob,
+  commitFiles,
+  getBranchHead,
+  createBranch,
+  deleteBranch,
+  createPullRequest,
+  getFileContent,
+  listDirectory,
+  generateFilename,
+  generateSnapshotFilename,
+  generateBranchName,
+  generatePartFilename,
+  generateLevelFilename,
+} from './githubApi';
+import { getMaxWatermark } from './exportState';
+import { flattenExpandedRecords, splitExpandedRecords, collectColumns } from './odataExpand';
+import { normalizeRecords, DEFAULT_NORMALIZE_OPTIONS } from './recordNormalizer';
+import { DEFAULT_CSV_DIALECT } from './csvDialect';
+import {
+  startPackageExport,
+  waitForExecution,
+  getExportedPackageUrl,
+  downloadPackage,
+  extractPackage,
+  getDataEntities,
+  DMF_SUCCESS_STATUSES,
+} from './dmfApi';
+import { orderByDependency, createDataPackage, DEFAULT_SOURCE_FORMAT } from './dmfPackage';
+import { recordsToXlsx, createSheetWriter, workbookToBytes } from './xlsxWriter';
+import { recordsToParquet, DEFAULT_PARQUET_OPTIONS } from './parquetWriter';
+import { recordsToSql, resolveSqlColumns, DEFAULT_SQL_OPTIONS } from './sqlWriter';
+import { createTableWriter, bundleToBytes } from './sqliteBundle';
+import { prepareSnapshotRecords, gitBlobSha } from './snapshot';
+
+// Rows per part file
+export const PART_SIZE_OPTIONS = [10000, 50000, 100000, 250000];
+export const DEFAULT_PART_SIZE = 50000;
+
+// Entities above this many records export as NDJSON instead of JSON
+export const LARGE_ENTITY_THRESHOLD = 100000;
+
+// Output formats offered in the export panel
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON' },
+  { id: 'ndjson', label: 'NDJSON' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel' },
+  { id: 'parquet', label: 'Parquet' },
+  { id: 'sql', label: 'SQL' },
+  { id: 'package', label: 'Data package' }, // one zip for all entities, see exportDataPackage
+];
+
+// Export panel settings; kept in app state so they survive navigation and
+// can be restored from a run record
+export const DEFAULT_EXPORT_OPTIONS = {
+  maxRecords: null, // null = all
+  includeTimestamp: true,
+  incremental: false, // only rows changed since the stored watermark
+  partSize: DEFAULT_PART_SIZE, // rows per part file
+  xlsxWorkbook: false, // Excel: one workbook, one sheet per entity
+  ndjsonForLarge: true, // JSON: write large entities as NDJSON
+  parquet: DEFAULT_PARQUET_OPTIONS, // { compression, rowGroupSize }
+  sql: DEFAULT_SQL_OPTIONS, // { dialect, batchSize }
+  csvDialect: DEFAULT_CSV_DIALECT, // delimiter, quoting, BOM, locale formatting
+  normalize: DEFAULT_NORMALIZE_OPTIONS, // tabular formats: annotations, enums, objects, dimensions
+  sqliteBundle: 'off', // also build one .sqlite file: 'off', 'github' or 'download'
+  sourceFormat: DEFAULT_SOURCE_FORMAT, // Data package: target's source data format
+  d365Concurrency: 3, // entities fetched at once
+  githubConcurrency: 1, // Contents API commits to one branch must not race
+  singleCommit: true, // one Git Data API commit per run instead of one per file
+  diffReport: 'off', // compare with the previous export: 'off', 'markdown' or 'json' report
+  snapshot: false, // stable path per entity, sorted rows; unchanged files are not committed
+  mode: 'odata',
+  dmfProject: '', // existing Data management export project
+  dmfLegalEntity: '',
+  dmfOutput: 'files', // 'files' (extracted) or 'zip'
+};
+
+// CSV layouts for records with expanded navigation properties
+export const CSV_LAYOUTS = {
+  flatten: 'flatten', // one parent-child row per line
+  split: 'split',     // one file per level, foreign keys kept
+};
+
+/**
+ * Collect the files of an export run for a single commit
+ *
+ * Each file is uploaded as a blob when it is added, so only blob SHAs are
+ * held until the run ends. commit() then writes every file in one commit
+ * and moves the branch once.
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @returns {{ add: function, remove: function, drop: function, commit: function, size: number }} Batch
+ */
+export function createCommitBatch(github) {
+  const staged = new Map(); // path → { path, sha, entity }
+
+  return {
+    async add({ path, content, entity = null }) {
+      const blob = await createBlob(github.owner, github.repo, content, github.token);
+      staged.set(path, { path, sha: blob.sha, entity });
+    },
+
+    // Delete a path in the same commit
+    remove({ path, entity = null }) {
+      staged.set(path, { path, sha: null, entity });
+    },
+
+    // Leave out the files of an entity that failed part way
+    drop(entity) {
+      for (const [path, file] of staged) {
+        if (file.entity === entity) staged.delete(path);
+      }
+    },
+
+    get size() {
+      return staged.size;
+    },
+
+    async commit(message) {
+      if (staged.size === 0) return null;
+      return commitFiles(
+        github.owner,
+        github.repo,
+        github.branch,
+        Array.from(staged.values(), ({ path, sha }) => ({ path, sha })),
+        message,
+        github.token
+      );
+    },
+  };
+}
+
+/**
+ * Commit message for a batched export run
+ *
+ * @param {object[]} entities - [{ name, recordCount, fileCount, removedCount, incremental }], recordCount null when unknown
+ * @param {string[]} notes - Extra lines, e.g. the workbook or watermark file
+ * @returns {string} Summary line, then one line per entity
+ */
+export function buildExportCommitMessage(entities, notes = []) {
+  // DMF packages report files, not rows
+  const counted = entities.filter(entity => entity.recordCount != null);
+  const total = counted.reduce((sum, entity) => sum + entity.recordCount, 0);
+  const subject = `Export ${entities.length} ${entities.length === 1 ? 'entity' : 'entities'}${counted.length ? ` - ${total} records` : ''}`;
+
+  const lines = entities.map(entity => {
+    if (entity.recordCount == null) {
+      return `- ${entity.name}: ${entity.fileCount} ${entity.fileCount === 1 ? 'file' : 'files'}`;
+    }
+    const details = [
+      entity.fileCount > 1 && `${entity.fileCount} files`,
+      entity.removedCount > 0 && `${entity.removedCount} removed`,
+      entity.incremental && 'incremental',
+    ].filter(Boolean);
+    return `- ${entity.name}: ${entity.recordCount} records${details.length ? ` (${details.join(', ')})` : ''}`;
+  });
+
+  return [subject, '', ...lines, ...notes.map(note => `- ${note}`)].join('\n');
+}
+
+// How a run reaches the configured branch
+export const PUBLISH_MODES = {
+  direct: 'direct',           // commit to the branch
+  pullRequest: 'pullRequest', // commit to a run branch and open a PR
+};
+
+/**
+ * Escape text for a markdown table cell
+ *
+ * @param {*} value - Cell text
+ * @returns {string} Text safe inside | ... |
+ */
+export function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Pull request description for an export run
+ *
+ * @param {object} options
+ * @param {object[]} options.entities - [{ name, recordCount, filter, since }]
+ * @param {string} options.environment - D365 environment URL
+ * @param {string|null} options.d365User - Exporting D365 user
+ * @param {string|null} options.githubUser - GitHub login that committed
+ * @param {string} options.format - Export format
+ * @param {string[]} options.notes - Extra lines (workbook, watermarks, ...)
+ * @returns {string} Markdown
+ */
+export function buildPullRequestBody({ entities, environment, d365User, githubUser, format, notes = [] }) {
+  const rows = entities.map(entity => {
+    const filter = [
+      entity.filter && `\`${escapeTableCell(entity.filter)}\``,
+      entity.since && `changed since ${escapeTableCell(entity.since)}`,
+    ].filter(Boolean).join(', ');
+    return `| ${escapeTableCell(entity.name)} | ${entity.recordCount ?? '—'} | ${filter || '—'} |`;
+  });
+
+  return [
+    '## D365 export',
+    '',
+    `- **Environment:** ${environment}`,
+    `- **Exported by:** ${[d365User, githubUser && `@${githubUser}`].filter(Boolean).join(' / ') || 'unknown'}`,
+    `- **Format:** ${format}`,
+    `- **Exported at:** ${new Date().toISOString()}`,
+    '',
+    '| Entity | Rows | Filter |',
+    '| --- | ---: | --- |',
+    ...rows,
+    ...(notes.length ? ['', ...notes.map(note => `- ${note}`)] : []),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Create the branch a pull-request run writes to
+ *
+ * @param {object} options
+ * @param {object} options.github - { owner, repo, branch, token }; branch is the PR base
+ * @param {string} options.name - Run name (branch prefix)
+ * @returns {Promise<{ branch: string, base: string, baseSha: string }>} Proposal
+ */
+export async function startProposal({ github, name }) {
+  const head = await getBranchHead(github.owner, github.repo, github.branch, github.token);
+  const branch = generateBranchName(name);
+  await createBranch(github.owner, github.repo, branch, head.commitSha, github.token);
+  return { branch, base: github.branch, baseSha: head.commitSha };
+}
+
+/**
+ * Open the pull request of a run, or remove its branch if nothing was committed
+ *
+ * @param {object} options
+ * @param {object} options.github - { owner, repo, token }
+ * @param {object} options.proposal - From startProposal
+ * @param {string} options.title - Pull request title
+ * @param {string} options.body - Pull request description
+ * @returns {Promise<{ number: number, url: string, branch: string }|null>} Pull request
+ */
+export async function finishProposal({ github, proposal, title, body }) {
+  const head = await getBranchHead(github.owner, github.repo, proposal.branch, github.token);
+
+  if (head.commitSha === proposal.baseSha) {
+    await deleteBranch(github.owner, github.repo, proposal.branch, github.token);
+    return null;
+  }
+
+  const pullRequest = await createPullRequest(github.owner, github.repo, {
+    title,
+    body,
+    head: proposal.branch,
+    base: proposal.base,
+  }, github.token);
+  return { number: pullRequest.number, url: pullRequest.html_url, branch: proposal.branch };
+}
+
+/**
+ * Write one export file: stage it in the batch, or commit it on its own
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} file
+ * @param {string} file.path - Repository path
+ * @param {string|Uint8Array} file.content - File content
+ * @param {string} file.message - Commit message when committed on its own
+ * @param {string|null} file.entity - Entity the file belongs to
+ * @param {object|null} file.batch - From createCommitBatch
+ * @param {function} file.scheduleCommit - (task) => Promise
+ * @returns {Promise<void>}
+ */
+async function saveRepoFile(github, { path, content, message, entity = null, batch = null, scheduleCommit = (task) => task() }) {
+  if (batch) {
+    await scheduleCommit(() => batch.add({ path, content, entity }));
+    return;
+  }
+
+  await scheduleCommit(() => createOrUpdateFile(
+    github.owner,
+    github.repo,
+    path,
+    content,
+    message,
+    github.token,
+    github.branch
+  ));
+}
+
+/**
+ * Delete one export file: stage the deletion in the batch, or commit it on its own
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} file
+ * @param {string} file.path - Repository path
+ * @param {string} file.sha - Blob SHA of the committed file
+ * @param {string} file.message - Commit message when committed on its own
+ * @param {string|null} file.entity - Entity the file belongs to
+ * @param {object|null} file.batch - From createCommitBatch
+ * @param {function} file.scheduleCommit - (task) => Promise
+ * @returns {Promise<void>}
+ */
+async function removeRepoFile(github, { path, sha, message, entity = null, batch = null, scheduleCommit = (task) => task() }) {
+  if (batch) {
+    batch.remove({ path, entity });
+    return;
+  }
+
+  await scheduleCommit(() => deleteFile(
+    github.owner,
+    github.repo,
+    path,
+    sha,
+    message,
+    github.token,
+    github.branch
+  ));
+}
+
+/**
+ * Rows for tabular formats: expanded records flattened, then normalized
+ *
+ * @param {object[]} records - Data records
+ * @param {object[]} expandLinks - From getExpandLinks
+ * @param {object|null} normalize - normalizeRecords options
+ * @param {object[]} properties - Entity properties (enum fields)
+ * @returns {object[]} Rows
+ */
+function toTabularRows(records, expandLinks, normalize, properties = []) {
+  const rows = expandLinks.length > 0 ? flattenExpandedRecords(records, expandLinks) : records;
+  return normalizeRecords(rows, normalize, properties);
+}
+
+/**
+ * Serialize records in the chosen export format
+ *
+ * JSON keeps expanded rows nested and unnormalized. CSV flattens them, or
+ * with the split layout returns one entry per level (parent first). Excel,
+ * Parquet and SQL always use the flattened rows.
+ *
+ * @param {object[]} records - Data records
+ * @param {object} options
+ * @param {string} options.format - EXPORT_FORMATS id
+ * @param {string} options.entityName - Entity name
+ * @param {object[]} options.properties - Entity properties (typed formats)
+ * @param {object} options.meta - Extra JSON metadata
+ * @param {object[]} options.expandLinks - From getExpandLinks
+ * @param {string} options.csvLayout - CSV_LAYOUTS value
+ * @param {object|null} options.csvDialect - CSV dialect (csvDialect.js)
+ * @param {object|null} options.normalize - normalizeRecords options for tabular formats
+ * @param {object} options.parquet - { compression, rowGroupSize }
+ * @param {object} options.sql - { dialect, batchSize, columns, includeDdl }
+ * @param {boolean} options.stable - Leave out export timestamps (snapshots)
+ * @returns {Promise<{ level: string|null, content: string|Uint8Array, recordCount: number }[]>} Files
+ */
+async function formatRecords(records, {
+  format,
+  entityName,
+  properties,
+  meta,
+  expandLinks,
+  csvLayout,
+  csvDialect,
+  normalize,
+  parquet,
+  sql,
+  stable = false,
+}) {
+  // NDJSON rows are serialized by the part writer as pages arrive
+  if (format === 'ndjson') {
+    return [{ level: null, content: records.length ? `${records.join('\n')}\n` : '', recordCount: records.length }];
+  }
+
+  if (format === 'json') {
+    const content = stable
+      ? JSON.stringify({ entityName, recordCount: records.length, data: records }, null, 2)
+      : recordsToJson(records, entityName, meta);
+    return [{ level: null, content, recordCount: records.length }];
+  }
+
+  if (format === 'xlsx') {
+    const rows = toTabularRows(records, expandLinks, normalize, properties);
+    return [{ level: null, content: await recordsToXlsx(rows, entityName, properties), recordCount: records.length }];
+  }
+
+  if (format === 'parquet') {
+    const rows = toTabularRows(records, expandLinks, normalize, properties);
+    const content = await recordsToParquet(rows, properties, {
+      ...parquet,
+      metadata: stable ? { entityName } : { entityName, exportTimestamp: new Date().toISOString(), ...meta },
+    });
+    return [{ level: null, content, recordCount: records.length }];
+  }
+
+  if (format === 'sql') {
+    const rows = toTabularRows(records, expandLinks, normalize, properties);
+    const content = recordsToSql(rows, {
+      ...sql,
+      tableName: entityName,
+      primaryKey: expandLinks.length === 0,
+      comment: stable
+        ? `${entityName} snapshot`
+        : `${entityName} exported ${new Date().toISOString()}${meta.part ? ` (part ${meta.part})` : ''}`,
+    });
+    return [{ level: null, content, recordCount: records.length }];
+  }
+
+  if (expandLinks.length > 0 && csvLayout === CSV_LAYOUTS.split) {
+    return splitExpandedRecords(records, expandLinks).map(({ level, records: levelRecords }) => {
+      // Child levels are typed by the navigation target, not the parent
+      const levelProperties = level
+        ? expandLinks.find(link => link.name === level)?.properties || []
+        : properties;
+      const rows = normalizeRecords(levelRecords, normalize, levelProperties);
+      return {
+        level,
+        content: recordsToCsv(rows, collectColumns(rows), csvDialect, levelProperties),
+        recordCount: rows.length,
+      };
+    });
+  }
+
+  // Flattened or normalized rows can differ in fields, so take the union
+  const rows = toTabularRows(records, expandLinks, normalize, properties);
+  const columns = expandLinks.length > 0 || normalize ? collectColumns(rows) : null;
+  return [{ level: null, content: recordsToCsv(rows, columns, csvDialect, properties), recordCount: records.length }];
+}
+
+/**
+ * Create a writer that flushes a part file every partSize rows
+ *
+ * An entity that fits in one part keeps the plain filename; larger ones
+ * are written as Name_<timestamp>.part-0001.csv, .part-0002.csv, ...
+ * Split header/line CSVs add the level: Name_<timestamp>.SalesOrderLines.csv
+ *
+ * @param {object} options
+ * @param {string} options.entityName - Entity name
+ * @param {string} options.format - EXPORT_FORMATS id
+ * @param {object[]} options.properties - Entity properties
+ * @param {string} options.folder - Target folder in the repository
+ * @param {number} options.partSize - Rows per part
+ * @param {object[]} options.expandLinks - Expanded navigation properties
+ * @param {string} options.csvLayout - CSV_LAYOUTS value
+ * @param {object|null} options.csvDialect - CSV dialect
+ * @param {object|null} options.normalize - Normalization for tabular formats
+ * @param {object} options.parquet - Parquet writer options
+ * @param {object} options.sql - SQL writer options { dialect, batchSize }
+ * @param {function} options.save - async ({ path, filename, content, recordCount, part, level }) => void
+ * @param {boolean} options.keepContent - Return file content from finish (for diffs)
+ * @returns {{ write: function, finish: function, baseFilename: string }} Writer
+ */
+export function createPartWriter({
+  entityName,
+  format,
+  properties = [],
+  folder,
+  partSize,
+  expandLinks = [],
+  csvLayout = CSV_LAYOUTS.flatten,
+  csvDialect = null,
+  normalize = null,
+  parquet = DEFAULT_PARQUET_OPTIONS,
+  sql = DEFAULT_SQL_OPTIONS,
+  save,
+  keepContent = false,
+}) {
+  const baseFilename = generateFilename(entityName, format);
+  const files = [];
+  let buffer = [];
+  let partNumber = 0;
+
+  // SQL parts share the table definition of the first part
+  let sqlColumns = null;
+
+  // NDJSON is encoded one line per record on arrival, so parts buffer text
+  const encode = format === 'ndjson' ? (record) => JSON.stringify(record) : (record) => record;
+
+  const flush = async (rows, isFinal) => {
+    const single = isFinal && partNumber === 0;
+    partNumber++;
+
+    if (format === 'sql' && !sqlColumns) {
+      sqlColumns = resolveSqlColumns(toTabularRows(rows, expandLinks, normalize, properties), properties);
+    }
+
+    const outputs = await formatRecords(rows, {
+      format,
+      entityName,
+      properties,
+      meta: single ? {} : { part: partNumber },
+      expandLinks,
+      csvLayout,
+      csvDialect,
+      normalize,
+      parquet,
+      sql: { ...sql, columns: sqlColumns, includeDdl: partNumber === 1 },
+    });
+
+    for (const output of outputs) {
+      const levelFilename = output.level ? generateLevelFilename(baseFilename, output.level) : baseFilename;
+      const filename = single ? levelFilename : generatePartFilename(levelFilename, partNumber);
+      const file = {
+        filename,
+        path: folder ? `${folder}/${filename}` : filename,
+        recordCount: output.recordCount,
+        part: single ? null : partNumber,
+        level: output.level,
+      };
+
+      await save({ ...file, content: output.content });
+      files.push(keepContent ? { ...file, content: output.content } : file);
+    }
+  };
+
+  return {
+    baseFilename,
+
+    async write(records) {
+      for (const record of records) buffer.push(encode(record));
+
+      // Only flush once a part is over-full, so the final part is never empty
+      while (buffer.length > partSize) {
+        const rows = buffer.slice(0, partSize);
+        buffer = buffer.slice(partSize);
+        await flush(rows, false);
+      }
+    },
+
+    async finish() {
+      if (buffer.length > 0) {
+        await flush(buffer, true);
+        buffer = [];
+      }
+      return files;
+    },
+  };
+}
+
+/**
+ * Export one entity from D365 to GitHub
+ *
+ * @param {object} options
+ * @param {object} options.d365 - { url, token }
+ * @param {object} options.github - { owner, repo, branch, path, token }
+ * @param {string} options.entityName - Entity name
+ * @param {object} options.query - streamEntityData query options
+ * @param {string} options.format - EXPORT_FORMATS id
+ * @param {object[]} options.properties - Entity properties (typed formats)
+ * @param {number} options.partSize - Rows per part file
+ * @param {object[]} options.expandLinks - Expanded navigation properties (query.expand)
+ * @param {string} options.csvLayout - CSV_LAYOUTS value for expanded records
+ * @param {object|null} options.csvDialect - Delimiter, quoting, locale etc. for CSV
+ * @param {object|null} options.normalize - Annotation, enum, nested object and
+ *   dimension cleanup for tabular formats (recordNormalizer.js)
+ * @param {object} options.parquet - { compression, rowGroupSize } for Parquet
+ * @param {object} options.sql - { dialect, batchSize } for SQL scripts
+ * @param {boolean} options.splitByCompany - Write path/<company>/ files
+ * @param {object|null} options.workbook - Shared xlsx workbook; rows go to a
+ *   sheet per entity instead of part files
+ * @param {object|null} options.sqlite - Shared SQLite bundle; rows are also
+ *   written to a table per entity
+ * @param {string|null} options.trackingField - Incremental change-tracking field
+ * @param {string|number|null} options.watermark - Current watermark
+ * @param {object|null} options.batch - Commit batch; files are staged for
+ *   one commit per run instead of committed one by one
+ * @param {function} options.scheduleCommit - (task) => Promise, e.g. a GitHub pool
+ * @param {function} options.beforeRequest - async hook before each D365 request
+ * @param {boolean} options.keepContent - Keep file content in the returned
+ *   files, e.g. to compare with the previous export
+ * @param {function} options.onProgress - Progress callback
+ * @returns {Promise<object>} { pageCount, recordCount, files, watermark }
+ */
+export async function exportEntity({
+  d365,
+  github,
+  entityName,
+  query,
+  format,
+  properties = [],
+  partSize = DEFAULT_PART_SIZE,
+  expandLinks = [],
+  csvLayout = CSV_LAYOUTS.flatten,
+  csvDialect = null,
+  normalize = null,
+  parquet = DEFAULT_PARQUET_OPTIONS,
+  sql = DEFAULT_SQL_OPTIONS,
+  splitByCompany = false,
+  workbook = null,
+  sqlite = null,
+  trackingField = null,
+  watermark = null,
+  batch = null,
+  scheduleCommit = (task) => task(),
+  beforeRequest = null,
+  keepContent = false,
+  onProgress,
+}) {
+  const writers = new Map();
+  let newWatermark = watermark;
+  let filesSaved = 0;
+
+  // The bundle gets the same rows as the files, in one table per entity
+  const table = sqlite ? createTableWriter(sqlite, entityName, properties) : null;
+
+  // One sheet per entity (and company) in a shared workbook
+  const createWorkbookWriter = (company) => {
+    const sheet = createSheetWriter(workbook, company ? `${entityName} ${company}` : entityName, properties);
+    return {
+      async write(records) {
+        sheet.write(toTabularRows(records, expandLinks, normalize, properties));
+      },
+      async finish() {
+        sheet.finish();
+        return [];
+      },
+      discard() {
+        sheet.discard();
+      },
+    };
+  };
+
+  const getWriter = (company) => {
+    if (!writers.has(company) && workbook) {
+      writers.set(company, createWorkbookWriter(company));
+    }
+    if (!writers.has(company)) {
+      const scopeLabel = company ? ` (${company.toUpperCase()})` : '';
+
+      writers.set(company, createPartWriter({
+        entityName,
+        format,
+        properties,
+        partSize,
+        expandLinks,
+        csvLayout,
+        csvDialect,
+        normalize,
+        parquet,
+        sql,
+        keepContent,
+        folder: [github.path, company].filter(Boolean).join('/'),
+        save: async (file) => {
+          onProgress?.({ phase: 'saving', entity: entityName, filename: file.filename });
+
+          const partLabel = [file.level, file.part && `part ${file.part}`]
+            .filter(Boolean)
+            .map(label => ` ${label}`)
+            .join('');
+          await saveRepoFile(github, {
+            path: file.path,
+            content: file.content,
+            message: `Export ${entityName}${scopeLabel}${partLabel} - ${file.recordCount} records`,
+            entity: entityName,
+            batch,
+            scheduleCommit,
+          });
+          filesSaved++;
+        },
+      }));
+    }
+    return writers.get(company);
+  };
+
+  const { pageCount, recordCount } = await streamEntityData(
+    d365.url,
+    entityName,
+    d365.token,
+    { ...query, beforeRequest },
+    async (records) => {
+      if (trackingField) {
+        newWatermark = getMaxWatermark(records, trackingField, newWatermark);
+      }
+
+      const groups = splitByCompany
+        ? groupRecordsByCompany(records)
+        : [{ company: null, records }];
+
+      for (const group of groups) {
+        await getWriter(group.company).write(group.records);
+      }
+
+      table?.write(toTabularRows(records, expandLinks, normalize, properties));
+    },
+    (progress) => onProgress?.({ ...progress, filesSaved })
+  ).catch(error => {
+    // Partial rows must not reach the shared workbook or database
+    for (const writer of writers.values()) writer.discard?.();
+    table?.discard();
+    throw error;
+  });
+
+  table?.finish();
+
+  const files = [];
+  for (const [company, writer] of writers) {
+    const writerFiles = await writer.finish();
+    for (const file of writerFiles) {
+      files.push({ ...file, company });
+    }
+
+    if (format === 'ndjson' && writerFiles.length > 0) {
+      await saveNdjsonSidecar({
+        github,
+        folder: [github.path, company].filter(Boolean).join('/'),
+        baseFilename: writer.baseFilename,
+        meta: {
+          entityName,
+          company,
+          pageCount,
+          query: {
+            select: query.select || null,
+            filter: query.filter || null,
+            orderby: query.orderby || null,
+            expand: query.expand || null,
+            crossCompany: Boolean(query.crossCompany),
+          },
+          watermark: trackingField ? { field: trackingField, value: newWatermark } : null,
+        },
+        files: writerFiles,
+        batch,
+        scheduleCommit,
+      });
+    }
+  }
+
+  return { pageCount, recordCount, files, watermark: newWatermark };
+}
+
+/**
+ * Write the metadata sidecar of an NDJSON export
+ *
+ * NDJSON files hold records only; export details live next to them in
+ * Name_<timestamp>.meta.json.
+ *
+ * @param {object} options
+ * @param {object} options.github - { owner, repo, branch, token }
+ * @param {string} options.folder - Folder of the data files
+ * @param {string} options.baseFilename - Data filename (without part suffix)
+ * @param {object} options.meta - Entity, query and watermark details
+ * @param {object[]} options.files - Data files written
+ * @param {object|null} options.batch - Commit batch
+ * @param {function} options.scheduleCommit - (task) => Promise
+ * @returns {Promise<string>} Sidecar path
+ */
+async function saveNdjsonSidecar({ github, folder, baseFilename, meta, files, batch, scheduleCommit }) {
+  const filename = baseFilename.replace(/\.ndjson$/, '.meta.json');
+  const path = folder ? `${folder}/${filename}` : filename;
+
+  const sidecar = {
+    exportTimestamp: new Date().toISOString(),
+    format: 'ndjson',
+    ...meta,
+    recordCount: files.reduce((sum, file) => sum + file.recordCount, 0),
+    files: files.map(file => ({
+      filename: file.filename,
+      part: file.part,
+      recordCount: file.recordCount,
+    })),
+  };
+
+  await saveRepoFile(github, {
+    path,
+    content: JSON.stringify(sidecar, null, 2),
+    message: `Export ${meta.entityName} metadata`,
+    entity: meta.entityName,
+    batch,
+    scheduleCommit,
+  });
+  return path;
+}
+
+/**
+ * Snapshot files of an entity already in the repository
+ *
+ * Looks in the export folder and, when split by company, in the company
+ * folders of the run's scope (lowercase names, as groupRecordsByCompany
+ * writes them).
+ *
+ * @param {object} github - { owner, repo, branch, path, token }
+ * @param {object} options
+ * @param {string} options.entityName - Entity set name
+ * @param {string} options.format - Export format
+ * @param {boolean} options.splitByCompany - Look in company folders
+ * @param {string[]} options.companies - Companies of the run; empty for all
+ * @returns {Promise<object[]>} Contents API entries ({ name, path, sha })
+ */
+async function listSnapshotFiles(github, { entityName, format, splitByCompany, companies = [] }) {
+  const baseFilename = generateSnapshotFilename(entityName, format);
+  const stem = baseFilename.slice(0, -(format.length + 1));
+  // Name.csv, or Name.<level>.csv for split $expand levels
+  const isSnapshotFile = (name) => name === baseFilename || (
+    name.startsWith(`${stem}.`)
+    && name.endsWith(`.${format}`)
+    && /^[a-zA-Z0-9_]+$/.test(name.slice(stem.length + 1, -(format.length + 1)))
+  );
+  const list = (path) => listDirectory(github.owner, github.repo, path, github.token, github.branch);
+
+  const root = await list(github.path);
+  const entries = [...root];
+  if (splitByCompany) {
+    const scope = companies.map(company => company.toLowerCase());
+    const folders = root.filter(item => item.type === 'dir'
+      && /^[a-z0-9_]+$/.test(item.name)
+      && (scope.length === 0 || scope.includes(item.name)));
+    for (const folder of folders) {
+      entries.push(...await list(folder.path));
+    }
+  }
+
+  return entries.filter(item => item.type === 'file' && isSnapshotFile(item.name));
+}
+
+/**
+ * Export one entity as a snapshot
+ *
+ * The whole entity is read into memory, sorted by key and written to a
+ * stable path (Name.csv, or <company>/Name.csv when split by company).
+ * Files whose content matches the committed version are not saved, so an
+ * unchanged entity adds nothing to the commit. Snapshot files this run no
+ * longer writes - the entity is empty, or a company has no rows left - are
+ * deleted, so the removal shows in git. A capped or filtered query only
+ * sees part of the entity, so it never deletes files.
+ *
+ * @param {object} options - As exportEntity, plus:
+ * @param {string[]} options.keys - Entity key fields to sort by
+ * @returns {Promise<object>} { pageCount, recordCount, files: [{ filename, path,
+ *   recordCount, level, company, unchanged }], removed: [path] }
+ */
+export async function exportSnapshot({
+  d365,
+  github,
+  entityName,
+  query,
+  format,
+  properties = [],
+  keys = [],
+  expandLinks = [],
+  csvLayout = CSV_LAYOUTS.flatten,
+  csvDialect = null,
+  normalize = null,
+  parquet = DEFAULT_PARQUET_OPTIONS,
+  sql = DEFAULT_SQL_OPTIONS,
+  splitByCompany = false,
+  sqlite = null,
+  batch = null,
+  scheduleCommit = (task) => task(),
+  beforeRequest = null,
+  onProgress,
+}) {
+  const records = [];
+  const { pageCount, recordCount } = await streamEntityData(
+    d365.url,
+    entityName,
+    d365.token,
+    { ...query, beforeRequest },
+    (page) => {
+      for (const record of page) records.push(record);
+    },
+    onProgress
+  );
+
+  const groups = recordCount === 0
+    ? []
+    : splitByCompany
+      ? groupRecordsByCompany(records)
+      : [{ company: null, records }];
+
+  const files = [];
+  for (const group of groups) {
+    const rows = prepareSnapshotRecords(group.records, { keys, properties });
+    const folder = [github.path, group.company].filter(Boolean).join('/');
+    const scopeLabel = group.company ? ` (${group.company.toUpperCase()})` : '';
+
+    const outputs = await formatRecords(format === 'ndjson' ? rows.map(row => JSON.stringify(row)) : rows, {
+      format,
+      entityName,
+      properties,
+      meta: {},
+      expandLinks,
+      csvLayout,
+      csvDialect,
+      normalize,
+      parquet,
+      sql: {
+        ...sql,
+        columns: format === 'sql' ? resolveSqlColumns(toTabularRows(rows, expandLinks, normalize, properties), properties) : null,
+        includeDdl: true,
+      },
+      stable: true,
+    });
+
+    for (const output of outputs) {
+      const baseFilename = generateSnapshotFilename(entityName, format);
+      const filename = output.level ? generateLevelFilename(baseFilename, output.level) : baseFilename;
+      const path = folder ? `${folder}/${filename}` : filename;
+
+      onProgress?.({ phase: 'saving', entity: entityName, filename });
+      const existing = await getFileContent(github.owner, github.repo, path, github.token, github.branch);
+      const unchanged = existing?.sha === await gitBlobSha(output.content);
+      if (!unchanged) {
+        await saveRepoFile(github, {
+          path,
+          content: output.content,
+          message: `Export ${entityName}${scopeLabel}${output.level ? ` ${output.level}` : ''} - ${output.recordCount} records`,
+          entity: entityName,
+          batch,
+          scheduleCommit,
+        });
+      }
+      files.push({ filename, path, recordCount: output.recordCount, level: output.level, company: group.company, unchanged });
+    }
+  }
+
+  const written = new Set(files.map(file => file.path));
+  const complete = !query.top && !query.filter;
+  const stale = complete
+    ? (await listSnapshotFiles(github, {
+      entityName,
+      format,
+      splitByCompany,
+      companies: query.companies || [],
+    })).filter(file => !written.has(file.path))
+    : [];
+
+  const removed = [];
+  for (const file of stale) {
+    onProgress?.({ phase: 'saving', entity: entityName, filename: file.name });
+    await removeRepoFile(github, {
+      path: file.path,
+      sha: file.sha,
+      message: `Remove ${entityName} snapshot ${file.path} - no records`,
+      entity: entityName,
+      batch,
+      scheduleCommit,
+    });
+    removed.push(file.path);
+  }
+
+  if (sqlite && records.length > 0) {
+    const table = createTableWriter(sqlite, entityName, properties);
+    table.write(toTabularRows(prepareSnapshotRecords(records, { keys, properties }), expandLinks, normalize, properties));
+    table.finish();
+  }
+
+  return { pageCount, recordCount, files, removed };
+}
+
+/**
+ * Pick the output format for one entity
+ *
+ * Large entities default to NDJSON when JSON was chosen: one record per
+ * line streams, appends and diffs far better than one wrapped document.
+ *
+ * @param {string} format - Selected format
+ * @param {number|null} estimatedCount - Record count, if known
+ * @param {boolean} ndjsonForLarge - Apply the large-entity default
+ * @returns {string} Format for this entity
+ */
+export function resolveEntityFormat(format, estimatedCount, ndjsonForLarge = true) {
+  if (format === 'json' && ndjsonForLarge && estimatedCount > LARGE_ENTITY_THRESHOLD) {
+    return 'ndjson';
+  }
+  return format;
+}
+
+/**
+ * Make a zip entry name safe for a repository path
+ *
+ * @param {string} name - Entry name, e.g. "Customers V3.csv"
+ * @returns {string} Path segments with unsafe characters replaced
+ */
+function toRepoPath(name) {
+  return name
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[^a-zA-Z0-9_.\-]/g, '_'))
+    .join('/');
+}
+
+/**
+ * Export a DMF data project as a package and commit it to GitHub
+ *
+ * @param {object} options
+ * @param {object} options.d365 - { url, token }
+ * @param {object} options.github - { owner, repo, branch, path, token }
+ * @param {string} options.definitionGroupId - Export data project name
+ * @param {string} options.legalEntityId - Company to export from
+ * @param {string} options.output - 'files' (extracted) or 'zip'
+ * @param {object|null} options.batch - Commit batch to stage the files in
+ * @param {function} options.scheduleCommit - (task) => Promise, e.g. a GitHub pool
+ * @param {function} options.onProgress - Progress callback
+ * @returns {Promise<object>} { executionId, status, packageName, files }
+ */
+export async function exportPackage({
+  d365,
+  github,
+  definitionGroupId,
+  legalEntityId,
+  output = 'files',
+  batch = null,
+  scheduleCommit = (task) => task(),
+  onProgress,
+}) {
+  const zipFilename = generateFilename(definitionGroupId, 'zip');
+  const packageName = zipFilename.replace(/\.zip$/, '');
+
+  onProgress?.({ phase: 'starting', packageName });
+  const executionId = await startPackageExport(d365.url, d365.token, {
+    definitionGroupId,
+    packageName,
+    legalEntityId,
+  });
+
+  const status = await waitForExecution(d365.url, d365.token, executionId, {
+    onStatus: ({ status: current, elapsedMs }) => onProgress?.({
+      phase: 'executing',
+      executionId,
+      status: current,
+      elapsedMs,
+    }),
+  });
+
+  if (!DMF_SUCCESS_STATUSES.includes(status)) {
+    throw new Error(`Data project ${definitionGroupId} ended with status ${status} (execution ${executionId})`);
+  }
+
+  onProgress?.({ phase: 'downloading', executionId, status });
+  const packageUrl = await getExportedPackageUrl(d365.url, d365.token, executionId);
+  const zipBytes = await downloadPackage(packageUrl);
+
+  const entries = output === 'zip'
+    ? [{ name: zipFilename, content: zipBytes }]
+    : extractPackage(zipBytes);
+  const folder = output === 'zip'
+    ? github.path
+    : [github.path, packageName].filter(Boolean).join('/');
+
+  const partial = status === 'PartiallySucceeded' ? ' (partially succeeded)' : '';
+  const files = [];
+  for (const entry of entries) {
+    const filename = toRepoPath(entry.name);
+    if (!filename) continue;
+
+    const path = folder ? `${folder}/${filename}` : filename;
+    onProgress?.({ phase: 'saving', executionId, status, filename });
+
+    await saveRepoFile(github, {
+      path,
+      content: entry.content,
+      message: `Export DMF package ${packageName}${partial} - ${filename}`,
+      entity: definitionGroupId,
+      batch,
+      scheduleCommit,
+    });
+    files.push({ filename, path, size: entry.content.length });
+  }
+
+  return { executionId, status, packageName, files };
+}
+
+/**
+ * Export entities as one importable DMF data package and commit the zip
+ *
+ * Entities are fetched in load order (referenced entities first) and held
+ * in memory, so this suits configuration and master data rather than
+ * large transaction tables.
+ *
+ * @param {object} options
+ * @param {object} options.d365 - { url, token }
+ * @param {object} options.github - { owner, repo, branch, path, token }
+ * @param {string[]} options.entityNames - Entity set names
+ * @param {object[]} options.entities - Catalog entities (navigation properties)
+ * @param {object} options.queries - Entity name → fetchEntityData query options
+ * @param {string} options.name - Package name
+ * @param {string} options.sourceFormat - Data management source data format
+ * @param {function} options.beforeRequest - async hook before each D365 request
+ * @param {object|null} options.batch - Commit batch to stage the zip in
+ * @param {function} options.onProgress - Progress callback
+ * @returns {Promise<object>} { filename, path, entities: [{ name, level, recordCount }], warning }
+ */
+export async function exportDataPackage({
+  d365,
+  github,
+  entityNames,
+  entities,
+  queries = {},
+  name,
+  sourceFormat = DEFAULT_SOURCE_FORMAT,
+  beforeRequest = null,
+  batch = null,
+  onProgress,
+}) {
+  // Manifest entity names come from Data management; fall back to the
+  // OData names if the lookup is not available
+  let dataEntities = new Map();
+  let warning = null;
+  try {
+    await beforeRequest?.();
+    dataEntities = await getDataEntities(d365.url, d365.token, entityNames);
+  } catch (error) {
+    warning = `Data entity names could not be looked up (${error.message}); the manifest uses OData names`;
+  }
+  const missing = entityNames.filter(entityName => !dataEntities.has(entityName));
+  if (!warning && missing.length > 0) {
+    warning = `No Data management entity found for ${missing.join(', ')}; the manifest uses OData names`;
+  }
+
+  const ordered = orderByDependency(entityNames, entities, dataEntities);
+  const fetched = [];
+
+  for (const { name: entityName, level } of ordered) {
+    onProgress?.({ phase: 'fetching', entity: entityName, level });
+
+    const records = await fetchEntityData(
+      d365.url,
+      entityName,
+      d365.token,
+      { ...queries[entityName], beforeRequest },
+      (progress) => {
+        if (progress.phase !== 'complete') onProgress?.({ ...progress, level });
+      }
+    );
+
+    fetched.push({
+      name: entityName,
+      level,
+      records,
+      properties: entities.find(e => e.name === entityName)?.properties || [],
+      dataEntity: dataEntities.get(entityName) || null,
+    });
+    onProgress?.({ phase: 'fetched', entity: entityName, level, recordCount: records.length });
+  }
+
+  const filename = generateFilename(name, 'zip');
+  const path = github.path ? `${github.path}/${filename}` : filename;
+  const zipBytes = createDataPackage({
+    name,
+    description: `${name} - ${fetched.map(entity => entity.name).join(', ')}`,
+    entities: fetched,
+    sourceFormat,
+  });
+
+  onProgress?.({ phase: 'saving', filename });
+  await saveRepoFile(github, {
+    path,
+    content: zipBytes,
+    message: `Export data package ${filename} - ${fetched.map(entity => `${entity.name} (${entity.records.length})`).join(', ')}`,
+    batch,
+  });
+
+  return {
+    filename,
+    path,
+    entities: fetched.map(entity => ({ name: entity.name, level: entity.level, recordCount: entity.records.length })),
+    warning,
+  };
+}
+
+/**
+ * Commit a shared workbook built by exportEntity
+ *
+ * @param {object} options
+ * @param {object} options.github - { owner, repo, branch, path, token }
+ * @param {object} options.workbook - ExcelJS workbook
+ * @param {string} options.name - Workbook name (filename prefix)
+ * @param {object|null} options.batch - Commit batch to stage the file in
+ * @returns {Promise<object>} { filename, path, sheetCount }
+ */
+export async function saveWorkbook({ github, workbook, name, batch = null }) {
+  const filename = generateFilename(name, 'xlsx');
+  const path = github.path ? `${github.path}/${filename}` : filename;
+  const sheetNames = workbook.worksheets.map(sheet => sheet.name);
+
+  await saveRepoFile(github, {
+    path,
+    content: await workbookToBytes(workbook),
+    message: `Export workbook ${filename} - ${sheetNames.join(', ')}`,
+    batch,
+  });
+
+  return { filename, path, sheetCount: sheetNames.length };
+}
+
+/**
+ * Commit a SQLite bundle built by exportEntity
+ *
+ * @param {object} options
+ * @param {object} options.github - { owner, repo, branch, path, token }
+ * @param {object} options.bundle - From createSqliteBundle
+ * @param {string} options.name - Database name (filename prefix)
+ * @param {object|null} options.batch - Commit batch to stage the file in
+ * @returns {Promise<object>} { filename, path, tableCount }
+ */
+export async function saveSqliteBundle({ github, bundle, name, batch = null }) {
+  const filename = generateFilename(name, 'sqlite');
+  const path = github.path ? `${github.path}/${filename}` : filename;
+  const tableNames = bundle.tables.map(table => table.name);
+
+  await saveRepoFile(github, {
+    path,
+    content: bundleToBytes(bundle),
+    message: `Export database ${filename} - ${tableNames.join(', ')}`,
+    batch,
+  });
+
+  return { filename, path, tableCount: tableNames.length };
+}
@@ -0,0 +1,137 @@
+/**
+ * Incremental Export State
+ *
+ * Watermarks for delta exports are kept in a state file next to the
+ * exports in the target repository, so every browser session picks up
+ * where the last successful run stopped.
+ */
+
+import { readJsonFile, createOrUpdateFile } from './githubApi';
+
+export const STATE_FILENAME = '.export-state.json';
+
+/**
+ * Path of the state file for an export folder
+ *
+ * @param {string} folder - Export folder path
+ * @returns {string} State file path
+ */
+export function getStatePath(folder) {
+  return folder ? `${folder}/${STATE_FILENAME}` : STATE_FILENAME;
+}
+
+/**
+ * Load the export state from the repository
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} folder - Export folder path
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<object>} State ({ version, entities }) — empty if no file yet
+ */
+export async function loadExportState(owner, repo, folder, token, branch) {
+  const file = await readJsonFile(owner, repo, getStatePath(folder), token, branch);
+  const state = file?.data || {};
+
+  return {
+    version: 1,
+    entities: state.entities || {},
+  };
+}
+
+/**
+ * Serialize the export state for the state file
+ *
+ * @param {object} state - Export state
+ * @returns {string} File content
+ */
+export function formatExportState(state) {
+  return JSON.stringify(state, null, 2) + '\n';
+}
+
+/**
+ * Save the export state to the repository
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} folder - Export folder path
+ * @param {object} state - State to save
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<object>} Commit info
+ */
+export async function saveExportState(owner, repo, folder, state, token, branch) {
+  const entityNames = Object.keys(state.entities).join(', ');
+
+  return createOrUpdateFile(
+    owner,
+    repo,
+    getStatePath(folder),
+    formatExportState(state),
+    `Update export watermarks - ${entityNames}`,
+    token,
+    branch
+  );
+}
+
+/**
+ * Get the stored watermark for an entity
+ *
+ * A watermark only applies if it was recorded for the same tracking field.
+ *
+ * @param {object} state - Export state
+ * @param {string} entityName - Entity name
+ * @param {string} field - Change-tracking field
+ * @returns {string|number|null} Watermark or null for a full export
+ */
+export function getWatermark(state, entityName, field) {
+  const entry = state.entities[entityName];
+  return entry && entry.field === field ? entry.watermark : null;
+}
+
+/**
+ * Highest value of the tracking field in a set of records
+ *
+ * @param {object[]} records - Data records
+ * @param {string} field - Change-tracking field
+ * @param {string|number|null} current - Current watermark
+ * @returns {string|number|null} New high-water mark
+ */
+export function getMaxWatermark(records, field, current = null) {
+  let max = current;
+
+  for (const record of records) {
+    const value = record[field];
+    if (value === null || value === undefined || value === '') continue;
+
+    if (typeof value === 'number') {
+      if (max === null || value > Number(max)) max = value;
+    } else if (max === null || new Date(value) > new Date(max)) {
+      max = value;
+    }
+  }
+
+  return max;
+}
+
+/**
+ * Record a new watermark for an entity
+ *
+ * @param {object} state - Export state
+ * @param {string} entityName - Entity name
+ * @param {object} entry - { field, watermark, recordCount }
+ * @returns {object} Updated state
+ */
+export function setWatermark(state, entityName, entry) {
+  return {
+    ...state,
+    entities: {
+      ...state.entities,
+      [entityName]: {
+        ...entry,
+        updatedAt: new Date().toISOString(),
+      },
+    },
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Export File Preview
+ *
+ * Reads an exported file downloaded from the repository back into rows
+ * for the history preview grid.
+ */
+
+import Papa from 'papaparse';
+import { readXlsxRows } from './xlsxWriter';
+import { readParquetRows } from './parquetWriter';
+import { collectColumns } from './odataExpand';
+
+// Formats the preview grid can read
+export const PREVIEW_FORMATS = ['csv', 'json', 'ndjson', 'xlsx', 'parquet'];
+
+const DOWNLOAD_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  sql: 'application/sql',
+  zip: 'application/zip',
+  sqlite: 'application/vnd.sqlite3',
+};
+
+/**
+ * Read an export file into rows
+ *
+ * @param {Uint8Array} bytes - File content
+ * @param {string} format - File extension
+ * @param {object} options
+ * @param {string|null} options.sheet - Worksheet of an xlsx file
+ * @returns {Promise<{ columns: string[], rows: object[], sheets: string[] }>} Rows
+ */
+export async function readExportRows(bytes, format, { sheet = null } = {}) {
+  if (format === 'xlsx') return readXlsxRows(bytes, sheet);
+  if (format === 'parquet') return { ...(await readParquetRows(bytes)), sheets: [] };
+
+  // TextDecoder drops a UTF-8 BOM
+  const text = new TextDecoder().decode(bytes);
+
+  if (format === 'csv') {
+    // Dialects vary; let Papa detect the delimiter
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+    return { columns: parsed.meta.fields || [], rows: parsed.data, sheets: [] };
+  }
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : (parsed.data || []);
+    return { columns: collectColumns(rows), rows, sheets: [] };
+  }
+
+  if (format === 'ndjson') {
+    const rows = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    return { columns: collectColumns(rows), rows, sheets: [] };
+  }
+
+  throw new Error(`${format} files cannot be previewed - download the file instead`);
+}
+
+/**
+ * Display text of a cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Rows with any cell containing the search text (case-insensitive)
+ *
+ * @param {object[]} rows - Rows
+ * @param {string[]} columns - Columns to search
+ * @param {string} search - Search text
+ * @returns {object[]} Matching rows
+ */
+export function filterRows(rows, columns, search) {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return rows;
+  return rows.filter(row => columns.some(column => formatCell(row[column]).toLowerCase().includes(needle)));
+}
+
+/**
+ * Offer a file as a browser download
+ *
+ * @param {Uint8Array} bytes - File content
+ * @param {string} filename - Download name
+ */
+export function downloadFile(bytes, filename) {
+  const extension = filename.substring(filename.lastIndexOf('.') + 1);
+  const type = DOWNLOAD_TYPES[extension] || 'application/octet-stream';
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
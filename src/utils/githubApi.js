@@ -9,6 +9,8 @@
  * CxSAST_Suppress: CWE-918 - Using hardcoded GitHub API endpoints only
  */
 
+import { fetchWithRetry, parseRetryAfter, RETRYABLE_STATUS } from './httpClient';
+
 // Hardcoded GitHub API base (not user-configurable)
 const GITHUB_API_BASE = 'https://api.github.com';
 
@@ -38,32 +40,81 @@ function isValidPath(path) {
   return /^[a-zA-Z0-9_.\-\/]+$/.test(path);
 }
 
+/**
+ * Detect GitHub primary/secondary rate limiting
+ * 
+ * Secondary limits come back as 403 (sometimes 429) with either a
+ * Retry-After header, an exhausted x-ratelimit-remaining, or a message
+ * mentioning the secondary rate limit.
+ * 
+ * @param {Response} response - Fetch response
+ * @returns {Promise<boolean>} True if the request should be retried
+ */
+async function isGitHubRetryable(response) {
+  if (RETRYABLE_STATUS.includes(response.status)) return true;
+  if (response.status !== 403) return false;
+
+  if (response.headers.get('Retry-After') || response.headers.get('x-ratelimit-remaining') === '0') {
+    return true;
+  }
+
+  const body = await response.clone().json().catch(() => ({}));
+  return /rate limit/i.test(body.message || '');
+}
+
+/**
+ * Delay requested by GitHub: Retry-After, else the primary limit reset time
+ * 
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in milliseconds or null to use backoff
+ */
+function getGitHubRetryDelay(response) {
+  const retryAfter = parseRetryAfter(response);
+  if (retryAfter !== null) return retryAfter;
+
+  const reset = Number(response.headers.get('x-ratelimit-reset'));
+  if (response.headers.get('x-ratelimit-remaining') === '0' && reset) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+
+  return null;
+}
+
 /**
  * Make authenticated request to GitHub API
  * 
  * @param {string} endpoint - API endpoint (relative to base)
  * @param {string} token - GitHub PAT token
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options (onRetry, retryUnsafe)
  * @returns {Promise<object>} Response data
  */
 async function githubRequest(endpoint, token, options = {}) {
   // CxSAST_Suppress: CWE-918 - Using hardcoded GITHUB_API_BASE constant
   const url = `${GITHUB_API_BASE}${endpoint}`;
   
-  const response = await fetch(url, {
-    ...options,
+  const { onRetry, retryUnsafe, ...fetchOptions } = options;
+  
+  const response = await fetchWithRetry(url, {
+    ...fetchOptions,
     headers: {
       'Authorization': `Bearer ${token}`,
       'Accept': 'application/vnd.github.v3+json',
       'Content-Type': 'application/json',
       'X-GitHub-Api-Version': '2022-11-28',
-      ...options.headers,
+      ...fetchOptions.headers,
     },
+  }, {
+    isRetryable: isGitHubRetryable,
+    getRetryDelay: getGitHubRetryDelay,
+    onRetry,
+    retryUnsafe,
   });
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `GitHub API Error: ${response.status}`);
+    const error = new Error(errorData.message || `GitHub API Error: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
 
   // Handle empty responses (204 No Content)
@@ -142,20 +193,70 @@ export async function getFileContent(owner, repo, path, token, branch = 'main')
       token
     );
   } catch (error) {
-    if (error.message.includes('404')) {
+    if (error.status === 404) {
       return null;
     }
     throw error;
   }
 }
 
+/**
+ * Decode the base64 content returned by the Contents API
+ * 
+ * @param {string} content - Base64 content (may contain line breaks)
+ * @returns {string} UTF-8 text
+ */
+export function decodeFileContent(content) {
+  return decodeURIComponent(escape(atob((content || '').replace(/\n/g, ''))));
+}
+
+/**
+ * Read and parse a JSON file from a repository
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<{ data: object, sha: string }|null>} Parsed file or null if not exists
+ */
+export async function readJsonFile(owner, repo, path, token, branch = 'main') {
+  const file = await getFileContent(owner, repo, path, token, branch);
+  if (!file?.content) return null;
+
+  try {
+    return { data: JSON.parse(decodeFileContent(file.content)), sha: file.sha };
+  } catch {
+    throw new Error(`${path} is not valid JSON`);
+  }
+}
+
+/**
+ * Base64-encode file content for the Contents API
+ * 
+ * @param {string|Uint8Array} content - UTF-8 text or binary content
+ * @returns {string} Base64 content
+ */
+export function encodeFileContent(content) {
+  if (typeof content === 'string') {
+    return btoa(unescape(encodeURIComponent(content)));
+  }
+
+  // Chunked to stay under the argument limit of String.fromCharCode
+  let binary = '';
+  for (let i = 0; i < content.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, content.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
 /**
  * Create or update a file in a repository
  * 
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} path - File path
- * @param {string} content - File content
+ * @param {string|Uint8Array} content - File content (text or binary)
  * @param {string} message - Commit message
  * @param {string} token - GitHub PAT token
  * @param {string} branch - Branch name
@@ -170,7 +271,7 @@ export async function createOrUpdateFile(owner, repo, path, content, message, to
   const existing = await getFileContent(owner, repo, path, token, branch);
   
   // Encode content to base64
-  const contentBase64 = btoa(unescape(encodeURIComponent(content)));
+  const contentBase64 = encodeFileContent(content);
 
   const payload = {
     message: message,
@@ -192,6 +293,294 @@ export async function createOrUpdateFile(owner, repo, path, content, message, to
   );
 }
 
+/**
+ * Delete a file from a repository
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} sha - Blob SHA of the file being deleted
+ * @param {string} message - Commit message
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<object>} Commit info
+ */
+export async function deleteFile(owner, repo, path, sha, message, token, branch = 'main') {
+  if (!isValidRepo(owner, repo) || !isValidPath(path)) {
+    throw new Error('Invalid repository or path');
+  }
+
+  return githubRequest(
+    `/repos/${owner}/${repo}/contents/${path}`,
+    token,
+    {
+      method: 'DELETE',
+      body: JSON.stringify({ message, sha, branch }),
+    }
+  );
+}
+
+// Largest blob the Git Data API accepts
+export const MAX_BLOB_BYTES = 100 * 1024 * 1024;
+
+// Attempts to move the branch when other commits land during a run
+const MAX_REF_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Validate a branch name
+ *
+ * @param {string} branch - Branch name
+ * @returns {boolean} True if valid
+ */
+function isValidBranch(branch) {
+  return isValidPath(branch) && !branch.endsWith('/') && !branch.endsWith('.lock');
+}
+
+/**
+ * Get the commit and tree a branch points at
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<{ commitSha: string, treeSha: string }>} Branch head
+ */
+export async function getBranchHead(owner, repo, branch, token) {
+  if (!isValidRepo(owner, repo) || !isValidBranch(branch)) {
+    throw new Error('Invalid repository or branch');
+  }
+
+  let ref;
+  try {
+    ref = await githubRequest(`/repos/${owner}/${repo}/git/ref/heads/${branch}`, token);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      throw new Error(`Branch ${branch} not found (the repository needs at least one commit)`);
+    }
+    throw error;
+  }
+
+  const commit = await githubRequest(`/repos/${owner}/${repo}/git/commits/${ref.object.sha}`, token);
+  return { commitSha: commit.sha, treeSha: commit.tree.sha };
+}
+
+/**
+ * Upload file content as a blob
+ *
+ * Content is sent base64-encoded in one request, so binary files and
+ * files beyond the Contents API's comfortable size upload intact.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|Uint8Array} content - File content (text or binary)
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<{ sha: string, size: number }>} Blob SHA and byte size
+ */
+export async function createBlob(owner, repo, content, token) {
+  if (!isValidRepo(owner, repo)) {
+    throw new Error('Invalid repository format');
+  }
+
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  if (bytes.length > MAX_BLOB_BYTES) {
+    throw new Error(`File is ${Math.ceil(bytes.length / 1024 / 1024)} MB; GitHub blobs are limited to 100 MB (use a smaller part size)`);
+  }
+
+  const blob = await githubRequest(
+    `/repos/${owner}/${repo}/git/blobs`,
+    token,
+    {
+      method: 'POST',
+      body: JSON.stringify({ content: encodeFileContent(bytes), encoding: 'base64' }),
+      // Blobs are content-addressed; a repeat returns the same SHA
+      retryUnsafe: true,
+    }
+  );
+  return { sha: blob.sha, size: bytes.length };
+}
+
+/**
+ * Create a tree from a base tree plus changed files
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseTreeSha - Tree the files are added to
+ * @param {object[]} files - [{ path, sha }] blob per repository path
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<string>} Tree SHA
+ */
+export async function createTree(owner, repo, baseTreeSha, files, token) {
+  if (!isValidRepo(owner, repo) || files.some(file => !isValidPath(file.path))) {
+    throw new Error('Invalid repository or path');
+  }
+
+  const tree = await githubRequest(
+    `/repos/${owner}/${repo}/git/trees`,
+    token,
+    {
+      method: 'POST',
+      body: JSON.stringify({
+        base_tree: baseTreeSha,
+        // A null sha removes the path from the tree
+        tree: files.map(file => ({ path: file.path, mode: '100644', type: 'blob', sha: file.sha })),
+      }),
+      retryUnsafe: true,
+    }
+  );
+  return tree.sha;
+}
+
+/**
+ * Create a commit object
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} message - Commit message
+ * @param {string} treeSha - Tree of the commit
+ * @param {string[]} parents - Parent commit SHAs
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<string>} Commit SHA
+ */
+export async function createCommit(owner, repo, message, treeSha, parents, token) {
+  if (!isValidRepo(owner, repo)) {
+    throw new Error('Invalid repository format');
+  }
+
+  const commit = await githubRequest(
+    `/repos/${owner}/${repo}/git/commits`,
+    token,
+    {
+      method: 'POST',
+      body: JSON.stringify({ message, tree: treeSha, parents }),
+      // A duplicate commit object is unreferenced until a ref points at it
+      retryUnsafe: true,
+    }
+  );
+  return commit.sha;
+}
+
+/**
+ * Move a branch to a commit (fast-forward only)
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} commitSha - New head commit
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<object>} Updated ref
+ */
+export async function updateBranchRef(owner, repo, branch, commitSha, token) {
+  if (!isValidRepo(owner, repo) || !isValidBranch(branch)) {
+    throw new Error('Invalid repository or branch');
+  }
+
+  return githubRequest(
+    `/repos/${owner}/${repo}/git/refs/heads/${branch}`,
+    token,
+    {
+      method: 'PATCH',
+      body: JSON.stringify({ sha: commitSha, force: false }),
+      // Moving the branch to the same commit again is a no-op
+      retryUnsafe: true,
+    }
+  );
+}
+
+/**
+ * Create a branch at a commit
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - New branch name
+ * @param {string} commitSha - Commit the branch starts at
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<object>} Created ref
+ */
+export async function createBranch(owner, repo, branch, commitSha, token) {
+  if (!isValidRepo(owner, repo) || !isValidBranch(branch)) {
+    throw new Error('Invalid repository or branch');
+  }
+
+  return githubRequest(
+    `/repos/${owner}/${repo}/git/refs`,
+    token,
+    {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: commitSha }),
+    }
+  );
+}
+
+/**
+ * Delete a branch
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<null>}
+ */
+export async function deleteBranch(owner, repo, branch, token) {
+  if (!isValidRepo(owner, repo) || !isValidBranch(branch)) {
+    throw new Error('Invalid repository or branch');
+  }
+
+  return githubRequest(`/repos/${owner}/${repo}/git/refs/heads/${branch}`, token, { method: 'DELETE' });
+}
+
+/**
+ * Open a pull request
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} pullRequest - { title, body, head, base }
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<object>} Pull request (number, html_url, ...)
+ */
+export async function createPullRequest(owner, repo, { title, body, head, base }, token) {
+  if (!isValidRepo(owner, repo) || !isValidBranch(head) || !isValidBranch(base)) {
+    throw new Error('Invalid repository or branch');
+  }
+
+  return githubRequest(
+    `/repos/${owner}/${repo}/pulls`,
+    token,
+    {
+      method: 'POST',
+      body: JSON.stringify({ title, body, head, base }),
+    }
+  );
+}
+
+/**
+ * Commit uploaded blobs to a branch as one commit
+ *
+ * If the branch moves while the commit is built (422, not a fast
+ * forward), the tree is rebuilt on the new head and the update retried.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {object[]} files - [{ path, sha }] from createBlob
+ * @param {string} message - Commit message
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<{ sha: string, url: string }>} New commit
+ */
+export async function commitFiles(owner, repo, branch, files, message, token) {
+  for (let attempt = 1; ; attempt++) {
+    const head = await getBranchHead(owner, repo, branch, token);
+    const treeSha = await createTree(owner, repo, head.treeSha, files, token);
+    const commitSha = await createCommit(owner, repo, message, treeSha, [head.commitSha], token);
+
+    try {
+      await updateBranchRef(owner, repo, branch, commitSha, token);
+      return { sha: commitSha, url: `https://github.com/${owner}/${repo}/commit/${commitSha}` };
+    } catch (error) {
+      if (error.status !== 422 || attempt >= MAX_REF_UPDATE_ATTEMPTS) throw error;
+    }
+  }
+}
+
 /**
  * List contents of a directory in a repository
  * 
@@ -217,7 +606,7 @@ export async function listDirectory(owner, repo, path, token, branch = 'main') {
     const contents = await githubRequest(endpoint, token);
     return Array.isArray(contents) ? contents : [];
   } catch (error) {
-    if (error.message.includes('404')) {
+    if (error.status === 404) {
       return [];
     }
     throw error;
@@ -227,6 +616,9 @@ export async function listDirectory(owner, repo, path, token, branch = 'main') {
 /**
  * Get list of branches for a repository
  * 
+ * Pages of 100 are read until a short page, so repositories with many
+ * branches are listed in full.
+ * 
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} token - GitHub PAT token
@@ -237,7 +629,99 @@ export async function listBranches(owner, repo, token) {
     throw new Error('Invalid repository format');
   }
 
-  return githubRequest(`/repos/${owner}/${repo}/branches`, token);
+  const branches = [];
+  for (let page = 1; ; page++) {
+    const batch = await githubRequest(`/repos/${owner}/${repo}/branches?per_page=100&page=${page}`, token);
+    branches.push(...batch);
+    if (batch.length < 100) return branches;
+  }
+}
+
+/**
+ * List commits that touched a path, newest first
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File or folder path ('' for the whole repository)
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @param {number} page - 1-based page of 100 commits
+ * @returns {Promise<{ sha: string, date: string, message: string }[]>} Commits
+ */
+export async function listCommits(owner, repo, path, token, branch = 'main', page = 1) {
+  if (!isValidRepo(owner, repo) || (path && !isValidPath(path))) {
+    throw new Error('Invalid repository or path');
+  }
+
+  const pathQuery = path ? `path=${encodeURIComponent(path)}&` : '';
+  try {
+    const commits = await githubRequest(
+      `/repos/${owner}/${repo}/commits?${pathQuery}sha=${encodeURIComponent(branch)}&per_page=100&page=${page}`,
+      token
+    );
+    return commits.map(commit => ({
+      sha: commit.sha,
+      date: commit.commit.committer?.date || commit.commit.author?.date,
+      message: commit.commit.message,
+    }));
+  } catch (error) {
+    // Empty repositories have no commit log
+    if (error.status === 409) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download a blob's content
+ * 
+ * Works for files up to 100 MB, where the Contents API stops returning
+ * content above 1 MB.
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Blob SHA (from listDirectory)
+ * @param {string} token - GitHub PAT token
+ * @returns {Promise<Uint8Array>} File bytes
+ */
+export async function getBlob(owner, repo, sha, token) {
+  if (!isValidRepo(owner, repo) || !/^[a-f0-9]{40,64}$/.test(sha || '')) {
+    throw new Error('Invalid repository or blob');
+  }
+
+  const blob = await githubRequest(`/repos/${owner}/${repo}/git/blobs/${sha}`, token);
+  const binary = atob((blob.content || '').replace(/\n/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Get the latest commit that touched a path
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File or folder path
+ * @param {string} token - GitHub PAT token
+ * @param {string} branch - Branch name
+ * @returns {Promise<{ sha: string, date: string, message: string }|null>} Commit or null if none
+ */
+export async function getLastCommit(owner, repo, path, token, branch = 'main') {
+  if (!isValidRepo(owner, repo) || !isValidPath(path)) {
+    throw new Error('Invalid repository or path');
+  }
+
+  const commits = await githubRequest(
+    `/repos/${owner}/${repo}/commits?path=${encodeURIComponent(path)}&sha=${encodeURIComponent(branch)}&per_page=1`,
+    token
+  );
+  const commit = commits[0];
+  return commit
+    ? { sha: commit.sha, date: commit.commit.committer?.date || commit.commit.author?.date, message: commit.commit.message }
+    : null;
 }
 
 /**
@@ -252,3 +736,53 @@ export function generateFilename(entityName, format) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   return `${safeName}_${timestamp}.${format}`;
 }
+
+/**
+ * Generate the stable filename of a snapshot export
+ * 
+ * @param {string} entityName - Entity name
+ * @param {string} format - File format
+ * @returns {string} Filename, e.g. CustomersV3.csv
+ */
+export function generateSnapshotFilename(entityName, format) {
+  const safeName = entityName.replace(/[^a-zA-Z0-9_]/g, '_');
+  return `${safeName}.${format}`;
+}
+
+/**
+ * Generate the filename of one part of a chunked export
+ * 
+ * @param {string} baseFilename - Filename from generateFilename
+ * @param {number} partNumber - 1-based part number
+ * @returns {string} Filename, e.g. CustTrans_2024-01-01T00-00-00-000Z.part-0001.csv
+ */
+export function generatePartFilename(baseFilename, partNumber) {
+  const dot = baseFilename.lastIndexOf('.');
+  const part = `part-${String(partNumber).padStart(4, '0')}`;
+  return `${baseFilename.substring(0, dot)}.${part}${baseFilename.substring(dot)}`;
+}
+
+/**
+ * Generate the filename of one level of a split header/line export
+ * 
+ * @param {string} baseFilename - Filename from generateFilename
+ * @param {string} level - Navigation property name
+ * @returns {string} Filename, e.g. SalesOrderHeadersV2_2024-01-01T00-00-00-000Z.SalesOrderLines.csv
+ */
+export function generateLevelFilename(baseFilename, level) {
+  const dot = baseFilename.lastIndexOf('.');
+  const safeLevel = level.replace(/[^a-zA-Z0-9_]/g, '_');
+  return `${baseFilename.substring(0, dot)}.${safeLevel}${baseFilename.substring(dot)}`;
+}
+
+/**
+ * Generate the branch name of an export run
+ * 
+ * @param {string} prefix - Run name
+ * @returns {string} Branch name, e.g. d365-export/2024-01-01T00-00-00-000Z
+ */
+export function generateBranchName(prefix) {
+  const safePrefix = prefix.replace(/[^a-zA-Z0-9_\-]/g, '-');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${safePrefix}/${timestamp}`;
+}
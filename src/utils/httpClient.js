@@ -0,0 +1,149 @@
+/**
+ * Shared HTTP Request Layer
+ *
+ * Retries transient failures with jittered exponential backoff and honours
+ * Retry-After. Used by both the D365 and GitHub utilities so a single
+ * throttled request does not discard a long-running export.
+ *
+ * SECURITY:
+ * - Does not build URLs; callers validate them before calling
+ * - Response bodies are not logged
+ */
+
+// D365 priority-based throttling returns 429; gateways return 502-504
+export const RETRYABLE_STATUS = [429, 502, 503, 504];
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 6,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  retryUnsafe: false,
+};
+
+// Methods a server may safely receive twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with full jitter
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date)
+ *
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in milliseconds or null if absent
+ */
+export function parseRetryAfter(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Default retry predicate: retry on throttling and gateway errors
+ *
+ * @param {Response} response - Fetch response
+ * @returns {Promise<boolean>} True if the request should be retried
+ */
+async function isRetryableStatus(response) {
+  return RETRYABLE_STATUS.includes(response.status);
+}
+
+/**
+ * fetch() with retries for transient failures
+ *
+ * Network errors and retryable responses are retried up to maxRetries
+ * times. The final response is returned as-is (ok or not) so callers keep
+ * their own error handling.
+ *
+ * POST and PATCH may have taken effect before a timeout or gateway error,
+ * so they are only retried on throttling, which rejects the request
+ * unprocessed: a 429, or whatever else isRetryable accepts below 500 (the
+ * GitHub client adds rate-limited 403s). Callers whose request is safe to
+ * repeat (content-addressed blobs, read-only actions) opt in with
+ * retryUnsafe.
+ *
+ * @param {string} url - Request URL (already validated by the caller)
+ * @param {object} init - fetch init
+ * @param {object} options - Retry options
+ * @param {number} options.maxRetries - Retry attempts after the first request
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @param {number} options.maxDelayMs - Backoff ceiling
+ * @param {function} options.isRetryable - async (response) => boolean
+ * @param {function} options.getRetryDelay - (response) => ms | null, overrides backoff
+ * @param {function} options.onRetry - ({ attempt, delayMs, status, error }) => void
+ * @param {function} options.beforeAttempt - async () => void, e.g. a request budget
+ * @param {boolean} options.retryUnsafe - Retry POST/PATCH like idempotent requests
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+  const {
+    maxRetries,
+    baseDelayMs,
+    maxDelayMs,
+    isRetryable = isRetryableStatus,
+    getRetryDelay = parseRetryAfter,
+    onRetry,
+    beforeAttempt,
+    retryUnsafe,
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  const idempotent = retryUnsafe || IDEMPOTENT_METHODS.includes((init.method || 'GET').toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+
+    await beforeAttempt?.();
+
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      // Network failure (connection reset, DNS, CORS preflight dropped)
+      if (attempt >= maxRetries || error.name === 'AbortError' || !idempotent) throw error;
+
+      const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry?.({ attempt: attempt + 1, delayMs, status: null, error });
+      await sleep(delayMs);
+      continue;
+    }
+
+    if (attempt >= maxRetries || !(await isRetryable(response))) {
+      return response;
+    }
+    // A 5xx may come after the server already acted on the request
+    if (!idempotent && response.status >= 500) {
+      return response;
+    }
+
+    const requestedDelay = getRetryDelay(response);
+    const delayMs = requestedDelay !== null
+      ? Math.min(requestedDelay, maxDelayMs * 5)
+      : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+
+    onRetry?.({ attempt: attempt + 1, delayMs, status: response.status, error: null });
+    await sleep(delayMs);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Export Job Scheduling
+ *
+ * Concurrency pools and a client-side request budget for running several
+ * entity exports at once without tripping D365 service protection limits
+ * (~6,000 requests per 5 minutes per user).
+ */
+
+import { sleep } from './httpClient';
+
+export const D365_REQUEST_LIMIT = 6000;
+export const D365_REQUEST_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Create a pool that runs at most `limit` tasks at a time
+ *
+ * @param {number} limit - Maximum concurrent tasks
+ * @returns {{ run: function, get active(): number, get queued(): number }} Pool
+ */
+export function createConcurrencyPool(limit) {
+  const maxActive = Math.max(1, limit || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= maxActive || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    /**
+     * Queue a task
+     *
+     * @param {function} task - async () => result
+     * @returns {Promise<*>} Task result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    get active() {
+      return active;
+    },
+
+    get queued() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * Create a sliding-window request budget
+ *
+ * acquire() resolves once a request may be sent without exceeding `limit`
+ * requests in any `windowMs` period.
+ *
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @returns {{ acquire: function, get used(): number }} Budget
+ */
+export function createRequestBudget({ limit, windowMs } = {}) {
+  const maxRequests = limit || D365_REQUEST_LIMIT;
+  const window = windowMs || D365_REQUEST_WINDOW_MS;
+  const timestamps = [];
+
+  const prune = (now) => {
+    while (timestamps.length > 0 && now - timestamps[0] >= window) {
+      timestamps.shift();
+    }
+  };
+
+  return {
+    async acquire() {
+      for (;;) {
+        const now = Date.now();
+        prune(now);
+
+        if (timestamps.length < maxRequests) {
+          timestamps.push(now);
+          return;
+        }
+
+        // Wait until the oldest request leaves the window
+        await sleep(window - (now - timestamps[0]) + 10);
+      }
+    },
+
+    get used() {
+      prune(Date.now());
+      return timestamps.length;
+    },
+  };
+}
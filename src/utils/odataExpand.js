@@ -0,0 +1,222 @@
+/**
+ * OData $expand Support
+ *
+ * Compiles per-entity expand settings (navigation property, nested $select
+ * and $filter) and reshapes nested header/line records for CSV output.
+ */
+
+import { compileFilter } from './odataFilter';
+
+/**
+ * Find the entity a navigation property points to
+ *
+ * @param {object} nav - Navigation property from the catalog
+ * @param {object[]} entities - Catalog entities
+ * @returns {object|null} Target entity
+ */
+export function getNavigationTarget(nav, entities) {
+  return entities.find(e => e.name === nav.entitySet)
+    || entities.find(e => e.entityType && e.entityType === nav.type)
+    || null;
+}
+
+/**
+ * Parent/child field pairs that link a navigation property's rows to the parent
+ *
+ * Uses the referential constraint on the navigation property, then the
+ * partner's constraint, and falls back to the parent's keys by name.
+ *
+ * @param {object} nav - Navigation property
+ * @param {object} entity - Parent entity
+ * @param {object[]} entities - Catalog entities
+ * @returns {{ parent: string, child: string }[]} Foreign key pairs
+ */
+export function getForeignKeyPairs(nav, entity, entities) {
+  if (nav.constraints?.length) {
+    return nav.constraints.map(c => ({ parent: c.property, child: c.referencedProperty }));
+  }
+
+  const target = getNavigationTarget(nav, entities);
+  const partner = target?.navigationProperties?.find(n => n.name === nav.partner);
+  if (partner?.constraints?.length) {
+    return partner.constraints.map(c => ({ parent: c.referencedProperty, child: c.property }));
+  }
+
+  return (entity.keys || []).map(key => ({ parent: key, child: key }));
+}
+
+/**
+ * Compile expand settings to a $expand value
+ *
+ * Nested $select always keeps the child's keys and foreign key fields so
+ * split CSV files can be joined back together.
+ *
+ * @param {object[]} expandConfig - [{ navigation, select, filterGroup }]
+ * @param {object} entity - Parent entity
+ * @param {object[]} entities - Catalog entities
+ * @returns {string|null} $expand value or null when nothing is expanded
+ */
+export function compileExpand(expandConfig, entity, entities) {
+  if (!expandConfig?.length) return null;
+
+  return expandConfig
+    .map(item => {
+      const nav = entity?.navigationProperties?.find(n => n.name === item.navigation);
+      if (!nav) {
+        throw new Error(`Unknown navigation property: ${item.navigation || '(none)'}`);
+      }
+
+      const target = getNavigationTarget(nav, entities);
+      const options = [];
+
+      if (item.select?.length) {
+        const required = [
+          ...(target?.keys || []),
+          ...getForeignKeyPairs(nav, entity, entities).map(pair => pair.child),
+        ];
+        const fields = [...new Set([...required, ...item.select])];
+        options.push(`$select=${fields.join(',')}`);
+      }
+
+      const filter = compileFilter(item.filterGroup, target?.properties || []);
+      if (filter) options.push(`$filter=${filter}`);
+
+      return options.length ? `${nav.name}(${options.join(';')})` : nav.name;
+    })
+    .join(',');
+}
+
+/**
+ * Resolve expand settings into the links the CSV writers need
+ *
+ * @param {object[]} expandConfig - [{ navigation, ... }]
+ * @param {object} entity - Parent entity
+ * @param {object[]} entities - Catalog entities
+ * @returns {{ name: string, isCollection: boolean, foreignKeys: object[], properties: object[] }[]} Links,
+ *   with the target entity's properties for per-level formatting
+ */
+export function getExpandLinks(expandConfig, entity, entities) {
+  return (expandConfig || [])
+    .map(item => entity?.navigationProperties?.find(n => n.name === item.navigation))
+    .filter(Boolean)
+    .map(nav => ({
+      name: nav.name,
+      isCollection: nav.isCollection,
+      foreignKeys: getForeignKeyPairs(nav, entity, entities),
+      properties: getNavigationTarget(nav, entities)?.properties || [],
+    }));
+}
+
+/**
+ * Nested rows of one link as an array
+ */
+function childRows(record, link) {
+  const value = record[link.name];
+  if (Array.isArray(value)) return value;
+  return value && typeof value === 'object' ? [value] : [];
+}
+
+/**
+ * Parent fields without the expanded navigation properties
+ */
+function parentFields(record, links) {
+  const row = { ...record };
+  for (const link of links) {
+    delete row[link.name];
+    delete row[`${link.name}@odata.navigationLink`];
+  }
+  return row;
+}
+
+/**
+ * Prefix a child's fields with its navigation property name
+ */
+function prefixFields(child, prefix) {
+  const row = {};
+  for (const [key, value] of Object.entries(child)) {
+    row[`${prefix}.${key}`] = value;
+  }
+  return row;
+}
+
+/**
+ * Flatten nested records into one parent-child row per line
+ *
+ * Header fields repeat on every line row; line fields are prefixed with the
+ * navigation property name (SalesOrderLines.LineNumber). Single-valued
+ * navigations become extra columns on every row. A header without lines is
+ * kept as one row with empty line columns.
+ *
+ * @param {object[]} records - Records returned with $expand
+ * @param {object[]} links - From getExpandLinks
+ * @returns {object[]} Flat rows
+ */
+export function flattenExpandedRecords(records, links) {
+  const collections = links.filter(link => link.isCollection);
+  const singles = links.filter(link => !link.isCollection);
+  const rows = [];
+
+  for (const record of records) {
+    const base = parentFields(record, links);
+    for (const link of singles) {
+      const [child] = childRows(record, link);
+      if (child) Object.assign(base, prefixFields(child, link.name));
+    }
+
+    let emitted = false;
+    for (const link of collections) {
+      for (const child of childRows(record, link)) {
+        rows.push({ ...base, ...prefixFields(child, link.name) });
+        emitted = true;
+      }
+    }
+
+    if (!emitted) rows.push(base);
+  }
+
+  return rows;
+}
+
+/**
+ * Split nested records into one row set per level
+ *
+ * Child rows carry the parent's foreign key values so the files can be
+ * joined even when the nested $select omitted them.
+ *
+ * @param {object[]} records - Records returned with $expand
+ * @param {object[]} links - From getExpandLinks
+ * @returns {{ level: string|null, records: object[] }[]} Parent level first
+ */
+export function splitExpandedRecords(records, links) {
+  const levels = [{ level: null, records: records.map(record => parentFields(record, links)) }];
+
+  for (const link of links) {
+    const rows = [];
+    for (const record of records) {
+      const foreignKeys = {};
+      for (const pair of link.foreignKeys) {
+        foreignKeys[pair.child] = record[pair.parent];
+      }
+      for (const child of childRows(record, link)) {
+        rows.push({ ...foreignKeys, ...child });
+      }
+    }
+    levels.push({ level: link.name, records: rows });
+  }
+
+  return levels;
+}
+
+/**
+ * Union of column names across rows, in first-seen order
+ *
+ * @param {object[]} rows - Rows with differing fields
+ * @returns {string[]} Columns
+ */
+export function collectColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) columns.add(key);
+  }
+  return Array.from(columns);
+}
@@ -0,0 +1,254 @@
+/**
+ * OData Query Builder Utilities
+ *
+ * Compiles the visual filter builder's condition groups into $filter and
+ * $orderby strings for D365 F&O.
+ *
+ * SECURITY:
+ * - Field names validated against the entity's property list
+ * - All literals escaped per OData ABNF (single quotes doubled)
+ */
+
+export const FILTER_OPERATORS = [
+  { value: 'eq', label: 'equals' },
+  { value: 'ne', label: 'not equals' },
+  { value: 'gt', label: 'greater than' },
+  { value: 'lt', label: 'less than' },
+  { value: 'contains', label: 'contains' },
+  { value: 'startswith', label: 'starts with' },
+  { value: 'in', label: 'in list' },
+];
+
+// Operators that only make sense for text fields
+const STRING_OPERATORS = ['contains', 'startswith'];
+
+const NUMERIC_TYPES = [
+  'Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64',
+  'Edm.Decimal', 'Edm.Double', 'Edm.Single',
+];
+
+/**
+ * Classify an Edm type for input rendering and literal formatting
+ *
+ * @param {object} property - Property from the entity catalog
+ * @returns {string} One of string, number, boolean, datetime, date, guid, enum
+ */
+export function getValueKind(property) {
+  if (!property) return 'string';
+  if (property.isEnum) return 'enum';
+  if (NUMERIC_TYPES.includes(property.type)) return 'number';
+
+  switch (property.type) {
+    case 'Edm.Boolean': return 'boolean';
+    case 'Edm.DateTimeOffset': return 'datetime';
+    case 'Edm.Date': return 'date';
+    case 'Edm.Guid': return 'guid';
+    default: return 'string';
+  }
+}
+
+/**
+ * Operators allowed for a property
+ *
+ * @param {object} property - Property from the entity catalog
+ * @returns {object[]} Operator definitions
+ */
+export function getOperatorsFor(property) {
+  const kind = getValueKind(property);
+  return FILTER_OPERATORS.filter(op =>
+    kind === 'string' || !STRING_OPERATORS.includes(op.value)
+  );
+}
+
+/**
+ * Escape a string for use inside an OData single-quoted literal
+ *
+ * @param {string} value - Raw string
+ * @returns {string} Quoted literal
+ */
+export function quoteString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Format a value as an OData literal for the given property type
+ *
+ * @param {*} value - Raw input value
+ * @param {object} property - Property from the entity catalog
+ * @returns {string} OData literal
+ */
+export function formatLiteral(value, property) {
+  const kind = getValueKind(property);
+  const text = String(value ?? '').trim();
+
+  switch (kind) {
+    case 'number':
+      if (!/^-?\d+(\.\d+)?$/.test(text)) {
+        throw new Error(`"${text}" is not a number for ${property.name}`);
+      }
+      return text;
+
+    case 'boolean':
+      if (text !== 'true' && text !== 'false') {
+        throw new Error(`${property.name} must be true or false`);
+      }
+      return text;
+
+    case 'datetime': {
+      const date = new Date(text);
+      if (!text || isNaN(date.getTime())) {
+        throw new Error(`"${text}" is not a valid date/time for ${property.name}`);
+      }
+      return date.toISOString().replace(/\.000Z$/, 'Z');
+    }
+
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        throw new Error(`"${text}" is not a valid date for ${property.name}`);
+      }
+      return text;
+
+    case 'guid':
+      if (!/^[0-9a-fA-F]{8}-([0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12}$/.test(text)) {
+        throw new Error(`"${text}" is not a valid GUID for ${property.name}`);
+      }
+      return text;
+
+    case 'enum': {
+      const member = property.enumMembers?.find(m => m.name === text);
+      if (!member) {
+        throw new Error(`"${text}" is not a member of ${property.type}`);
+      }
+      return `${property.type}${quoteString(member.name)}`;
+    }
+
+    default:
+      return quoteString(text);
+  }
+}
+
+/**
+ * Compile a single condition row
+ *
+ * D365 F&O does not implement the contains/startswith functions, so they
+ * are compiled to its wildcard equality form (Name eq '*abc*'). "in" is
+ * expanded to an or-chain for the same reason.
+ *
+ * @param {object} condition - { field, operator, value }
+ * @param {object[]} properties - Entity properties
+ * @returns {string} Filter expression
+ */
+export function compileCondition(condition, properties) {
+  const property = properties.find(p => p.name === condition.field);
+  if (!property) {
+    throw new Error(`Unknown field: ${condition.field || '(none)'}`);
+  }
+
+  const field = property.name;
+
+  switch (condition.operator) {
+    case 'eq':
+    case 'ne':
+    case 'gt':
+    case 'lt':
+      return `${field} ${condition.operator} ${formatLiteral(condition.value, property)}`;
+
+    case 'contains':
+    case 'startswith': {
+      // An empty pattern ('**' or '*') would match every row
+      const text = String(condition.value ?? '').trim();
+      if (!text) {
+        throw new Error(`Enter a value to match for ${field}`);
+      }
+      return `${field} eq ${quoteString(condition.operator === 'contains' ? `*${text}*` : `${text}*`)}`;
+    }
+
+    case 'in': {
+      const values = String(condition.value ?? '')
+        .split(',')
+        .map(v => v.trim())
+        .filter(v => v.length > 0);
+      if (values.length === 0) {
+        throw new Error(`Enter at least one value for ${field}`);
+      }
+      const terms = values.map(v => `${field} eq ${formatLiteral(v, property)}`);
+      return terms.length === 1 ? terms[0] : `(${terms.join(' or ')})`;
+    }
+
+    default:
+      throw new Error(`Unsupported operator: ${condition.operator}`);
+  }
+}
+
+/**
+ * Compile a condition group (conditions and nested groups) to $filter
+ *
+ * Rows without a field are still being filled in and are left out.
+ *
+ * @param {object} group - { logic: 'and' | 'or', conditions: object[] }
+ * @param {object[]} properties - Entity properties
+ * @returns {string|null} Filter string or null when the group is empty
+ */
+export function compileFilter(group, properties) {
+  if (!group?.conditions?.length) return null;
+
+  const parts = group.conditions
+    .map(item => {
+      if (item.conditions) {
+        const nested = compileFilter(item, properties);
+        return nested && item.conditions.length > 1 ? `(${nested})` : nested;
+      }
+      return item.field ? compileCondition(item, properties) : null;
+    })
+    .filter(Boolean);
+
+  if (parts.length === 0) return null;
+  return parts.join(` ${group.logic === 'or' ? 'or' : 'and'} `);
+}
+
+/**
+ * Compile sort rows to $orderby; rows without a field are left out
+ *
+ * @param {object[]} orderBy - [{ field, direction: 'asc' | 'desc' }]
+ * @param {object[]} properties - Entity properties
+ * @returns {string|null} Order-by string or null when empty
+ */
+export function compileOrderBy(orderBy, properties) {
+  const sorts = (orderBy || []).filter(sort => sort.field);
+  if (sorts.length === 0) return null;
+
+  return sorts
+    .map(sort => {
+      const property = properties.find(p => p.name === sort.field);
+      if (!property) {
+        throw new Error(`Unknown sort field: ${sort.field}`);
+      }
+      return `${property.name} ${sort.direction === 'desc' ? 'desc' : 'asc'}`;
+    })
+    .join(',');
+}
+
+/**
+ * Create an empty condition group
+ *
+ * @param {string} logic - 'and' or 'or'
+ * @returns {object} Group
+ */
+export function createGroup(logic = 'and') {
+  return { logic, conditions: [] };
+}
+
+/**
+ * Build fetchEntityData query options from an entity's export settings
+ *
+ * @param {object} config - Entity settings from entityConfigs
+ * @param {object[]} properties - Entity properties
+ * @returns {{ select: string|null, filter: string|null, orderby: string|null }}
+ */
+export function buildQueryOptions(config = {}, properties = []) {
+  return {
+    select: config.select?.length ? config.select.join(',') : null,
+    filter: compileFilter(config.filterGroup, properties),
+    orderby: compileOrderBy(config.orderBy, properties),
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * OData Metadata Utilities
+ *
+ * Parses the CSDL document served at /data/$metadata into an entity
+ * catalog. The document is XML (EDMX), so it is read with DOMParser
+ * rather than response.json().
+ *
+ * SECURITY:
+ * - XML parsed with the browser DOMParser (no external entity resolution)
+ * - No script evaluation of metadata content
+ */
+
+/**
+ * Read an attribute, falling back to a default when absent
+ *
+ * @param {Element} element - XML element
+ * @param {string} name - Attribute name
+ * @param {*} fallback - Value when attribute is missing
+ * @returns {*} Attribute value
+ */
+function attr(element, name, fallback = null) {
+  return element.hasAttribute(name) ? element.getAttribute(name) : fallback;
+}
+
+/**
+ * Direct children of an element with a given local name
+ *
+ * @param {Element} element - Parent element
+ * @param {string} localName - Child element name (namespace ignored)
+ * @returns {Element[]} Matching children
+ */
+function childrenByName(element, localName) {
+  return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+/**
+ * Parse an integer facet such as MaxLength or Precision
+ *
+ * @param {Element} element - Property element
+ * @param {string} name - Facet attribute name
+ * @returns {number|null} Facet value or null
+ */
+function intFacet(element, name) {
+  const value = parseInt(attr(element, name, ''), 10);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Split a type reference into its collection flag and qualified name
+ *
+ * @param {string} typeRef - e.g. "Collection(Ns.Type)" or "Edm.String"
+ * @returns {{ isCollection: boolean, typeName: string }}
+ */
+function unwrapType(typeRef) {
+  const match = /^Collection\((.+)\)$/.exec(typeRef || '');
+  return match
+    ? { isCollection: true, typeName: match[1] }
+    : { isCollection: false, typeName: typeRef || '' };
+}
+
+/**
+ * Parse a CSDL $metadata document into an entity catalog
+ *
+ * @param {string} xmlText - Raw EDMX document
+ * @returns {{ entities: object[], enumTypes: object }} Catalog of entity
+ *   sets and the enum types they reference, keyed by qualified name
+ */
+export function parseMetadata(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid $metadata document');
+  }
+
+  const schemas = Array.from(doc.getElementsByTagNameNS('*', 'Schema'));
+  if (schemas.length === 0) {
+    throw new Error('No schemas found in $metadata document');
+  }
+
+  // Schemas may declare an alias; normalize every reference to the namespace
+  const aliases = {};
+  for (const schema of schemas) {
+    const alias = attr(schema, 'Alias');
+    if (alias) aliases[alias] = attr(schema, 'Namespace');
+  }
+
+  const qualify = (typeName) => {
+    const dot = typeName.lastIndexOf('.');
+    if (dot < 0) return typeName;
+    const prefix = typeName.substring(0, dot);
+    return aliases[prefix] ? `${aliases[prefix]}${typeName.substring(dot)}` : typeName;
+  };
+
+  // Enum types
+  const enumTypes = {};
+  for (const schema of schemas) {
+    const namespace = attr(schema, 'Namespace');
+    for (const enumEl of childrenByName(schema, 'EnumType')) {
+      const fullName = `${namespace}.${attr(enumEl, 'Name')}`;
+      enumTypes[fullName] = {
+        name: fullName,
+        members: childrenByName(enumEl, 'Member').map((member, index) => ({
+          name: attr(member, 'Name'),
+          value: parseInt(attr(member, 'Value', String(index)), 10),
+        })),
+      };
+    }
+  }
+
+  // Entity types (BaseType chains are resolved after all types are read)
+  const entityTypes = {};
+  for (const schema of schemas) {
+    const namespace = attr(schema, 'Namespace');
+    for (const typeEl of childrenByName(schema, 'EntityType')) {
+      const fullName = `${namespace}.${attr(typeEl, 'Name')}`;
+      const keyEl = childrenByName(typeEl, 'Key')[0];
+
+      entityTypes[fullName] = {
+        baseType: attr(typeEl, 'BaseType') ? qualify(attr(typeEl, 'BaseType')) : null,
+        keys: keyEl
+          ? childrenByName(keyEl, 'PropertyRef').map(ref => attr(ref, 'Name'))
+          : [],
+        properties: childrenByName(typeEl, 'Property').map(propEl => {
+          const type = qualify(attr(propEl, 'Type', 'Edm.String'));
+          const enumType = enumTypes[type];
+          return {
+            name: attr(propEl, 'Name'),
+            type,
+            nullable: attr(propEl, 'Nullable', 'true') !== 'false',
+            maxLength: intFacet(propEl, 'MaxLength'),
+            precision: intFacet(propEl, 'Precision'),
+            scale: intFacet(propEl, 'Scale'),
+            isEnum: Boolean(enumType),
+            enumMembers: enumType ? enumType.members : null,
+          };
+        }),
+        navigationProperties: childrenByName(typeEl, 'NavigationProperty').map(navEl => {
+          const { isCollection, typeName } = unwrapType(attr(navEl, 'Type'));
+          return {
+            name: attr(navEl, 'Name'),
+            type: qualify(typeName),
+            isCollection,
+            partner: attr(navEl, 'Partner'),
+            constraints: childrenByName(navEl, 'ReferentialConstraint').map(rc => ({
+              property: attr(rc, 'Property'),
+              referencedProperty: attr(rc, 'ReferencedProperty'),
+            })),
+          };
+        }),
+      };
+    }
+  }
+
+  const resolveType = (fullName, seen = new Set()) => {
+    const type = entityTypes[fullName];
+    if (!type || !type.baseType || seen.has(fullName)) return type;
+    seen.add(fullName);
+    const base = resolveType(type.baseType, seen);
+    if (!base) return type;
+    return {
+      ...type,
+      keys: type.keys.length > 0 ? type.keys : base.keys,
+      properties: [...base.properties, ...type.properties],
+      navigationProperties: [...base.navigationProperties, ...type.navigationProperties],
+    };
+  };
+
+  // Entity sets from the entity container
+  const entities = [];
+  for (const schema of schemas) {
+    for (const container of childrenByName(schema, 'EntityContainer')) {
+      for (const setEl of childrenByName(container, 'EntitySet')) {
+        const entityType = qualify(attr(setEl, 'EntityType'));
+        const type = resolveType(entityType);
+        if (!type) continue;
+
+        const bindings = {};
+        for (const binding of childrenByName(setEl, 'NavigationPropertyBinding')) {
+          bindings[attr(binding, 'Path')] = attr(binding, 'Target');
+        }
+
+        entities.push({
+          name: attr(setEl, 'Name'),
+          type: 'odata',
+          accessible: null,
+          entityType,
+          keys: type.keys,
+          properties: type.properties.map(prop => ({
+            ...prop,
+            isKey: type.keys.includes(prop.name),
+          })),
+          navigationProperties: type.navigationProperties.map(nav => ({
+            ...nav,
+            entitySet: bindings[nav.name] || null,
+          })),
+        });
+      }
+    }
+  }
+
+  entities.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { entities, enumTypes };
+}
+
+/**
+ * Merge a metadata catalog into an existing entity list
+ *
+ * Entries already in the list (presets, manual additions) keep their type
+ * label but pick up the metadata; everything else is appended.
+ *
+ * @param {object[]} existing - Current entity list
+ * @param {object[]} catalog - Entities parsed from $metadata
+ * @returns {object[]} Merged entity list
+ */
+export function mergeCatalog(existing, catalog) {
+  const byName = new Map(catalog.map(entity => [entity.name.toLowerCase(), entity]));
+  const merged = existing.map(entity => {
+    const match = byName.get(entity.name.toLowerCase());
+    if (!match) return entity;
+    byName.delete(entity.name.toLowerCase());
+    return { ...match, type: entity.type };
+  });
+
+  return [...merged, ...byName.values()];
+}
+
+/**
+ * Infer an Edm type from a sample JSON value
+ *
+ * @param {*} value - Field value from an OData record
+ * @returns {string} Edm type name
+ */
+function inferEdmType(value) {
+  if (typeof value === 'boolean') return 'Edm.Boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'Edm.Int64' : 'Edm.Decimal';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    return 'Edm.DateTimeOffset';
+  }
+  return 'Edm.String';
+}
+
+/**
+ * Build a property list from a sample record when $metadata is unavailable
+ *
+ * @param {object} record - Sample OData record
+ * @returns {object[]} Properties in the same shape as parseMetadata output
+ */
+export function fieldsFromSample(record) {
+  return Object.keys(record || {})
+    .filter(name => !name.startsWith('@odata.') && !name.includes('@'))
+    .map(name => ({
+      name,
+      type: inferEdmType(record[name]),
+      nullable: true,
+      maxLength: null,
+      precision: null,
+      scale: null,
+      isEnum: null, // unknown without $metadata
+      enumMembers: null,
+      isKey: false,
+    }));
+}
@@ -0,0 +1,274 @@
+/**
+ * Apache Parquet Writer
+ *
+ * Builds an Arrow table typed from the entity's Edm types and writes it as
+ * Parquet with parquet-wasm, entirely in the browser. Both libraries (and
+ * the ~5 MB WebAssembly module) are loaded on first use.
+ *
+ * Edm → Parquet logical types:
+ * - Edm.String, Edm.Guid       → STRING
+ * - enums                      → STRING (dictionary-encoded)
+ * - Edm.Decimal (with facets)  → DECIMAL(precision, scale)
+ * - Edm.Int64 / Int32 / Int16  → INT(64 / 32 / 16, signed)
+ * - Edm.DateTimeOffset         → TIMESTAMP(MILLIS, UTC)
+ * - Edm.Date                   → DATE
+ * - Edm.Boolean                → BOOLEAN
+ */
+
+import { fieldsFromSample } from './odataMetadata';
+import { collectColumns } from './odataExpand';
+
+export const PARQUET_COMPRESSIONS = ['snappy', 'zstd'];
+export const PARQUET_ROW_GROUP_OPTIONS = [10000, 50000, 100000, 250000];
+export const DEFAULT_PARQUET_OPTIONS = {
+  compression: 'snappy',
+  rowGroupSize: 50000,
+};
+
+// D365 stores "no date" as 1900-01-01
+const D365_EMPTY_DATE = /^1900-01-01(T00:00:00(\.0+)?Z)?$/;
+
+// Arrow's Decimal128 tops out at 38 digits
+const MAX_DECIMAL_PRECISION = 38;
+
+let modulesPromise = null;
+
+/**
+ * Load apache-arrow and initialize parquet-wasm once
+ *
+ * @returns {Promise<{ arrow: object, parquet: object }>} Modules
+ */
+function loadParquetModules() {
+  if (!modulesPromise) {
+    modulesPromise = (async () => {
+      const [arrow, parquet, { default: wasmUrl }] = await Promise.all([
+        import('apache-arrow'),
+        import('parquet-wasm/esm'),
+        import('parquet-wasm/esm/parquet_wasm_bg.wasm?url'),
+      ]);
+      await parquet.default(wasmUrl);
+      return { arrow, parquet };
+    })().catch(error => {
+      modulesPromise = null;
+      throw error;
+    });
+  }
+  return modulesPromise;
+}
+
+/**
+ * Convert a decimal value to Arrow's 128-bit little-endian words
+ *
+ * @param {number|string} value - Decimal value
+ * @param {number} scale - Digits after the decimal point
+ * @returns {Uint32Array} Four 32-bit words
+ */
+function toDecimalWords(value, scale) {
+  const fixed = Number(value).toFixed(scale);
+  let unscaled = BigInt(fixed.replace('.', ''));
+  if (unscaled < 0n) unscaled += 1n << 128n;
+
+  const words = new Uint32Array(4);
+  for (let i = 0; i < 4; i++) {
+    words[i] = Number((unscaled >> BigInt(32 * i)) & 0xffffffffn);
+  }
+  return words;
+}
+
+/**
+ * Parse an OData date/time string to epoch milliseconds
+ *
+ * @param {string} value - ISO date or date/time
+ * @returns {number|null} Milliseconds or null for empty/invalid dates
+ */
+function toEpochMs(value) {
+  if (typeof value !== 'string' || D365_EMPTY_DATE.test(value)) return null;
+  const ms = new Date(value.length === 10 ? `${value}T00:00:00Z` : value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Arrow type and value converter for a property
+ *
+ * @param {object} arrow - apache-arrow module
+ * @param {object|null} property - Entity property
+ * @returns {{ type: object, convert: function }} Column mapping
+ */
+function columnMapping(arrow, property) {
+  const type = property?.type;
+  const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  if (property?.isEnum) {
+    return { type: new arrow.Dictionary(new arrow.Utf8(), new arrow.Int32()), convert: String };
+  }
+
+  switch (type) {
+    case 'Edm.Boolean':
+      return { type: new arrow.Bool(), convert: Boolean };
+    case 'Edm.Byte':
+      return { type: new arrow.Uint8(), convert: toNumber };
+    case 'Edm.SByte':
+      return { type: new arrow.Int8(), convert: toNumber };
+    case 'Edm.Int16':
+      return { type: new arrow.Int16(), convert: toNumber };
+    case 'Edm.Int32':
+      return { type: new arrow.Int32(), convert: toNumber };
+    case 'Edm.Int64':
+      return {
+        type: new arrow.Int64(),
+        convert: (value) => {
+          try {
+            return BigInt(typeof value === 'number' ? Math.trunc(value) : value);
+          } catch {
+            return null;
+          }
+        },
+      };
+    case 'Edm.Single':
+      return { type: new arrow.Float32(), convert: toNumber };
+    case 'Edm.Double':
+      return { type: new arrow.Float64(), convert: toNumber };
+    case 'Edm.Decimal': {
+      // Without facets (e.g. types inferred from a sample) keep a double
+      if (!property.precision || property.precision > MAX_DECIMAL_PRECISION) {
+        return { type: new arrow.Float64(), convert: toNumber };
+      }
+      const scale = Math.min(property.scale ?? 0, property.precision);
+      return {
+        type: new arrow.Decimal(scale, property.precision, 128),
+        convert: (value) => (Number.isFinite(Number(value)) ? toDecimalWords(value, scale) : null),
+      };
+    }
+    case 'Edm.DateTimeOffset':
+      return { type: new arrow.TimestampMillisecond('UTC'), convert: toEpochMs };
+    case 'Edm.Date':
+      return { type: new arrow.DateDay(), convert: toEpochMs };
+    default:
+      return {
+        type: new arrow.Utf8(),
+        convert: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+      };
+  }
+}
+
+/**
+ * Build an Arrow table from records
+ *
+ * Columns come from the records in first-seen order; fields without
+ * metadata are typed from their first non-null value.
+ *
+ * @param {object} arrow - apache-arrow module
+ * @param {object[]} records - Data records
+ * @param {object[]} properties - Entity properties
+ * @returns {object} Arrow table
+ */
+export function buildArrowTable(arrow, records, properties = []) {
+  const propertyByName = new Map(properties.map(p => [p.name, p]));
+  const vectors = {};
+
+  for (const name of collectColumns(records)) {
+    let property = propertyByName.get(name);
+    if (!property) {
+      const sample = records.find(record => record[name] !== null && record[name] !== undefined);
+      property = sample ? fieldsFromSample({ [name]: sample[name] })[0] : null;
+    }
+
+    const { type, convert } = columnMapping(arrow, property);
+    const values = records.map(record => {
+      const value = record[name];
+      return value === null || value === undefined ? null : convert(value);
+    });
+    vectors[name] = arrow.vectorFromArray(values, type);
+  }
+
+  return new arrow.Table(vectors);
+}
+
+/**
+ * Convert records to a Parquet file
+ *
+ * @param {object[]} records - Data records
+ * @param {object[]} properties - Entity properties for column types
+ * @param {object} options
+ * @param {string} options.compression - 'snappy' or 'zstd'
+ * @param {number} options.rowGroupSize - Rows per row group
+ * @param {object} options.metadata - Key/value file metadata
+ * @returns {Promise<Uint8Array>} Parquet bytes
+ */
+export async function recordsToParquet(records, properties = [], options = {}) {
+  const { compression, rowGroupSize, metadata = {} } = { ...DEFAULT_PARQUET_OPTIONS, ...options };
+  const { arrow, parquet } = await loadParquetModules();
+
+  const table = buildArrowTable(arrow, records || [], properties);
+  const wasmTable = parquet.Table.fromIPCStream(arrow.tableToIPC(table, 'stream'));
+
+  const writerProperties = new parquet.WriterPropertiesBuilder()
+    .setCompression(compression === 'zstd' ? parquet.Compression.ZSTD : parquet.Compression.SNAPPY)
+    .setMaxRowGroupSize(rowGroupSize)
+    .setCreatedBy('D365 Data Exporter')
+    .setKeyValueMetadata(new Map(
+      Object.entries(metadata).map(([key, value]) => [key, String(value)])
+    ))
+    .build();
+
+  return parquet.writeParquet(wasmTable, writerProperties);
+}
+
+/**
+ * Convert an Arrow cell back to a plain value
+ *
+ * @param {*} value - Cell from a row
+ * @param {object} type - Arrow field type
+ * @param {object} arrow - apache-arrow module
+ * @returns {*} String, number, boolean or null
+ */
+function fromArrowValue(value, type, arrow) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return value.toString();
+
+  if (arrow.DataType.isDecimal(type)) {
+    // Four little-endian 32-bit words, two's complement
+    let unscaled = 0n;
+    for (let i = value.length - 1; i >= 0; i--) {
+      unscaled = (unscaled << 32n) | BigInt(value[i] >>> 0);
+    }
+    if (value[value.length - 1] & 0x80000000) unscaled -= 1n << BigInt(32 * value.length);
+
+    const negative = unscaled < 0n;
+    const digits = (negative ? -unscaled : unscaled).toString().padStart(type.scale + 1, '0');
+    const text = type.scale > 0
+      ? `${digits.slice(0, -type.scale)}.${digits.slice(-type.scale)}`
+      : digits;
+    return negative ? `-${text}` : text;
+  }
+  if (arrow.DataType.isTimestamp(type)) return new Date(Number(value)).toISOString();
+  if (arrow.DataType.isDate(type)) return new Date(Number(value)).toISOString().substring(0, 10);
+
+  return value;
+}
+
+/**
+ * Read a Parquet file back into rows (for previews)
+ *
+ * @param {Uint8Array} bytes - Parquet file
+ * @returns {Promise<{ columns: string[], rows: object[] }>} Rows
+ */
+export async function readParquetRows(bytes) {
+  const { arrow, parquet } = await loadParquetModules();
+  const table = arrow.tableFromIPC(parquet.readParquet(bytes).intoIPCStream());
+  const fields = table.schema.fields;
+
+  const rows = [];
+  for (const row of table) {
+    const record = {};
+    for (const field of fields) {
+      record[field.name] = fromArrowValue(row[field.name], field.type, arrow);
+    }
+    rows.push(record);
+  }
+
+  return { columns: fields.map(field => field.name), rows };
+}
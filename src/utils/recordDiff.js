@@ -0,0 +1,402 @@
+/**
+ * Record-Level Export Diff
+ *
+ * Compares a new export with the previous committed export of the same
+ * entity: rows are matched by entity key and reported as added, removed
+ * or modified with the fields that changed. Both sides are read back from
+ * the written files, so they go through the same formatting.
+ */
+
+import { listDirectory, getFileContent, getBlob, createOrUpdateFile } from './githubApi';
+import { parseExportFilename } from './exportHistory';
+import { readExportRows, formatCell, PREVIEW_FORMATS } from './filePreview';
+import { escapeTableCell } from './exportRunner';
+
+// Report saved next to each export: diff.md, diff.json or none
+export const DIFF_REPORT_FORMATS = [
+  { id: 'off', label: 'Off' },
+  { id: 'markdown', label: 'Markdown report' },
+  { id: 'json', label: 'JSON report' },
+];
+
+// Both sides are held in memory; meant for reference data, not ledgers
+export const DIFF_MAX_ROWS = 200000;
+
+// Rows listed per section; counts always cover everything
+const MARKDOWN_DETAIL_LIMIT = 100;
+const JSON_DETAIL_LIMIT = 5000;
+
+// Annotations such as @odata.etag change on every read
+const IGNORED_FIELD = /@/;
+
+/**
+ * Bytes of a file from the Contents API, falling back to the Git Data API
+ * for files over 1 MB (returned without content)
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} file - { path, sha }
+ * @returns {Promise<Uint8Array>} File content
+ */
+async function downloadRepoFile(github, file) {
+  const info = await getFileContent(github.owner, github.repo, file.path, github.token, github.branch);
+  if (!info) throw new Error(`${file.path} was not found`);
+  if (!info.content) return getBlob(github.owner, github.repo, info.sha, github.token);
+
+  const binary = atob(info.content.replace(/\n/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Read the part files of one export into a single row set
+ *
+ * @param {object[]} files - [{ format, part, content: Uint8Array|string }]
+ * @returns {Promise<{ columns: string[], rows: object[] }>} Rows of all parts
+ */
+async function readParts(files) {
+  const columns = new Set();
+  const rows = [];
+  const encoder = new TextEncoder();
+
+  for (const file of files.slice().sort((a, b) => (a.part || 0) - (b.part || 0))) {
+    const bytes = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const table = await readExportRows(bytes, file.format);
+    table.columns.forEach(column => columns.add(column));
+    rows.push(...table.rows);
+    if (rows.length > DIFF_MAX_ROWS) {
+      throw new Error(`more than ${DIFF_MAX_ROWS.toLocaleString()} rows - too large to compare`);
+    }
+  }
+
+  return { columns: Array.from(columns), rows };
+}
+
+/**
+ * Find and read the latest earlier export of an entity in a folder
+ *
+ * Only exports in the same format are considered, so both sides are
+ * formatted alike. Header/line level files are not compared.
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} options
+ * @param {string} options.folder - Folder of the new export
+ * @param {string} options.entityName - Entity name
+ * @param {string} options.format - File format
+ * @param {string} options.before - ISO timestamp of the new export
+ * @returns {Promise<{ timestamp: string, files: string[], columns: string[], rows: object[] }|null>}
+ *   Previous export, or null if there is none
+ */
+export async function loadPreviousExport(github, { folder, entityName, format, before }) {
+  const entries = await listDirectory(github.owner, github.repo, folder, github.token, github.branch);
+
+  const candidates = entries
+    .filter(entry => entry.type === 'file')
+    .map(entry => ({ ...entry, ...parseExportFilename(entry.name) }))
+    .filter(file => file.entity === entityName && file.format === format
+      && !file.isSidecar && !file.isReport && !file.level && file.timestamp < before);
+  if (candidates.length === 0) return null;
+
+  const timestamp = candidates.reduce((latest, file) => (file.timestamp > latest ? file.timestamp : latest), '');
+  const files = candidates.filter(file => file.timestamp === timestamp);
+
+  const parts = [];
+  for (const file of files) {
+    parts.push({ format, part: file.part, content: await downloadRepoFile(github, file) });
+  }
+
+  return { timestamp, files: files.map(file => file.path), ...(await readParts(parts)) };
+}
+
+/**
+ * Match key of a row
+ *
+ * @param {object} row - Row
+ * @param {string[]} fields - Key fields, or every compared field
+ * @returns {string} Key
+ */
+function rowKey(row, fields) {
+  return JSON.stringify(fields.map(field => formatCell(row[field])));
+}
+
+/**
+ * Compare two row sets by key
+ *
+ * Values of the columns both sides share are compared as displayed text,
+ * so 5 and "5" are equal. Without usable key fields (unknown, or missing
+ * on one side) whole rows are matched: changes then show up as a removal
+ * plus an addition.
+ *
+ * @param {{ columns: string[], rows: object[] }} previous - Previous export
+ * @param {{ columns: string[], rows: object[] }} current - New export
+ * @param {string[]} keys - Entity key fields
+ * @returns {object} { keys, previousCount, currentCount, added, removed, modified,
+ *   unchangedCount, columnsAdded, columnsRemoved }
+ */
+export function diffRecords(previous, current, keys = []) {
+  // Added or dropped columns are reported once rather than on every row
+  const compared = current.columns
+    .filter(column => previous.columns.includes(column) && !IGNORED_FIELD.test(column));
+  const usableKeys = keys.length > 0 && keys.every(key => previous.columns.includes(key) && current.columns.includes(key))
+    ? keys
+    : [];
+  const matchFields = usableKeys.length > 0 ? usableKeys : compared;
+
+  // Lists per key, so duplicate keys (or identical rows) pair up in order
+  const previousByKey = new Map();
+  for (const row of previous.rows) {
+    const key = rowKey(row, matchFields);
+    if (!previousByKey.has(key)) previousByKey.set(key, []);
+    previousByKey.get(key).push(row);
+  }
+
+  const added = [];
+  const modified = [];
+  let unchangedCount = 0;
+
+  for (const row of current.rows) {
+    const key = rowKey(row, matchFields);
+    const before = previousByKey.get(key)?.shift();
+    if (!before) {
+      added.push(row);
+      continue;
+    }
+
+    const changes = compared
+      .filter(field => formatCell(before[field]) !== formatCell(row[field]))
+      .map(field => ({ field, before: before[field] ?? null, after: row[field] ?? null }));
+    if (changes.length > 0) {
+      modified.push({ key: Object.fromEntries(usableKeys.map(field => [field, row[field]])), changes });
+    } else {
+      unchangedCount++;
+    }
+  }
+
+  const removed = Array.from(previousByKey.values()).flat();
+
+  return {
+    keys: usableKeys,
+    previousCount: previous.rows.length,
+    currentCount: current.rows.length,
+    added,
+    removed,
+    modified,
+    unchangedCount,
+    columnsAdded: current.columns.filter(column => !previous.columns.includes(column)),
+    columnsRemoved: previous.columns.filter(column => !current.columns.includes(column)),
+  };
+}
+
+/**
+ * Compare a new export with the previous one in its folder
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} options
+ * @param {string} options.entityName - Entity name
+ * @param {string} options.folder - Folder of the new export
+ * @param {object[]} options.files - New files with content (level files are skipped)
+ * @param {string[]} options.keys - Entity key fields
+ * @returns {Promise<object>} Comparison { entityName, folder, format, timestamp, files,
+ *   previous: { timestamp, files }|null, diff|null, note|null }
+ */
+export async function compareWithPrevious(github, { entityName, folder, files, keys }) {
+  const dataFiles = files.filter(file => !file.level);
+  const { format, timestamp } = parseExportFilename(dataFiles[0].filename);
+  const comparison = {
+    entityName,
+    folder,
+    format,
+    timestamp,
+    files: dataFiles.map(file => file.path),
+    previous: null,
+    diff: null,
+    note: null,
+  };
+
+  if (!PREVIEW_FORMATS.includes(format)) {
+    return { ...comparison, note: `${format} files cannot be compared` };
+  }
+
+  try {
+    const current = await readParts(dataFiles.map(file => ({ ...file, format })));
+    const previous = await loadPreviousExport(github, { folder, entityName, format, before: timestamp });
+    if (!previous) {
+      return { ...comparison, note: `No earlier ${format.toUpperCase()} export of ${entityName} to compare with` };
+    }
+
+    return {
+      ...comparison,
+      previous: { timestamp: previous.timestamp, files: previous.files },
+      diff: diffRecords(previous, current, keys),
+    };
+  } catch (error) {
+    return { ...comparison, note: `Not compared: ${error.message}` };
+  }
+}
+
+/**
+ * One-line summary of a diff
+ *
+ * @param {object} diff - From diffRecords
+ * @returns {string} e.g. "3 added, 1 removed, 2 modified"
+ */
+export function summarizeDiff(diff) {
+  if (diff.added.length + diff.removed.length + diff.modified.length === 0) return 'No changes';
+  return `${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} modified`;
+}
+
+/**
+ * Path of the report saved next to an export
+ *
+ * @param {object} comparison - From compareWithPrevious
+ * @param {string} reportFormat - 'markdown' or 'json'
+ * @returns {string} e.g. exports/MainAccounts_2024-01-01T00-00-00-000Z.diff.md
+ */
+export function getDiffReportPath(comparison, reportFormat) {
+  // First data file without its part number and extension
+  const base = comparison.files[0].replace(/(\.part-\d+)?\.[a-z]+$/, '');
+  return `${base}.diff.${reportFormat === 'json' ? 'json' : 'md'}`;
+}
+
+/**
+ * Cells of a row as a markdown table line
+ */
+function markdownRow(cells) {
+  return `| ${cells.map(cell => escapeTableCell(formatCell(cell)) || ' ').join(' | ')} |`;
+}
+
+/**
+ * Markdown table of rows, limited to the first MARKDOWN_DETAIL_LIMIT
+ */
+function markdownRowTable(rows, columns) {
+  const lines = [
+    markdownRow(columns),
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.slice(0, MARKDOWN_DETAIL_LIMIT).map(row => markdownRow(columns.map(column => row[column]))),
+  ];
+  if (rows.length > MARKDOWN_DETAIL_LIMIT) {
+    lines.push('', `…and ${rows.length - MARKDOWN_DETAIL_LIMIT} more`);
+  }
+  return lines;
+}
+
+/**
+ * Human-readable diff report
+ *
+ * @param {object} comparison - From compareWithPrevious (with a diff)
+ * @returns {string} Markdown
+ */
+export function formatDiffMarkdown(comparison) {
+  const { diff } = comparison;
+  // Without keys, rows are listed in full
+  const rowColumns = diff.keys.length > 0
+    ? diff.keys
+    : Array.from(new Set([...diff.added, ...diff.removed].flatMap(row => Object.keys(row))))
+      .filter(column => !IGNORED_FIELD.test(column));
+
+  const lines = [
+    `# ${comparison.entityName} changes`,
+    '',
+    `- **Export:** ${comparison.files.map(file => `\`${file}\``).join(', ')}`,
+    `- **Compared with:** ${comparison.previous.files.map(file => `\`${file}\``).join(', ')} (${comparison.previous.timestamp})`,
+    `- **Matched by:** ${diff.keys.length > 0 ? diff.keys.join(', ') : 'whole rows (no entity key)'}`,
+    '',
+    '| | Records |',
+    '| --- | ---: |',
+    `| Previous | ${diff.previousCount} |`,
+    `| Current | ${diff.currentCount} |`,
+    `| Added | ${diff.added.length} |`,
+    `| Removed | ${diff.removed.length} |`,
+    `| Modified | ${diff.modified.length} |`,
+    `| Unchanged | ${diff.unchangedCount} |`,
+  ];
+
+  if (diff.columnsAdded.length || diff.columnsRemoved.length) {
+    lines.push('');
+    if (diff.columnsAdded.length) lines.push(`Columns added: ${diff.columnsAdded.join(', ')}`);
+    if (diff.columnsRemoved.length) lines.push(`Columns removed: ${diff.columnsRemoved.join(', ')}`);
+  }
+
+  if (diff.added.length) {
+    lines.push('', `## Added (${diff.added.length})`, '', ...markdownRowTable(diff.added, rowColumns));
+  }
+  if (diff.removed.length) {
+    lines.push('', `## Removed (${diff.removed.length})`, '', ...markdownRowTable(diff.removed, rowColumns));
+  }
+  if (diff.modified.length) {
+    lines.push('', `## Modified (${diff.modified.length})`, '', '| Key | Field | Before | After |', '| --- | --- | --- | --- |');
+    for (const record of diff.modified.slice(0, MARKDOWN_DETAIL_LIMIT)) {
+      const key = Object.values(record.key).map(formatCell).join(' / ');
+      record.changes.forEach((change, i) => {
+        lines.push(markdownRow([i === 0 ? key : '', change.field, change.before, change.after]));
+      });
+    }
+    if (diff.modified.length > MARKDOWN_DETAIL_LIMIT) {
+      lines.push('', `…and ${diff.modified.length - MARKDOWN_DETAIL_LIMIT} more`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Machine-readable diff report
+ *
+ * @param {object} comparison - From compareWithPrevious (with a diff)
+ * @returns {string} JSON
+ */
+export function formatDiffJson(comparison) {
+  const { diff } = comparison;
+  const limit = (rows) => rows.slice(0, JSON_DETAIL_LIMIT);
+
+  return JSON.stringify({
+    entityName: comparison.entityName,
+    timestamp: comparison.timestamp,
+    files: comparison.files,
+    previous: comparison.previous,
+    keys: diff.keys,
+    counts: {
+      previous: diff.previousCount,
+      current: diff.currentCount,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchangedCount,
+    },
+    columnsAdded: diff.columnsAdded,
+    columnsRemoved: diff.columnsRemoved,
+    truncated: [diff.added, diff.removed, diff.modified].some(rows => rows.length > JSON_DETAIL_LIMIT),
+    added: limit(diff.added),
+    removed: limit(diff.removed),
+    modified: limit(diff.modified),
+  }, null, 2) + '\n';
+}
+
+/**
+ * Save the report of a comparison next to its export
+ *
+ * @param {object} github - { owner, repo, branch, token }
+ * @param {object} comparison - From compareWithPrevious (with a diff)
+ * @param {string} reportFormat - 'markdown' or 'json'
+ * @param {object|null} batch - Commit batch; the report joins the run's commit
+ * @returns {Promise<string>} Report path
+ */
+export async function saveDiffReport(github, comparison, reportFormat, batch = null) {
+  const path = getDiffReportPath(comparison, reportFormat);
+  const content = reportFormat === 'json' ? formatDiffJson(comparison) : formatDiffMarkdown(comparison);
+
+  if (batch) {
+    await batch.add({ path, content, entity: comparison.entityName });
+  } else {
+    await createOrUpdateFile(
+      github.owner,
+      github.repo,
+      path,
+      content,
+      `Export ${comparison.entityName} changes - ${summarizeDiff(comparison.diff)}`,
+      github.token,
+      github.branch
+    );
+  }
+  return path;
+}
@@ -0,0 +1,156 @@
+/**
+ * Record Normalization for Tabular Output
+ *
+ * Cleans OData records before they are written as CSV, Excel, Parquet or
+ * SQL: drops annotations such as @odata.etag, turns enum literals like
+ * Microsoft.Dynamics.DataEntities.NoYes'Yes' into Yes, flattens nested
+ * objects to dotted columns and splits financial dimension display values
+ * (100-200-300) into one column per dimension.
+ */
+
+export const ANNOTATION_MODES = {
+  strip: 'strip',
+  keep: 'keep',
+};
+
+// Segment separator D365 uses in dimension display values by default
+export const DEFAULT_DIMENSION_DELIMITER = '-';
+
+export const DEFAULT_NORMALIZE_OPTIONS = {
+  annotations: ANNOTATION_MODES.strip,
+  cleanEnums: true,
+  flattenObjects: true,
+  // Default dimension format (Financial dimension configuration for
+  // integrating applications); ledger dimensions add MainAccount in front
+  dimensions: [],
+  dimensionDelimiter: DEFAULT_DIMENSION_DELIMITER,
+};
+
+const ENUM_LITERAL = /^[A-Za-z_][\w.]*'((?:[^']|'')*)'$/;
+const DIMENSION_FIELD = /DimensionDisplayValue$/;
+
+/**
+ * Turn an enum literal into its member name
+ *
+ * @param {*} value - Field value
+ * @returns {*} Member name, or the value unchanged
+ */
+export function cleanEnumValue(value) {
+  if (typeof value !== 'string') return value;
+  const match = ENUM_LITERAL.exec(value);
+  return match ? match[1].replace(/''/g, "'") : value;
+}
+
+/**
+ * Split a dimension display value into segments
+ *
+ * D365 escapes a delimiter inside a dimension value with a backslash
+ * (100\-A-200 is "100-A" and "200").
+ *
+ * @param {string} value - Display value
+ * @param {string} delimiter - Segment delimiter
+ * @returns {string[]} Segments
+ */
+export function splitDimensionValue(value, delimiter = DEFAULT_DIMENSION_DELIMITER) {
+  if (value === '') return [];
+
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && i + 1 < value.length) {
+      current += value[++i];
+    } else if (char === delimiter) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a dimension format entered as a list
+ *
+ * @param {string} text - e.g. "BusinessUnit, CostCenter, Department"
+ * @returns {string[]} Dimension names
+ */
+export function parseDimensionNames(text) {
+  return String(text || '')
+    .split(/[\s,;]+/)
+    .map(name => name.replace(/[^a-zA-Z0-9_]/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Dimension names for a display value field
+ *
+ * @param {string} field - e.g. DefaultDimensionDisplayValue
+ * @param {string[]} dimensions - Default dimension format
+ * @returns {string[]} Segment names
+ */
+function dimensionSegments(field, dimensions) {
+  return /LedgerDimension/.test(field) ? ['MainAccount', ...dimensions] : dimensions;
+}
+
+/**
+ * Copy a record's fields into a flat row
+ *
+ * @param {object} row - Target row
+ * @param {object} source - Record or nested object
+ * @param {string} prefix - Dotted path of source
+ * @param {object} options - Normalize options
+ * @param {Map<string, boolean>} enumFields - Column → isEnum from $metadata
+ */
+function addFields(row, source, prefix, options, enumFields) {
+  for (const [key, value] of Object.entries(source)) {
+    if (options.annotations === ANNOTATION_MODES.strip && key.includes('@')) continue;
+
+    const column = prefix ? `${prefix}.${key}` : key;
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject && options.flattenObjects) {
+      addFields(row, value, column, options, enumFields);
+      continue;
+    }
+
+    // Text that merely looks like an enum literal is left alone when the
+    // metadata says the field is not an enum
+    const isEnum = enumFields.has(column) ? enumFields.get(column) : true;
+    row[column] = options.cleanEnums && isEnum ? cleanEnumValue(value) : value;
+
+    if (options.dimensions.length > 0 && typeof value === 'string' && DIMENSION_FIELD.test(key)) {
+      const segments = dimensionSegments(key, options.dimensions);
+      const parts = splitDimensionValue(value, options.dimensionDelimiter || DEFAULT_DIMENSION_DELIMITER);
+      segments.forEach((name, i) => {
+        row[`${column}.${name}`] = parts[i] ? parts[i] : null;
+      });
+    }
+  }
+}
+
+/**
+ * Normalize records for tabular output
+ *
+ * @param {object[]} records - Records (expanded rows already flattened)
+ * @param {object|null} options - DEFAULT_NORMALIZE_OPTIONS shape; null leaves
+ *   the records untouched
+ * @param {object[]} properties - Entity properties; enum cleanup is limited to
+ *   isEnum fields, and applies by shape only to fields without metadata
+ * @returns {object[]} Normalized rows
+ */
+export function normalizeRecords(records, options, properties = []) {
+  if (!options) return records;
+  const resolved = { ...DEFAULT_NORMALIZE_OPTIONS, ...options };
+  const enumFields = new Map(properties
+    .filter(property => typeof property.isEnum === 'boolean')
+    .map(property => [property.name, property.isEnum]));
+
+  return records.map(record => {
+    const row = {};
+    addFields(row, record, '', resolved, enumFields);
+    return row;
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * Snapshot Exports
+ *
+ * Deterministic output for diff-friendly git history: each entity is
+ * written to one stable path, rows sorted by entity key, columns in a
+ * fixed order and volatile annotations such as @odata.etag dropped. A
+ * snapshot whose git blob hash matches the committed file is not
+ * committed again.
+ */
+
+// Formats with byte-stable output (Excel workbooks carry creation dates)
+export const SNAPSHOT_FORMATS = ['csv', 'json', 'ndjson', 'parquet', 'sql'];
+
+/**
+ * Drop OData annotations (@odata.etag, ...@odata.type) at every level
+ *
+ * @param {*} value - Record, expanded rows or field value
+ * @returns {*} Value without annotations
+ */
+function stripAnnotations(value) {
+  if (Array.isArray(value)) return value.map(stripAnnotations);
+  if (value === null || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (!key.includes('@')) result[key] = stripAnnotations(field);
+  }
+  return result;
+}
+
+/**
+ * Fixed column order: key fields, then the entity's properties in
+ * metadata order, then any other fields alphabetically
+ *
+ * @param {object[]} records - Records without annotations
+ * @param {string[]} keys - Entity key fields
+ * @param {object[]} properties - Entity properties
+ * @returns {string[]} Columns
+ */
+export function orderSnapshotColumns(records, keys = [], properties = []) {
+  const present = new Set();
+  for (const record of records) {
+    for (const field of Object.keys(record)) present.add(field);
+  }
+
+  const ordered = [];
+  const add = (field) => {
+    if (present.has(field) && !ordered.includes(field)) ordered.push(field);
+  };
+  keys.forEach(add);
+  properties.forEach(property => add(property.name));
+  Array.from(present).sort().forEach(add);
+  return ordered;
+}
+
+/**
+ * Locale-independent ordering of two field values; nulls first, numbers
+ * numerically
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+
+  const left = typeof a === 'object' ? JSON.stringify(a) : String(a);
+  const right = typeof b === 'object' ? JSON.stringify(b) : String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Make records deterministic for a snapshot
+ *
+ * Without key fields rows are sorted by every column; rows with equal
+ * keys fall back to the remaining columns too.
+ *
+ * @param {object[]} records - Records from D365
+ * @param {object} options
+ * @param {string[]} options.keys - Entity key fields
+ * @param {object[]} options.properties - Entity properties
+ * @returns {object[]} Records in key order with fields in column order
+ */
+export function prepareSnapshotRecords(records, { keys = [], properties = [] } = {}) {
+  const stripped = records.map(stripAnnotations);
+  const columns = orderSnapshotColumns(stripped, keys, properties);
+  const sortFields = [...keys.filter(key => columns.includes(key)), ...columns.filter(column => !keys.includes(column))];
+
+  return stripped
+    .map(record => Object.fromEntries(columns.filter(column => column in record).map(column => [column, record[column]])))
+    .sort((a, b) => {
+      for (const field of sortFields) {
+        const order = compareValues(a[field], b[field]);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+}
+
+/**
+ * Git blob SHA-1 of file content, as listed by the Contents API
+ *
+ * @param {string|Uint8Array} content - File content
+ * @returns {Promise<string>} Hex SHA-1
+ */
+export async function gitBlobSha(content) {
+  const body = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const header = new TextEncoder().encode(`blob ${body.length}\0`);
+  const bytes = new Uint8Array(header.length + body.length);
+  bytes.set(header);
+  bytes.set(body, header.length);
+
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,242 @@
+/**
+ * SQL Script Writer
+ *
+ * CREATE TABLE statements from entity metadata and batched INSERTs for
+ * T-SQL, PostgreSQL and SQLite. Identifiers and string literals are quoted
+ * per dialect; values never reach the script unescaped.
+ */
+
+import { fieldsFromSample } from './odataMetadata';
+import { collectColumns } from './odataExpand';
+
+export const SQL_DIALECTS = [
+  { id: 'tsql', label: 'T-SQL (SQL Server)' },
+  { id: 'postgres', label: 'PostgreSQL' },
+  { id: 'sqlite', label: 'SQLite' },
+];
+
+export const SQL_BATCH_SIZES = [100, 500, 1000];
+export const DEFAULT_SQL_OPTIONS = {
+  dialect: 'tsql',
+  batchSize: 500, // rows per INSERT (T-SQL allows at most 1000)
+};
+
+const INTEGER_TYPES = {
+  'Edm.Byte': { tsql: 'TINYINT', postgres: 'SMALLINT', sqlite: 'INTEGER' },
+  'Edm.SByte': { tsql: 'SMALLINT', postgres: 'SMALLINT', sqlite: 'INTEGER' },
+  'Edm.Int16': { tsql: 'SMALLINT', postgres: 'SMALLINT', sqlite: 'INTEGER' },
+  'Edm.Int32': { tsql: 'INT', postgres: 'INTEGER', sqlite: 'INTEGER' },
+  'Edm.Int64': { tsql: 'BIGINT', postgres: 'BIGINT', sqlite: 'INTEGER' },
+};
+
+// SQL Server DECIMAL tops out at 38 digits
+const MAX_TSQL_PRECISION = 38;
+
+/**
+ * Quote an identifier
+ *
+ * @param {string} name - Table or column name
+ * @param {string} dialect - SQL_DIALECTS id
+ * @returns {string} Quoted identifier
+ */
+export function quoteIdentifier(name, dialect) {
+  return dialect === 'tsql'
+    ? `[${String(name).replace(/]/g, ']]')}]`
+    : `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a string literal
+ *
+ * Single quotes are doubled; NUL characters (rejected by PostgreSQL) are
+ * dropped. T-SQL literals are N'' so Unicode survives.
+ *
+ * @param {string} value - String value
+ * @param {string} dialect - SQL_DIALECTS id
+ * @returns {string} Literal
+ */
+export function quoteLiteral(value, dialect) {
+  const escaped = String(value).replace(/\0/g, '').replace(/'/g, "''");
+  return dialect === 'tsql' ? `N'${escaped}'` : `'${escaped}'`;
+}
+
+/**
+ * Column type for a property
+ *
+ * @param {object} property - Entity property
+ * @param {string} dialect - SQL_DIALECTS id
+ * @returns {string} SQL type
+ */
+export function columnType(property, dialect) {
+  const type = property?.type;
+
+  if (INTEGER_TYPES[type]) return INTEGER_TYPES[type][dialect];
+
+  switch (type) {
+    case 'Edm.Boolean':
+      return { tsql: 'BIT', postgres: 'BOOLEAN', sqlite: 'INTEGER' }[dialect];
+    case 'Edm.Decimal': {
+      if (dialect === 'sqlite') return 'NUMERIC';
+      const name = dialect === 'tsql' ? 'DECIMAL' : 'NUMERIC';
+      if (!property.precision) return dialect === 'tsql' ? 'DECIMAL(38, 10)' : 'NUMERIC';
+      const precision = dialect === 'tsql' ? Math.min(property.precision, MAX_TSQL_PRECISION) : property.precision;
+      const scale = Math.min(property.scale ?? 0, precision);
+      return `${name}(${precision}, ${scale})`;
+    }
+    case 'Edm.Double':
+      return { tsql: 'FLOAT', postgres: 'DOUBLE PRECISION', sqlite: 'REAL' }[dialect];
+    case 'Edm.Single':
+      return 'REAL';
+    case 'Edm.DateTimeOffset':
+      return { tsql: 'DATETIMEOFFSET', postgres: 'TIMESTAMPTZ', sqlite: 'TEXT' }[dialect];
+    case 'Edm.Date':
+      return dialect === 'sqlite' ? 'TEXT' : 'DATE';
+    case 'Edm.Guid':
+      return { tsql: 'UNIQUEIDENTIFIER', postgres: 'UUID', sqlite: 'TEXT' }[dialect];
+    default: {
+      if (dialect === 'sqlite') return 'TEXT';
+      // Enums are exported as their symbol names
+      const length = property?.isEnum ? 255 : property?.maxLength;
+      if (dialect === 'tsql') return length && length <= 4000 ? `NVARCHAR(${length})` : 'NVARCHAR(MAX)';
+      return length ? `VARCHAR(${length})` : 'TEXT';
+    }
+  }
+}
+
+/**
+ * SQL literal for a value
+ *
+ * @param {*} value - Record value
+ * @param {object} property - Entity property
+ * @param {string} dialect - SQL_DIALECTS id
+ * @returns {string} Literal
+ */
+export function formatValue(value, property, dialect) {
+  if (value === null || value === undefined) return 'NULL';
+
+  if (typeof value === 'boolean') {
+    return dialect === 'postgres' ? (value ? 'TRUE' : 'FALSE') : (value ? '1' : '0');
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+
+  // Int64 and decimals may arrive as strings; only pass through real numbers
+  const isNumeric = INTEGER_TYPES[property?.type] || ['Edm.Decimal', 'Edm.Double', 'Edm.Single'].includes(property?.type);
+  if (isNumeric && typeof value === 'string' && /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value)) {
+    return value;
+  }
+
+  if (typeof value === 'object') return quoteLiteral(JSON.stringify(value), dialect);
+  return quoteLiteral(value, dialect);
+}
+
+/**
+ * Columns for a SQL table
+ *
+ * Metadata order first, then any extra fields seen in the records (typed
+ * from their first value). OData annotations are left out.
+ *
+ * @param {object[]} records - Records (flattened)
+ * @param {object[]} properties - Entity properties
+ * @returns {object[]} Properties for the table columns
+ */
+export function resolveSqlColumns(records, properties = []) {
+  const seen = new Set(collectColumns(records).filter(name => !name.includes('@')));
+  const known = properties.filter(p => seen.has(p.name) || p.isKey);
+  const knownNames = new Set(known.map(p => p.name));
+
+  const extra = Array.from(seen)
+    .filter(name => !knownNames.has(name))
+    .map(name => {
+      const sample = records.find(record => record[name] !== null && record[name] !== undefined);
+      return sample ? fieldsFromSample({ [name]: sample[name] })[0] : { name, type: 'Edm.String', nullable: true };
+    });
+
+  return [...known, ...extra];
+}
+
+/**
+ * CREATE TABLE statement
+ *
+ * @param {string} tableName - Table name
+ * @param {object[]} columns - From resolveSqlColumns
+ * @param {string} dialect - SQL_DIALECTS id
+ * @param {object} options
+ * @param {boolean} options.primaryKey - Add a PRIMARY KEY on the key columns
+ * @returns {string} DDL
+ */
+export function createTableStatement(tableName, columns, dialect, { primaryKey = true } = {}) {
+  const table = quoteIdentifier(tableName, dialect);
+  const keys = primaryKey ? columns.filter(c => c.isKey) : [];
+
+  const lines = columns.map(c => {
+    const notNull = c.isKey || c.nullable === false ? ' NOT NULL' : '';
+    return `  ${quoteIdentifier(c.name, dialect)} ${columnType(c, dialect)}${notNull}`;
+  });
+
+  if (keys.length > 0) {
+    const constraint = quoteIdentifier(`PK_${tableName}`, dialect);
+    lines.push(`  CONSTRAINT ${constraint} PRIMARY KEY (${keys.map(c => quoteIdentifier(c.name, dialect)).join(', ')})`);
+  }
+
+  const body = `(\n${lines.join(',\n')}\n);`;
+  return dialect === 'tsql'
+    ? `IF OBJECT_ID(${quoteLiteral(table, dialect)}, N'U') IS NULL\nCREATE TABLE ${table} ${body}`
+    : `CREATE TABLE IF NOT EXISTS ${table} ${body}`;
+}
+
+/**
+ * Batched INSERT statements
+ *
+ * @param {string} tableName - Table name
+ * @param {object[]} columns - From resolveSqlColumns
+ * @param {object[]} records - Records (flattened)
+ * @param {string} dialect - SQL_DIALECTS id
+ * @param {number} batchSize - Rows per statement
+ * @returns {string[]} Statements
+ */
+export function insertStatements(tableName, columns, records, dialect, batchSize = DEFAULT_SQL_OPTIONS.batchSize) {
+  const prefix = `INSERT INTO ${quoteIdentifier(tableName, dialect)} (${columns.map(c => quoteIdentifier(c.name, dialect)).join(', ')}) VALUES`;
+  const size = Math.max(1, Math.min(batchSize, 1000));
+  const statements = [];
+
+  for (let start = 0; start < records.length; start += size) {
+    const rows = records.slice(start, start + size).map(record =>
+      `  (${columns.map(c => formatValue(record[c.name], c, dialect)).join(', ')})`
+    );
+    statements.push(`${prefix}\n${rows.join(',\n')};`);
+  }
+
+  return statements;
+}
+
+/**
+ * Build a SQL script for a set of records
+ *
+ * @param {object[]} records - Records (flattened)
+ * @param {object} options
+ * @param {string} options.tableName - Table name (entity name)
+ * @param {object[]} options.columns - From resolveSqlColumns
+ * @param {string} options.dialect - SQL_DIALECTS id
+ * @param {number} options.batchSize - Rows per INSERT
+ * @param {boolean} options.includeDdl - Start with CREATE TABLE
+ * @param {boolean} options.primaryKey - Key the table on the entity keys
+ *   (off for flattened $expand rows, which repeat the parent's keys)
+ * @param {string} options.comment - Header comment
+ * @returns {string} Script
+ */
+export function recordsToSql(records, { tableName, columns, dialect, batchSize, includeDdl = true, primaryKey = true, comment = '' }) {
+  const parts = [];
+  if (comment) parts.push(`-- ${comment.replace(/[\r\n]+/g, ' ')}`);
+  if (includeDdl) parts.push(createTableStatement(tableName, columns, dialect, { primaryKey }));
+
+  if (records.length > 0) {
+    parts.push(dialect === 'tsql' ? 'BEGIN TRANSACTION;' : 'BEGIN;');
+    parts.push(...insertStatements(tableName, columns, records, dialect, batchSize));
+    parts.push('COMMIT;');
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
@@ -0,0 +1,184 @@
+/**
+ * SQLite Database Bundle
+ *
+ * Collects every exported entity into one in-memory SQLite database (sql.js)
+ * with a table per entity, columns typed from metadata and an index on the
+ * entity keys. sql.js and its WebAssembly module are loaded on first use.
+ */
+
+import {
+  quoteIdentifier,
+  columnType,
+  createTableStatement,
+  resolveSqlColumns,
+} from './sqlWriter';
+
+// D365 stores "no date" as 1900-01-01
+const D365_EMPTY_DATE = /^1900-01-01(T00:00:00(\.0+)?Z)?$/;
+
+let sqlPromise = null;
+
+/**
+ * Load sql.js once
+ *
+ * @returns {Promise<object>} sql.js module (Database constructor)
+ */
+function loadSqlJs() {
+  if (!sqlPromise) {
+    sqlPromise = (async () => {
+      const [{ default: initSqlJs }, { default: wasmUrl }] = await Promise.all([
+        import('sql.js'),
+        import('sql.js/dist/sql-wasm-browser.wasm?url'),
+      ]);
+      return initSqlJs({ locateFile: () => wasmUrl });
+    })().catch(error => {
+      sqlPromise = null;
+      throw error;
+    });
+  }
+  return sqlPromise;
+}
+
+/**
+ * Create an empty bundle
+ *
+ * @returns {Promise<{ db: object, tables: object[] }>} Bundle
+ */
+export async function createSqliteBundle() {
+  const SQL = await loadSqlJs();
+  return { db: new SQL.Database(), tables: [] };
+}
+
+/**
+ * Serialize a bundle to a .sqlite file and release its memory
+ *
+ * @param {object} bundle - From createSqliteBundle
+ * @returns {Uint8Array} Database bytes
+ */
+export function bundleToBytes(bundle) {
+  const bytes = bundle.db.export();
+  bundle.db.close();
+  return bytes;
+}
+
+/**
+ * Convert an OData value to a bindable SQLite value
+ *
+ * @param {*} value - Value from the record
+ * @param {object} property - Column property
+ * @returns {number|string|null} Value
+ */
+function toSqliteValue(value, property) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  const type = property?.type;
+  if ((type === 'Edm.DateTimeOffset' || type === 'Edm.Date') && D365_EMPTY_DATE.test(value)) {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * Create a writer that appends records to a new table
+ *
+ * The table is created from the first batch; fields that show up later
+ * are added with ALTER TABLE. OData annotations are left out.
+ *
+ * @param {object} bundle - From createSqliteBundle
+ * @param {string} tableName - Table name (entity name)
+ * @param {object[]} properties - Entity properties (may be empty)
+ * @returns {{ write: function, finish: function, discard: function }} Writer
+ */
+export function createTableWriter(bundle, tableName, properties = []) {
+  const { db } = bundle;
+  const summary = { name: tableName, recordCount: 0 };
+  const quotedTable = quoteIdentifier(tableName, 'sqlite');
+  let columns = null;
+  let columnSet = null;
+  let insert = null;
+
+  const prepareInsert = () => {
+    insert?.free();
+    const names = columns.map(c => quoteIdentifier(c.name, 'sqlite')).join(', ');
+    insert = db.prepare(`INSERT INTO ${quotedTable} (${names}) VALUES (${columns.map(() => '?').join(', ')})`);
+  };
+
+  const createTable = (records) => {
+    columns = resolveSqlColumns(records, properties);
+    columnSet = new Set(columns.map(c => c.name));
+    db.run(createTableStatement(tableName, columns, 'sqlite', { primaryKey: false }));
+
+    const keys = columns.filter(c => c.isKey);
+    if (keys.length > 0) {
+      const index = quoteIdentifier(`IX_${tableName}_keys`, 'sqlite');
+      db.run(`CREATE INDEX ${index} ON ${quotedTable} (${keys.map(c => quoteIdentifier(c.name, 'sqlite')).join(', ')})`);
+    }
+
+    bundle.tables.push(summary);
+    prepareInsert();
+  };
+
+  const addLateColumns = (records) => {
+    const added = resolveSqlColumns(records, properties).filter(c => !columnSet.has(c.name));
+    for (const column of added) {
+      db.run(`ALTER TABLE ${quotedTable} ADD COLUMN ${quoteIdentifier(column.name, 'sqlite')} ${columnType(column, 'sqlite')}`);
+      columns.push(column);
+      columnSet.add(column.name);
+    }
+    if (added.length > 0) prepareInsert();
+  };
+
+  return {
+    write(records) {
+      if (records.length === 0) return;
+      if (!columns) createTable(records);
+      else addLateColumns(records);
+
+      db.run('BEGIN');
+      try {
+        for (const record of records) {
+          insert.run(columns.map(c => toSqliteValue(record[c.name], c)));
+        }
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+      }
+      summary.recordCount += records.length;
+    },
+
+    finish() {
+      insert?.free();
+      insert = null;
+      return summary;
+    },
+
+    // Drop a partly written table after a failed export
+    discard() {
+      insert?.free();
+      insert = null;
+      if (columns) {
+        db.run(`DROP TABLE IF EXISTS ${quotedTable}`);
+        bundle.tables.splice(bundle.tables.indexOf(summary), 1);
+      }
+    },
+  };
+}
+
+/**
+ * Offer a database file as a browser download
+ *
+ * @param {Uint8Array} bytes - From bundleToBytes
+ * @param {string} filename - Download name
+ */
+export function downloadDatabase(bytes, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/vnd.sqlite3' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,87 @@
+/**
+ * D365 Access Token Provider
+ *
+ * Keeps the MSAL PublicClientApplication for the session and hands out
+ * access tokens, renewing them with acquireTokenSilent shortly before they
+ * expire or after D365 rejects one with 401. Long exports therefore outlive
+ * the lifetime of the token obtained at connect time.
+ *
+ * SECURITY:
+ * - Tokens stay in memory / MSAL session storage only
+ * - No interactive prompts during an export (silent renewal only)
+ */
+
+// Renew when fewer than this many milliseconds of validity remain
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Create a token provider around an MSAL instance
+ *
+ * @param {PublicClientApplication} msalInstance - Initialized MSAL instance
+ * @param {object} loginRequest - { scopes } for the D365 resource
+ * @param {object} tokenResponse - AuthenticationResult from the initial sign-in
+ * @returns {{ getToken: function, account: object }} Provider
+ */
+export function createTokenProvider(msalInstance, loginRequest, tokenResponse) {
+  const account = tokenResponse.account;
+  let accessToken = tokenResponse.accessToken;
+  let expiresOn = tokenResponse.expiresOn ? new Date(tokenResponse.expiresOn).getTime() : 0;
+  let pendingRefresh = null;
+
+  const refresh = async (forceRefresh) => {
+    try {
+      const response = await msalInstance.acquireTokenSilent({
+        ...loginRequest,
+        account,
+        forceRefresh,
+      });
+      accessToken = response.accessToken;
+      expiresOn = response.expiresOn ? new Date(response.expiresOn).getTime() : 0;
+      return accessToken;
+    } catch (error) {
+      console.error('Silent token renewal failed:', error.errorCode || error.message);
+      throw new Error('D365 session expired and could not be renewed. Please reconnect to D365.');
+    }
+  };
+
+  return {
+    account,
+
+    /**
+     * Get a valid access token
+     *
+     * @param {object} options - { forceRefresh: true } after a 401
+     * @returns {Promise<string>} Access token
+     */
+    async getToken({ forceRefresh = false } = {}) {
+      const nearExpiry = expiresOn - Date.now() < REFRESH_MARGIN_MS;
+      if (!forceRefresh && !nearExpiry && accessToken) {
+        return accessToken;
+      }
+
+      // Concurrent callers share one renewal
+      if (!pendingRefresh) {
+        pendingRefresh = refresh(forceRefresh).finally(() => {
+          pendingRefresh = null;
+        });
+      }
+      return pendingRefresh;
+    },
+  };
+}
+
+/**
+ * Resolve a token source (raw token string or provider) to a token
+ *
+ * @param {string|object} tokenSource - Access token or token provider
+ * @param {boolean} forceRefresh - Ask the provider for a new token
+ * @returns {Promise<string>} Access token
+ */
+export async function resolveAccessToken(tokenSource, forceRefresh = false) {
+  if (!tokenSource) {
+    throw new Error('Not connected to D365');
+  }
+  return typeof tokenSource === 'string'
+    ? tokenSource
+    : tokenSource.getToken({ forceRefresh });
+}
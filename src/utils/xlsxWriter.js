@@ -0,0 +1,257 @@
+/**
+ * Excel (xlsx) Writer
+ *
+ * Builds workbooks with ExcelJS. Cells are typed from the entity's Edm
+ * types (numbers, dates, booleans), the header row is frozen and has an
+ * auto-filter. ExcelJS is loaded on first use to keep it out of the main
+ * bundle.
+ */
+
+import { fieldsFromSample } from './odataMetadata';
+
+const INTEGER_TYPES = ['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64'];
+const DECIMAL_TYPES = ['Edm.Decimal', 'Edm.Double', 'Edm.Single'];
+
+// D365 stores "no date" as 1900-01-01
+const D365_EMPTY_DATE = /^1900-01-01(T00:00:00(\.0+)?Z)?$/;
+
+// Excel limits
+const MAX_SHEET_NAME = 31;
+const MAX_COLUMN_WIDTH = 50;
+export const MAX_SHEET_ROWS = 1048576;
+
+/**
+ * Create an empty workbook
+ *
+ * @returns {Promise<object>} ExcelJS workbook
+ */
+export async function createWorkbook() {
+  const { default: ExcelJS } = await import('exceljs');
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'D365 Data Exporter';
+  workbook.created = new Date();
+  return workbook;
+}
+
+/**
+ * Serialize a workbook
+ *
+ * @param {object} workbook - ExcelJS workbook
+ * @returns {Promise<Uint8Array>} xlsx bytes
+ */
+export async function workbookToBytes(workbook) {
+  return new Uint8Array(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Make a valid, unique worksheet name
+ *
+ * @param {string} name - Desired name
+ * @param {object} workbook - Workbook the sheet is added to
+ * @returns {string} Sheet name (max 31 characters, no []:*?/\)
+ */
+function toSheetName(name, workbook) {
+  const base = name.replace(/[[\]:*?/\\]/g, '_').substring(0, MAX_SHEET_NAME) || 'Sheet';
+  const taken = new Set(workbook.worksheets.map(sheet => sheet.name.toLowerCase()));
+
+  let candidate = base;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.substring(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  return candidate;
+}
+
+/**
+ * Excel number format for a property
+ *
+ * @param {object} property - Entity property
+ * @returns {string|null} numFmt or null for General
+ */
+function numberFormat(property) {
+  if (!property) return null;
+  if (property.type === 'Edm.DateTimeOffset') return 'yyyy-mm-dd hh:mm:ss';
+  if (property.type === 'Edm.Date') return 'yyyy-mm-dd';
+  if (INTEGER_TYPES.includes(property.type)) return '0';
+  if (DECIMAL_TYPES.includes(property.type) && property.scale > 0) {
+    return `#,##0.${'0'.repeat(Math.min(property.scale, 10))}`;
+  }
+  return null;
+}
+
+/**
+ * Convert an OData value to a typed cell value
+ *
+ * @param {*} value - Value from the record
+ * @param {object} property - Entity property
+ * @returns {*} Cell value (Date, number, boolean, string or null)
+ */
+function toCellValue(value, property) {
+  if (value === null || value === undefined) return null;
+
+  const type = property?.type;
+  if ((type === 'Edm.DateTimeOffset' || type === 'Edm.Date') && typeof value === 'string') {
+    if (D365_EMPTY_DATE.test(value)) return null;
+    const date = new Date(type === 'Edm.Date' && value.length === 10 ? `${value}T00:00:00Z` : value);
+    return isNaN(date.getTime()) ? value : date;
+  }
+
+  if ((INTEGER_TYPES.includes(type) || DECIMAL_TYPES.includes(type)) && typeof value === 'string') {
+    const number = Number(value);
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+  }
+
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Create a writer that appends records to a new worksheet
+ *
+ * Columns come from the records in first-seen order; fields without
+ * metadata are typed from their first value. Rows beyond Excel's sheet
+ * limit continue on another sheet ("Name (2)", ...) with the same header.
+ *
+ * @param {object} workbook - ExcelJS workbook
+ * @param {string} sheetName - Desired sheet name
+ * @param {object[]} properties - Entity properties (may be empty)
+ * @returns {{ write: function, finish: function, discard: function }} Writer
+ */
+export function createSheetWriter(workbook, sheetName, properties = []) {
+  const propertyByName = new Map(properties.map(p => [p.name, p]));
+  const columns = [];
+  const columnSet = new Set();
+  const columnTypes = [];
+  const sheets = [];
+  let sheet = null;
+
+  const addHeaderCell = (index) => {
+    const name = columns[index - 1];
+    const cell = sheet.getRow(1).getCell(index);
+    cell.value = name;
+    cell.font = { bold: true };
+
+    const column = sheet.getColumn(index);
+    column.width = Math.min(MAX_COLUMN_WIDTH, Math.max(10, name.length + 2));
+    const numFmt = numberFormat(columnTypes[index - 1]);
+    if (numFmt) column.numFmt = numFmt;
+  };
+
+  const addSheet = () => {
+    sheet = workbook.addWorksheet(toSheetName(sheetName, workbook), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    sheets.push(sheet);
+    columns.forEach((_, i) => addHeaderCell(i + 1));
+  };
+
+  const addColumn = (name, sampleValue) => {
+    const property = propertyByName.get(name) || fieldsFromSample({ [name]: sampleValue })[0] || null;
+    columns.push(name);
+    columnSet.add(name);
+    columnTypes.push(property);
+    addHeaderCell(columns.length);
+  };
+
+  addSheet();
+
+  return {
+    write(records) {
+      for (const record of records) {
+        if (sheet.rowCount >= MAX_SHEET_ROWS) addSheet();
+        for (const key of Object.keys(record)) {
+          if (!columnSet.has(key)) addColumn(key, record[key]);
+        }
+        sheet.addRow(columns.map((name, i) => toCellValue(record[name], columnTypes[i])));
+      }
+    },
+
+    finish() {
+      // Columns found on a later sheet are added to the earlier headers too
+      for (const target of sheets) {
+        sheet = target;
+        for (let index = 1; index <= columns.length; index++) {
+          if (sheet.getRow(1).getCell(index).value === null) addHeaderCell(index);
+        }
+        if (columns.length > 0) {
+          sheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: 1, column: columns.length },
+          };
+        }
+      }
+      return sheets;
+    },
+
+    // Remove the sheets again, e.g. when the entity failed partway
+    discard() {
+      for (const target of sheets) workbook.removeWorksheet(target.id);
+      sheets.length = 0;
+    },
+  };
+}
+
+/**
+ * Convert records to a single-sheet xlsx workbook
+ *
+ * @param {object[]} records - Data records
+ * @param {string} entityName - Entity name (sheet name)
+ * @param {object[]} properties - Entity properties for cell types
+ * @returns {Promise<Uint8Array>} xlsx bytes
+ */
+export async function recordsToXlsx(records, entityName, properties = []) {
+  const workbook = await createWorkbook();
+  const writer = createSheetWriter(workbook, entityName, properties);
+  writer.write(records || []);
+  writer.finish();
+  return workbookToBytes(workbook);
+}
+
+/**
+ * Plain value of a cell read back from a workbook
+ *
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} String, number, boolean or null
+ */
+function fromCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formulas
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    return value.text ?? value.result ?? null;
+  }
+  return value;
+}
+
+/**
+ * Read one worksheet back into rows (for previews)
+ *
+ * @param {Uint8Array} bytes - xlsx file
+ * @param {string|null} sheetName - Worksheet to read; the first by default
+ * @returns {Promise<{ columns: string[], rows: object[], sheets: string[] }>} Rows
+ */
+export async function readXlsxRows(bytes, sheetName = null) {
+  const { default: ExcelJS } = await import('exceljs');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(bytes);
+  const sheets = workbook.worksheets.map(sheet => sheet.name);
+  const sheet = (sheetName && workbook.getWorksheet(sheetName)) || workbook.worksheets[0];
+  if (!sheet) return { columns: [], rows: [], sheets };
+
+  // Row values are 1-based; the header row names the columns
+  const columns = (sheet.getRow(1).values || []).slice(1).map(value => String(fromCellValue(value) ?? ''));
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = fromCellValue(row.getCell(i + 1).value);
+    });
+    rows.push(record);
+  });
+
+  return { columns, rows, sheets };
+}
@@ -7,6 +7,8 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: false,
+    // exceljs is loaded on demand for Excel exports only
+    chunkSizeWarningLimit: 1000,
     rollupOptions: {
       output: {
         manualChunks: {